@@ -1,17 +1,46 @@
-import React from 'react';
+import React, { useState } from 'react';
 import styles from '../styles/Editor.module.css'; // Reuse editor styles or create specific ones
+import { SKIN_WEIGHTING_METHODS } from '../utils/riggingUtils';
+import { MAX_JOINTS_PER_GROUP } from '../utils/jointBudgets';
+
+// Labels for the skin weighting dropdown
+const WEIGHTING_LABELS = {
+    nearest: 'Nearest bone (rigid)',
+    segment: 'Distance to bone (smooth)',
+    geodesic: 'Surface distance (group vertices only; the rest follow the root bone)',
+};
 
 /**
  * UI component for entering the animation prompt and triggering skeleton generation.
  * @param {object} props
  * @param {string} props.prompt - Current prompt text.
  * @param {(value: string) => void} props.onPromptChange - Handler for textarea changes.
+ * @param {string} [props.weightingMethod] - Selected skin weighting strategy.
+ * @param {(value: string) => void} [props.onWeightingMethodChange] - Handler for the weighting dropdown. The dropdown is hidden if omitted.
+ * @param {Object<string, { min: number, max: number }>} [props.jointBudgets] - Joint range per vertex group.
+ * @param {(groupName: string, budget: { min?: number, max?: number }) => void} [props.onJointBudgetChange] - Handler for the joint range inputs.
  * @param {() => void} props.onGenerate - Handler for the Generate button click.
  * @param {() => void} props.onCancel - Handler for the Cancel button click.
  * @param {boolean} props.isLoading - Indicates if generation is in progress.
  * @param {string | null} props.error - Error message to display, if any.
  */
-function AnimationPromptUI({ prompt, onPromptChange, onGenerate, onCancel, isLoading, error }) {
+function AnimationPromptUI({ prompt, onPromptChange, weightingMethod, onWeightingMethodChange, jointBudgets = {}, onJointBudgetChange, onGenerate, onCancel, isLoading, error }) {
+    // Text of the budget field being edited, so it can be cleared and retyped; valid values are applied as typed
+    const [budgetDrafts, setBudgetDrafts] = useState({}); // { [`${groupName}.${key}`]: string }
+
+    const handleBudgetInput = (groupName, key, value) => {
+        setBudgetDrafts(previous => ({ ...previous, [`${groupName}.${key}`]: value }));
+        const count = parseInt(value, 10);
+        if (Number.isInteger(count)) {
+            onJointBudgetChange(groupName, { [key]: Math.max(1, Math.min(MAX_JOINTS_PER_GROUP, count)) });
+        }
+    };
+
+    // Leaving a field shows the budget actually applied again
+    const handleBudgetBlur = (groupName, key) => {
+        setBudgetDrafts(({ [`${groupName}.${key}`]: _draft, ...rest }) => rest);
+    };
+
     return (
         <div className={styles.animationPromptOverlay}> {/* Use styles from Editor.module.css or new */}
             <div className={styles.animationPromptContainer}>
@@ -25,6 +54,44 @@ function AnimationPromptUI({ prompt, onPromptChange, onGenerate, onCancel, isLoa
                     rows={4}
                     disabled={isLoading}
                 />
+                {onWeightingMethodChange && (
+                    <label className={styles.promptOption}>
+                        Skin weighting:
+                        <select
+                            value={weightingMethod}
+                            onChange={(e) => onWeightingMethodChange(e.target.value)}
+                            disabled={isLoading}
+                        >
+                            {SKIN_WEIGHTING_METHODS.map(method => (
+                                <option key={method} value={method}>{WEIGHTING_LABELS[method] || method}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {onJointBudgetChange && Object.entries(jointBudgets).map(([groupName, budget]) => (
+                    <label key={groupName} className={styles.promptOption}>
+                        Joints for "{groupName}": min
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_JOINTS_PER_GROUP}
+                            value={budgetDrafts[`${groupName}.min`] ?? budget.min}
+                            onChange={(e) => handleBudgetInput(groupName, 'min', e.target.value)}
+                            onBlur={() => handleBudgetBlur(groupName, 'min')}
+                            disabled={isLoading}
+                        />
+                        max
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_JOINTS_PER_GROUP}
+                            value={budgetDrafts[`${groupName}.max`] ?? budget.max}
+                            onChange={(e) => handleBudgetInput(groupName, 'max', e.target.value)}
+                            onBlur={() => handleBudgetBlur(groupName, 'max')}
+                            disabled={isLoading}
+                        />
+                    </label>
+                ))}
                 <div className={styles.promptActions}>
                     <button
                         className={styles.generateButton}
@@ -1,15 +1,23 @@
 import React, { useState } from 'react';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
+import { sanitizeVertexGroupName, setVertexGroup } from '../utils/meshUtils';
+import { computeSoftSelectionWeights } from '../utils/selectionUtils';
+import { getWeldMap, expandToWeldedVertices } from '../utils/weldUtils';
 
 /**
  * UI component for naming and setting a custom attribute on selected vertices.
+ * Selected vertices get the chosen weight; with a falloff, nearby vertices join the group with a weight
+ * fading to 0 over that distance (given in % of the model's size).
  * @param {React.RefObject<THREE.Mesh>} targetMeshRef - Ref pointing to the target mesh.
  * @param {Set<number>} selectedIndices - Set of selected vertex indices.
- * @param {() => void} onAttributeSetSuccess - Callback function when an attribute is successfully set.
+ * @param {(name: string) => void} onAttributeSetSuccess - Callback function when an attribute is successfully set, with the group's name.
  */
 function AttributeSetter({ targetMeshRef, selectedIndices, onAttributeSetSuccess }) {
     const [attributeName, setAttributeName] = useState('');
+    // Kept as typed so the fields can be cleared and edited freely; clamped when the group is set
+    const [weightInput, setWeightInput] = useState('1'); // Weight of the selected vertices (0.05..1)
+    const [falloffInput, setFalloffInput] = useState('0'); // Soft selection radius, % of the model's size (0..50)
     const [isProcessing, setIsProcessing] = useState(false);
     const [feedback, setFeedback] = useState('');
 
@@ -38,72 +46,46 @@ function AttributeSetter({ targetMeshRef, selectedIndices, onAttributeSetSuccess
             alert("Please enter a name for the attribute.");
             return;
         }
-        const sanitizedName = name.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+        const sanitizedName = sanitizeVertexGroupName(name);
         if (!sanitizedName) {
             alert("Invalid attribute name. Please use alphanumeric characters and underscores.");
             return;
         }
         const finalAttributeName = `custom_${sanitizedName}`;
+        const parsedWeight = parseFloat(weightInput);
+        const parsedFalloff = parseFloat(falloffInput);
+        const weight = Number.isFinite(parsedWeight) ? Math.min(1, Math.max(0.05, parsedWeight)) : 1;
+        const falloff = Number.isFinite(parsedFalloff) ? Math.min(50, Math.max(0, parsedFalloff)) : 0;
+        setWeightInput(String(weight)); // Show the values actually used
+        setFalloffInput(String(falloff));
 
         setIsProcessing(true);
 
         try {
-            // --- 1. Update mesh.userData.vertexGroups (Corrected Structure) ---
-            if (!mesh.userData) { mesh.userData = {}; } // Ensure userData exists
-            mesh.userData.vertexGroups = mesh.userData.vertexGroups || {}; // Initialize if needed
-
-            // Ensure the array for this specific group name exists
-            const groupKey = sanitizedName; // Use the sanitized name as the key
-            mesh.userData.vertexGroups[groupKey] = mesh.userData.vertexGroups[groupKey] || [];
-
-            // Add each selected index to the array for this group name
-            selectedIndices.forEach(index => {
-                // Ensure the index is valid before using it
-                if (index < mesh.geometry.attributes.position.count) {
-                    // Add the index to the array if it's not already there (optional check)
-                    if (!mesh.userData.vertexGroups[groupKey].includes(index)) {
-                        mesh.userData.vertexGroups[groupKey].push(index);
-                    }
-                } else {
-                    console.warn(`AttributeSetter: Index ${index} out of bounds, skipping for userData.`);
-                }
-            });
-            console.log(`Updated mesh.userData.vertexGroups for group "${groupKey}" with ${selectedIndices.size} vertices.`);
-            // --- End of Corrected Structure Update ---
-
-
-            // --- 2. Prepare and Set Geometry Attribute (Optional - Keep if needed elsewhere) ---
-            const geometry = mesh.geometry;
-            const vertexCount = geometry.attributes.position.count;
-            // Check if this specific attribute already exists
-            let bufferAttribute;
-            if (geometry.attributes[finalAttributeName]) {
-                bufferAttribute = geometry.attributes[finalAttributeName];
-                // Reset relevant parts to 0 before setting new 1s? Or just overwrite? Overwriting is simpler.
-                console.log(`Attribute '${finalAttributeName}' already exists, updating...`);
-            } else {
-                // Create new attribute if it doesn't exist
-                const attributeArray = new Float32Array(vertexCount).fill(0.0);
-                bufferAttribute = new THREE.BufferAttribute(attributeArray, 1);
-                geometry.setAttribute(finalAttributeName, bufferAttribute);
-                console.log(`Attribute '${finalAttributeName}' created.`);
+            // --- Weights (soft selection) ---
+            if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+            const modelSize = mesh.geometry.boundingBox.getSize(new THREE.Vector3()).length();
+            // Seam copies of selected vertices join the group too, so the seam does not crack once skinned
+            const selection = expandToWeldedVertices(selectedIndices, getWeldMap(mesh.geometry));
+            const weights = computeSoftSelectionWeights(mesh.geometry, selection, modelSize * falloff / 100);
+            weights.forEach((value, index) => weights.set(index, value * weight));
+
+            // Adds the vertices to the group (userData.vertexGroups/vertexGroupWeights and the custom_ attribute).
+            // Selected vertices take the new weight; the falloff ring only raises weights, so painting near
+            // vertices that are already in the group does not wear it away.
+            const ringWeights = new Map([...weights].filter(([index]) => !selection.has(index)));
+            setVertexGroup(mesh, sanitizedName, selection, { merge: true, weights });
+            if (ringWeights.size > 0) {
+                setVertexGroup(mesh, sanitizedName, ringWeights.keys(), { merge: true, mode: 'max', weights: ringWeights });
             }
-
-            // Set 1.0 for selected vertices in the geometry attribute
-            selectedIndices.forEach(index => {
-                if (index < vertexCount) {
-                    bufferAttribute.setX(index, 1.0); // Set value for the vertex index
-                }
-            });
-            bufferAttribute.needsUpdate = true; // Mark the attribute as needing update
-            console.log(`Geometry attribute '${finalAttributeName}' updated.`);
+            console.log(`Updated vertex group "${sanitizedName}" and attribute '${finalAttributeName}' with ${weights.size} vertices (weight ${weight}, falloff ${falloff}%).`);
 
 
             // --- Cleanup & Callback ---
-            setFeedback(`Group "${sanitizedName}" set for ${selectedIndices.size} vertices.`); // Update feedback
+            setFeedback(`Group "${sanitizedName}" set for ${weights.size} vertices.`); // Update feedback
             setAttributeName('');
             if (onAttributeSetSuccess) {
-                onAttributeSetSuccess();
+                onAttributeSetSuccess(sanitizedName);
             }
 
             // Optional: Clear feedback after a delay
@@ -150,6 +132,32 @@ function AttributeSetter({ targetMeshRef, selectedIndices, onAttributeSetSuccess
                             color: 'white'
                         }}
                     />
+                    <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                        Weight
+                        <input
+                            type="number"
+                            min={0.05}
+                            max={1}
+                            step={0.05}
+                            value={weightInput}
+                            onChange={(e) => setWeightInput(e.target.value)}
+                            disabled={isProcessing}
+                            style={{ width: '70px', padding: '4px', borderRadius: '4px', border: '1px solid #555', background: '#333', color: 'white' }}
+                        />
+                    </label>
+                    <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }} title="Vertices within this distance of the selection join with a fading weight">
+                        Falloff (%)
+                        <input
+                            type="number"
+                            min={0}
+                            max={50}
+                            step={1}
+                            value={falloffInput}
+                            onChange={(e) => setFalloffInput(e.target.value)}
+                            disabled={isProcessing}
+                            style={{ width: '70px', padding: '4px', borderRadius: '4px', border: '1px solid #555', background: '#333', color: 'white' }}
+                        />
+                    </label>
                     <button
                         onClick={handleSetAttribute}
                         disabled={isProcessing || selectedIndices.size === 0}
@@ -0,0 +1,108 @@
+import SelectionTool from './SelectionTool';
+import SelectionOverlay from './SelectionOverlay';
+
+// Drags shorter than this (in pixels) count as a click and select nothing
+const MIN_BOX_SIZE = 3;
+
+/**
+ * Selects the vertices inside a screen-space rectangle dragged from corner to corner.
+ * While dragging, the rectangle is drawn on the same 2D overlay as the lasso path.
+ */
+class BoxSelectTool extends SelectionTool {
+    /**
+     * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera
+     * @param {HTMLElement} domElement - The canvas element used by the renderer.
+     * @param {THREE.Mesh} mesh
+     * @param {(indices: Set<number>, mode: string) => void} [onSelectionChange]
+     * @param {object} [options] - See SelectionTool.
+     */
+    constructor(camera, domElement, mesh, onSelectionChange, options) {
+        super(camera, domElement, mesh, onSelectionChange, options);
+        this._overlay = typeof document !== 'undefined' ? new SelectionOverlay(domElement) : null;
+    }
+
+    /**
+     * Removes event listeners and the overlay.
+     */
+    dispose() {
+        super.dispose();
+        this._overlay?.dispose();
+        this._overlay = null;
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @protected
+     */
+    _startStroke(point) {
+        this._startPoint = point;
+        this._endPoint = point;
+        this._drawBox();
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @protected
+     */
+    _continueStroke(point) {
+        this._endPoint = point;
+        this._drawBox();
+    }
+
+    /**
+     * Drops the box, e.g. when a second finger starts an orbit gesture.
+     * @protected
+     */
+    _cancelStroke() {
+        this._overlay?.clear();
+        this._startPoint = null;
+        this._endPoint = null;
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @returns {Set<number> | null} Null if the box is too small.
+     * @protected
+     */
+    _finishStroke(point) {
+        this._endPoint = point;
+        this._overlay?.clear();
+        const { minX, minY, maxX, maxY } = this.getBox();
+        if (maxX - minX < MIN_BOX_SIZE || maxY - minY < MIN_BOX_SIZE) {
+            return null;
+        }
+        return this._selectOnScreen((x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY);
+    }
+
+    /**
+     * Draws the current rectangle on the overlay.
+     * @private
+     */
+    _drawBox() {
+        if (!this._overlay) return;
+        const { minX, minY, maxX, maxY } = this.getBox();
+        this._overlay.drawPath([
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY },
+        ]);
+    }
+
+    /**
+     * Returns the current rectangle in canvas coordinates.
+     * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+     */
+    getBox() {
+        const start = this._startPoint || { x: 0, y: 0 };
+        const end = this._endPoint || start;
+        return {
+            minX: Math.min(start.x, end.x),
+            minY: Math.min(start.y, end.y),
+            maxX: Math.max(start.x, end.x),
+            maxY: Math.max(start.y, end.y),
+        };
+    }
+}
+
+export default BoxSelectTool;
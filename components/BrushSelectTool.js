@@ -0,0 +1,113 @@
+import SelectionTool, { combineSelection } from './SelectionTool';
+
+export const DEFAULT_BRUSH_RADIUS = 20; // Pixels
+
+/**
+ * Paints selection with a round screen-space brush while dragging.
+ * The selection updates during the stroke, so the painted area is visible immediately.
+ */
+class BrushSelectTool extends SelectionTool {
+    /**
+     * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera - The camera used in the scene.
+     * @param {HTMLElement} domElement - The canvas element used by the renderer.
+     * @param {THREE.Mesh} mesh - The mesh whose vertices will be selected.
+     * @param {(indices: Set<number>, mode: string, info?: { preview: boolean }) => void} [onSelectionChange] - Optional callback
+     *        when selection changes. Called with `{ preview: true }` while painting.
+     * @param {object} [options] - See SelectionTool, plus:
+     * @param {number} [options.brushRadius=DEFAULT_BRUSH_RADIUS] - Brush radius in pixels.
+     */
+    constructor(camera, domElement, mesh, onSelectionChange, options = {}) {
+        super(camera, domElement, mesh, onSelectionChange, options);
+        this.brushRadius = options.brushRadius || DEFAULT_BRUSH_RADIUS;
+    }
+
+    /**
+     * @param {number} radius - Brush radius in pixels.
+     */
+    setBrushRadius(radius) {
+        if (Number.isFinite(radius) && radius > 0) {
+            this.brushRadius = radius;
+        }
+    }
+
+    /**
+     * Projects the mesh once for the whole stroke and paints the first dab.
+     * @param {{x: number, y: number}} point
+     * @protected
+     */
+    _startStroke(point) {
+        this._projection = this._projectVertices();
+        this._selectionBeforeStroke = this.selectedVertices;
+        this._painted = new Set();
+        this._lastPoint = point;
+        this._paintAt([point]);
+        this._previewStroke();
+    }
+
+    /**
+     * Paints along the path from the previous point, so fast drags leave no gaps.
+     * @param {{x: number, y: number}} point
+     * @protected
+     */
+    _continueStroke(point) {
+        const last = this._lastPoint;
+        const distance = Math.hypot(point.x - last.x, point.y - last.y);
+        const steps = Math.max(1, Math.ceil(distance / (this.brushRadius / 2)));
+        const centers = [];
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            centers.push({ x: last.x + (point.x - last.x) * t, y: last.y + (point.y - last.y) * t });
+        }
+        this._paintAt(centers);
+        this._lastPoint = point;
+        this._previewStroke();
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @returns {Set<number> | null}
+     * @protected
+     */
+    _finishStroke(point) {
+        this._continueStroke(point);
+        // The base class combines the stroke with the selection from before the stroke
+        this.selectedVertices = this._selectionBeforeStroke;
+        this._projection = null;
+        return this._painted.size > 0 ? this._painted : null;
+    }
+
+    /**
+     * Restores the selection from before the stroke, undoing the live preview.
+     * @protected
+     */
+    _cancelStroke() {
+        this.selectedVertices = this._selectionBeforeStroke;
+        this._projection = null;
+        this.onSelectionChange(this.selectedVertices, this._strokeMode, { preview: true });
+    }
+
+    /**
+     * Adds the selectable vertices under the brush to the current stroke.
+     * All dabs of one pointer move are tested together, so visibility is read back once per move.
+     * @param {Array<{x: number, y: number}>} centers - Brush centers.
+     * @private
+     */
+    _paintAt(centers) {
+        const radiusSq = this.brushRadius * this.brushRadius;
+        this._selectOnScreen(
+            (x, y) => centers.some(center => (x - center.x) ** 2 + (y - center.y) ** 2 <= radiusSq),
+            this._projection
+        ).forEach(index => this._painted.add(index));
+    }
+
+    /**
+     * Shows the stroke so far without ending it.
+     * @private
+     */
+    _previewStroke() {
+        this.selectedVertices = combineSelection(this._selectionBeforeStroke, this._painted, this._strokeMode);
+        this.onSelectionChange(this.selectedVertices, this._strokeMode, { preview: true });
+    }
+}
+
+export default BrushSelectTool;
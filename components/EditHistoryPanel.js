@@ -0,0 +1,42 @@
+import React from 'react';
+import styles from '../styles/Editor.module.css';
+
+/**
+ * The editor's undo history, newest entry first. Undone entries are dimmed until something new is done;
+ * clicking an entry undoes or redoes everything up to it.
+ *
+ * @param {Array<{ label: string }>} entries - History entries, oldest first.
+ * @param {number} position - Number of entries currently applied.
+ * @param {(position: number) => void} onGoTo - Undoes or redoes until `position` entries are applied.
+ * @param {() => void} onUndo
+ * @param {() => void} onRedo
+ * @param {boolean} [disabled=false] - Blocks undo/redo, e.g. while a skeleton is generated.
+ */
+function EditHistoryPanel({ entries, position, onGoTo, onUndo, onRedo, disabled = false }) {
+    const entryClassName = (applied) => {
+        if (applied === position) return styles.historyCurrent;
+        return applied > position ? styles.historyUndone : '';
+    };
+
+    return (
+        <div className={styles.groupManager}>
+            <h4>History</h4>
+            <div className={styles.historyActions}>
+                <button className={styles.selectionOpButton} onClick={onUndo} disabled={disabled || position === 0} title="Ctrl+Z">Undo</button>
+                <button className={styles.selectionOpButton} onClick={onRedo} disabled={disabled || position === entries.length} title="Ctrl+Shift+Z">Redo</button>
+            </div>
+            <ul>
+                {entries.map((entry, i) => entries.length - 1 - i).map(i => (
+                    <li key={i} className={entryClassName(i + 1)}>
+                        <button onClick={() => onGoTo(i + 1)} disabled={disabled}>{entries[i].label}</button>
+                    </li>
+                ))}
+                <li className={entryClassName(0)}>
+                    <button onClick={() => onGoTo(0)} disabled={disabled}>Opened model</button>
+                </li>
+            </ul>
+        </div>
+    );
+}
+
+export default EditHistoryPanel;
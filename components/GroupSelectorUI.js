@@ -11,6 +11,7 @@ import React from 'react';
  * @param {() => void} onConfirm - Callback when the 'Confirm' button is clicked.
  * @param {() => void} onCancel - Callback when the 'Cancel' button is clicked.
  * @param {boolean} [isProcessing=false] - Optional flag to disable controls during processing.
+ * @param {string} [title='Select Vertex Group'] - Heading of the popup.
  */
 function GroupSelectorUI({
     isVisible,
@@ -19,7 +20,8 @@ function GroupSelectorUI({
     onGroupChange,
     onConfirm,
     onCancel,
-    isProcessing = false // Use isPreparing from the hook here
+    isProcessing = false, // Use isPreparing from the hook here
+    title = 'Select Vertex Group'
 }) {
     if (!isVisible) {
         return null;
@@ -113,7 +115,7 @@ function GroupSelectorUI({
 
     return (
         <div style={popupStyle}>
-            <h4 style={{ marginTop: 0, marginBottom: '15px', borderBottom: '1px solid #666', paddingBottom: '10px' }}>Select Vertex Group</h4>
+            <h4 style={{ marginTop: 0, marginBottom: '15px', borderBottom: '1px solid #666', paddingBottom: '10px' }}>{title}</h4>
             <form onSubmit={handleConfirm}>
                 <label htmlFor="group-select" style={labelStyle}>Group:</label>
                 <select
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+import SelectionTool from './SelectionTool';
+import { getGeometryAdjacency } from '../utils/selectionUtils';
+
+// Pointer travel (in pixels) beyond which a press is a drag, not a click
+const MAX_CLICK_DISTANCE = 4;
+
+/**
+ * Click on the mesh to select the connected island (all vertices reachable through mesh edges)
+ * under the pointer. UV and normal seams do not split islands.
+ */
+class IslandSelectTool extends SelectionTool {
+    /**
+     * @param {{x: number, y: number}} point
+     * @protected
+     */
+    _startStroke(point) {
+        this._startPoint = point;
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @returns {Set<number> | null} Null if the press was a drag or did not hit the mesh.
+     * @protected
+     */
+    _finishStroke(point) {
+        if (Math.hypot(point.x - this._startPoint.x, point.y - this._startPoint.y) > MAX_CLICK_DISTANCE) {
+            return null;
+        }
+
+        const face = this._pickFace(point);
+        if (!face) return null;
+        return this._floodFill([face.a, face.b, face.c]);
+    }
+
+    /**
+     * Finds the mesh face under a canvas point.
+     * @param {{x: number, y: number}} point
+     * @returns {THREE.Face | null}
+     * @private
+     */
+    _pickFace(point) {
+        const ndc = new THREE.Vector2(
+            (point.x / this.domElement.clientWidth) * 2 - 1,
+            -(point.y / this.domElement.clientHeight) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(ndc, this.camera);
+        const hit = raycaster.intersectObject(this.mesh, false)[0];
+        return hit?.face || null;
+    }
+
+    /**
+     * Collects every vertex connected to the start vertices through mesh edges.
+     * @param {number[]} startVertices
+     * @returns {Set<number>}
+     * @private
+     */
+    _floodFill(startVertices) {
+        const { offsets, neighbors } = getGeometryAdjacency(this.mesh.geometry);
+        const island = new Set(startVertices);
+        const stack = [...startVertices];
+        while (stack.length > 0) {
+            const vertex = stack.pop();
+            for (let k = offsets[vertex]; k < offsets[vertex + 1]; k++) {
+                const neighbor = neighbors[k];
+                if (!island.has(neighbor)) {
+                    island.add(neighbor);
+                    stack.push(neighbor);
+                }
+            }
+        }
+        return island;
+    }
+}
+
+export default IslandSelectTool;
@@ -0,0 +1,88 @@
+import React from 'react';
+import styles from '../styles/Editor.module.css';
+import { getJointDescendants, getJointLabel } from '../utils/jointEditing';
+
+/**
+ * Side panel for joint editing: pick a joint, re-parent it, insert a joint next to it or delete it.
+ * Moving is done with the gizmo in the viewport (see JointHandles).
+ *
+ * @param {Array<{x: number, y: number, z: number, parent: number | null, name?: string, group?: string}>} joints
+ * @param {number | null} selectedJoint
+ * @param {(index: number | null) => void} onSelectJoint
+ * @param {(index: number) => void} onInsert - Inserts a joint between the joint and its parent.
+ * @param {(index: number) => void} onDelete
+ * @param {(index: number, parent: number) => void} onReparent
+ * @param {() => void} onDone - Leaves joint editing.
+ * @param {boolean} [isRebinding=false] - Skin weights are being recomputed.
+ * @param {string | null} [error] - Problem with the last edit.
+ */
+function JointEditorPanel({ joints, selectedJoint, onSelectJoint, onInsert, onDelete, onReparent, onDone, isRebinding = false, error = null }) {
+    const selected = selectedJoint !== null ? joints[selectedJoint] : null;
+    const isRoot = selected && (selected.parent === null || selected.parent === -1);
+    // A joint cannot hang below itself or below one of its own descendants
+    const blocked = selected ? getJointDescendants(joints, selectedJoint).add(selectedJoint) : new Set();
+
+    return (
+        <div className={styles.groupManager}>
+            <h4>Joints</h4>
+            <label className={styles.jointEditorRow}>
+                Joint:
+                <select
+                    value={selectedJoint ?? ''}
+                    onChange={(e) => onSelectJoint(e.target.value === '' ? null : Number(e.target.value))}
+                >
+                    <option value="">Click a handle…</option>
+                    {joints.map((joint, i) => (
+                        <option key={i} value={i}>{getJointLabel(joint, i)}</option>
+                    ))}
+                </select>
+            </label>
+
+            {selected && (
+                <>
+                    <p className={styles.meshStats}>
+                        ({selected.x.toFixed(3)}, {selected.y.toFixed(3)}, {selected.z.toFixed(3)})
+                        {selected.group && ` · ${selected.group}`}
+                    </p>
+                    <label className={styles.jointEditorRow}>
+                        Parent:
+                        <select
+                            value={isRoot ? '' : selected.parent}
+                            onChange={(e) => onReparent(selectedJoint, Number(e.target.value))}
+                            disabled={isRoot || isRebinding}
+                        >
+                            {isRoot && <option value="">(root)</option>}
+                            {joints.map((joint, i) => (blocked.has(i) ? null : (
+                                <option key={i} value={i}>{getJointLabel(joint, i)}</option>
+                            )))}
+                        </select>
+                    </label>
+                    <div className={styles.jointEditorRow}>
+                        <button
+                            className={styles.selectionOpButton}
+                            onClick={() => onInsert(selectedJoint)}
+                            disabled={isRebinding}
+                            title={isRoot ? 'Add a child joint' : 'Insert a joint halfway to the parent'}
+                        >
+                            {isRoot ? 'Add Child' : 'Insert'}
+                        </button>
+                        <button
+                            className={styles.selectionOpButton}
+                            onClick={() => onDelete(selectedJoint)}
+                            disabled={isRoot || isRebinding}
+                            title="Delete; its children move to its parent"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {isRebinding && <p className={styles.groupManagerEmpty}>Updating skin weights…</p>}
+            {error && <p className={styles.errorText}>{error}</p>}
+            <button className={styles.selectionOpButton} onClick={onDone}>Done</button>
+        </div>
+    );
+}
+
+export default JointEditorPanel;
@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { TransformControls } from '@react-three/drei';
+
+const HANDLE_COLOR = '#4fd1c5';
+const SELECTED_HANDLE_COLOR = '#f6e05e';
+
+/**
+ * Clickable joint handles in the viewport, with a translate gizmo on the selected joint.
+ * Joints are in world space. The joint is reported once the drag ends, so the skeleton is only rebound once per drag;
+ * meanwhile the handle and its bone lines follow the gizmo.
+ *
+ * Dragging the gizmo pauses the default camera controls (the OrbitControls need `makeDefault`).
+ *
+ * @param {Array<{x: number, y: number, z: number, parent: number | null}>} joints - The skeleton's joints.
+ * @param {number | null} selectedJoint - Index of the joint with the gizmo.
+ * @param {(index: number) => void} onSelectJoint - Called when a handle is clicked.
+ * @param {(index: number, position: {x: number, y: number, z: number}) => void} onMoveJoint - Called when a drag ends.
+ * @param {boolean} [disabled=false] - Hides the gizmo.
+ */
+function JointHandles({ joints, selectedJoint, onSelectJoint, onMoveJoint, disabled = false }) {
+    const selectedRef = useRef(null);
+    const [dragPosition, setDragPosition] = useState(null); // Position of the selected joint while dragging
+
+    // Handles scale with the skeleton, so they are easy to hit on small and large models
+    const handleRadius = useMemo(() => {
+        const box = new THREE.Box3();
+        joints.forEach(joint => box.expandByPoint(new THREE.Vector3(joint.x, joint.y, joint.z)));
+        return Math.max(box.getSize(new THREE.Vector3()).length() * 0.015, 1e-3);
+    }, [joints]);
+
+    const positionOf = (i) => (i === selectedJoint && dragPosition ? dragPosition : joints[i]);
+
+    // One line from each joint to its parent
+    const lines = useMemo(() => {
+        const points = [];
+        joints.forEach((joint, i) => {
+            const parent = joint.parent === null ? -1 : joint.parent;
+            if (parent < 0 || !joints[parent]) return;
+            const a = positionOf(i);
+            const b = positionOf(parent);
+            points.push(a.x, a.y, a.z, b.x, b.y, b.z);
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        return geometry;
+    }, [joints, selectedJoint, dragPosition]);
+
+    useEffect(() => () => lines.dispose(), [lines]);
+
+    const handleObjectChange = () => {
+        const { x, y, z } = selectedRef.current.position;
+        setDragPosition({ x, y, z });
+    };
+
+    const handleDragEnd = () => {
+        if (!dragPosition) return; // Clicked the gizmo without moving it
+        onMoveJoint(selectedJoint, dragPosition);
+        setDragPosition(null);
+    };
+
+    const selected = selectedJoint !== null ? joints[selectedJoint] : null;
+    const selectedPosition = selected ? positionOf(selectedJoint) : null; // Follows the gizmo, so re-renders do not move it back
+
+    return (
+        <group>
+            <lineSegments geometry={lines} renderOrder={2}>
+                <lineBasicMaterial color={HANDLE_COLOR} depthTest={false} transparent opacity={0.8} />
+            </lineSegments>
+            {joints.map((joint, i) => (i === selectedJoint ? null : (
+                <mesh
+                    key={i}
+                    position={[joint.x, joint.y, joint.z]}
+                    renderOrder={3}
+                    onClick={(e) => {
+                        e.stopPropagation(); // Only the nearest handle under the pointer
+                        onSelectJoint(i);
+                    }}
+                >
+                    <sphereGeometry args={[handleRadius, 12, 12]} />
+                    <meshBasicMaterial color={HANDLE_COLOR} depthTest={false} transparent opacity={0.9} />
+                </mesh>
+            )))}
+            {selected && (
+                <mesh ref={selectedRef} position={[selectedPosition.x, selectedPosition.y, selectedPosition.z]} renderOrder={3}>
+                    <sphereGeometry args={[handleRadius * 1.3, 12, 12]} />
+                    <meshBasicMaterial color={SELECTED_HANDLE_COLOR} depthTest={false} transparent opacity={0.9} />
+                </mesh>
+            )}
+            {selected && !disabled && (
+                <TransformControls
+                    object={selectedRef}
+                    mode="translate"
+                    size={0.75}
+                    onObjectChange={handleObjectChange}
+                    onMouseUp={handleDragEnd}
+                />
+            )}
+        </group>
+    );
+}
+
+export default JointHandles;
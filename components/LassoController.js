@@ -1,46 +1,57 @@
 import React, { useEffect, useRef, useMemo } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-import ModelEditorLasso from './ModelEditorLasso';
+import { createSelectionTool, DEFAULT_BRUSH_RADIUS } from './selectionTools';
 
 /**
- * Manages the ModelEditorLasso instance and visualizes selected vertices.
+ * Manages the active selection tool instance (lasso, box, brush or island) and visualizes selected vertices.
  * @param {React.RefObject<THREE.Mesh>} targetMeshRef - Ref pointing to the mesh.
  * @param {Set<number>} selectedIndices - Current set of selected indices (from parent state).
- * @param {(indices: Set<number>) => void} onSelectionChange - Callback to update parent state.
+ * @param {(indices: Set<number>, mode?: string, info?: { preview: boolean }) => void} onSelectionChange - Callback to update parent state.
+ *        `mode` is the selection mode the change was made with (see SELECTION_MODES); `info.preview` marks the live
+ *        preview of a stroke in progress.
+ * @param {string} [tool='lasso'] - Active tool, one of SELECTION_TOOLS.
+ * @param {string} [mode='replace'] - Default selection mode, used when no modifier key is held.
+ * @param {boolean} [xray=false] - Also select vertices hidden behind other parts of the mesh.
+ * @param {number} [brushRadius] - Brush radius in pixels, for the brush tool.
  */
-function LassoController({ targetMeshRef, selectedIndices, onSelectionChange }) {
+function LassoController({ targetMeshRef, selectedIndices, onSelectionChange, tool = 'lasso', mode = 'replace', xray = false, brushRadius = DEFAULT_BRUSH_RADIUS }) {
     const { camera, gl } = useThree();
-    const lassoInstanceRef = useRef(null);
+    const lassoInstanceRef = useRef(null); // The active selection tool
     const pointsRef = useRef(); // Ref for the visualization points
+    const selectedIndicesRef = useRef(selectedIndices);
+    selectedIndicesRef.current = selectedIndices;
 
-    // Callback function passed to ModelEditorLasso instance
-    const handleInternalSelectionChange = (indices) => {
+    // Callback function passed to the selection tool instance
+    const handleInternalSelectionChange = (indices, strokeMode, info) => {
         // Call the prop function to update the parent state
-        onSelectionChange(new Set(indices));
+        onSelectionChange(new Set(indices), strokeMode, info);
     };
 
+    const targetMesh = targetMeshRef.current; // Recreate the tool when the editor switches to another mesh
+
     useEffect(() => {
-        const mesh = targetMeshRef.current;
+        const mesh = targetMesh;
         const domElement = gl.domElement;
 
         if (mesh && domElement && camera) {
-            console.log('LassoController: Initializing Lasso Tool for mesh:', mesh.name);
+            console.log(`LassoController: Initializing ${tool} tool for mesh:`, mesh.name);
             // Pass the internal callback to the constructor
-            lassoInstanceRef.current = new ModelEditorLasso(camera, domElement, mesh, handleInternalSelectionChange); // Use internal handler
+            lassoInstanceRef.current = createSelectionTool(tool, camera, domElement, mesh, handleInternalSelectionChange, { mode, renderer: gl, xray, brushRadius }); // Use internal handler
+            // Switching tools keeps the current selection
+            lassoInstanceRef.current.setSelectedVertices(selectedIndicesRef.current);
 
             return () => {
-                console.log('LassoController: Disposing Lasso Tool');
+                console.log(`LassoController: Disposing ${tool} tool`);
                 if (lassoInstanceRef.current) {
                     lassoInstanceRef.current.dispose();
                     lassoInstanceRef.current = null;
                 }
-                onSelectionChange(new Set()); // Clear selection in parent state on dispose
             };
         } else {
             // Ensure cleanup if dependencies become invalid
             if (lassoInstanceRef.current) {
-                console.log('LassoController: Disposing Lasso Tool (invalid dependencies)');
+                console.log('LassoController: Disposing selection tool (invalid dependencies)');
                 lassoInstanceRef.current.dispose();
                 lassoInstanceRef.current = null;
             }
@@ -50,7 +61,30 @@ function LassoController({ targetMeshRef, selectedIndices, onSelectionChange })
             onSelectionChange(new Set()); // Clear selection if dependencies invalid
         }
         // Dependencies for the effect
-    }, [camera, gl.domElement, targetMeshRef, onSelectionChange]); // Added onSelectionChange to deps
+    }, [camera, gl.domElement, targetMesh, onSelectionChange, tool]); // Added onSelectionChange to deps
+
+    // Clear selection in parent state when leaving edit mode (not when switching tools)
+    useEffect(() => {
+        return () => onSelectionChange(new Set());
+    }, [onSelectionChange]);
+
+    // Keep the tool's default mode in sync with the editor
+    useEffect(() => {
+        lassoInstanceRef.current?.setMode(mode);
+    }, [mode]);
+
+    useEffect(() => {
+        lassoInstanceRef.current?.setXray(xray);
+    }, [xray]);
+
+    useEffect(() => {
+        lassoInstanceRef.current?.setBrushRadius?.(brushRadius);
+    }, [brushRadius]);
+
+    // Strokes that add, subtract or intersect start from the parent's selection
+    useEffect(() => {
+        lassoInstanceRef.current?.setSelectedVertices(selectedIndices);
+    }, [selectedIndices]);
 
     // Memoize the geometry for the points visualization
     const pointsGeometry = useMemo(() => {
@@ -1,168 +1,135 @@
-import * as THREE from 'three';
+import SelectionTool, { combineSelection } from './SelectionTool';
+import SelectionOverlay from './SelectionOverlay';
 
 /**
  * Handles lasso selection of vertices for a given mesh.
+ * Selection modes, X-ray and pointer handling come from SelectionTool.
+ * While dragging, the path and a live count of the vertices it encloses are drawn on a 2D overlay.
  */
-class ModelEditorLasso {
+class ModelEditorLasso extends SelectionTool {
     /**
      * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera - The camera used in the scene.
      * @param {HTMLElement} domElement - The canvas element used by the renderer.
      * @param {THREE.Mesh} mesh - The mesh whose vertices will be selected.
-     * @param {(indices: Set<number>) => void} [onSelectionChange] - Optional callback when selection changes.
+     * @param {(indices: Set<number>, mode: string) => void} [onSelectionChange] - Optional callback when selection changes.
+     * @param {object} [options] - See SelectionTool.
      */
-    constructor(camera, domElement, mesh, onSelectionChange = () => { }) {
-        this.camera = camera;
-        this.domElement = domElement;
-        this.mesh = mesh;
-        this.selectedVertices = new Set(); // Stores indices of selected vertices
-        this.onSelectionChange = onSelectionChange; // Store the callback
-
-        this._isSelecting = false;
+    constructor(camera, domElement, mesh, onSelectionChange, options) {
+        super(camera, domElement, mesh, onSelectionChange, options);
         this._lassoPoints = []; // Stores 2D screen coordinates of the lasso path
-        this._boundOnMouseDown = this._onMouseDown.bind(this);
-        this._boundOnMouseMove = this._onMouseMove.bind(this);
-        this._boundOnMouseUp = this._onMouseUp.bind(this);
-
-        this._initEventListeners();
+        this._overlay = typeof document !== 'undefined' ? new SelectionOverlay(domElement) : null;
+        this._projection = null; // Vertex projection for the stroke in progress
+        this._frameRequest = null;
     }
 
     /**
-     * Initializes mouse event listeners for lasso selection.
-     * @private
+     * Removes event listeners and the overlay.
      */
-    _initEventListeners() {
-        this.domElement.addEventListener('mousedown', this._boundOnMouseDown);
-        // Mouse move and up listeners are added dynamically on mousedown
+    dispose() {
+        super.dispose();
+        if (this._frameRequest !== null) cancelAnimationFrame(this._frameRequest);
+        this._frameRequest = null;
+        this._overlay?.dispose();
+        this._overlay = null;
     }
 
     /**
-     * Removes event listeners. Call this when the tool is deactivated or destroyed.
+     * Starts a new lasso path.
+     * @param {{x: number, y: number}} point
+     * @protected
      */
-    dispose() {
-        this.domElement.removeEventListener('mousedown', this._boundOnMouseDown);
-        // Ensure move and up listeners are removed if selection was interrupted
-        this.domElement.removeEventListener('mousemove', this._boundOnMouseMove);
-        this.domElement.removeEventListener('mouseup', this._boundOnMouseUp);
+    _startStroke(point) {
+        this._lassoPoints = [point];
+        // Project once per stroke; the live count and the final selection use the same projection
+        this._projection = this._projectVertices();
+        this._scheduleOverlayUpdate();
     }
 
     /**
-     * Handles the mouse down event to start lasso selection.
-     * @param {MouseEvent} event
-     * @private
+     * Records lasso path points while dragging.
+     * @param {{x: number, y: number}} point
+     * @protected
      */
-    _onMouseDown(event) {
-        // Check if the click is relevant (e.g., left mouse button, maybe modifier keys)
-        if (event.button !== 0) return; // Only react to left mouse button
-
-        this._isSelecting = true;
-        this._lassoPoints = [];
-        if (this.selectedVertices.size > 0) { // Clear previous selection and notify
-            this.selectedVertices.clear();
-            this.onSelectionChange(this.selectedVertices); // Notify about the cleared selection
-        }
-
-        // Add move and up listeners only when dragging starts
-        this.domElement.addEventListener('mousemove', this._boundOnMouseMove);
-        this.domElement.addEventListener('mouseup', this._boundOnMouseUp);
-
-        this._addLassoPoint(event);
+    _continueStroke(point) {
+        this._lassoPoints.push(point);
+        this._scheduleOverlayUpdate();
     }
 
     /**
-     * Handles the mouse move event to record lasso path points.
-     * @param {MouseEvent} event
-     * @private
+     * Drops the path, e.g. when a second finger starts an orbit gesture.
+     * @protected
      */
-    _onMouseMove(event) {
-        if (!this._isSelecting) return;
-
-        this._addLassoPoint(event);
-        // Optional: Add visual feedback drawing here (e.g., on a 2D overlay canvas)
+    _cancelStroke() {
+        if (this._frameRequest !== null) cancelAnimationFrame(this._frameRequest);
+        this._frameRequest = null;
+        this._overlay?.clear();
+        this._lassoPoints = [];
+        this._projection = null;
     }
 
     /**
-     * Handles the mouse up event to finalize lasso selection.
-     * @param {MouseEvent} event
-     * @private
+     * Closes the path and returns the vertices inside it.
+     * @param {{x: number, y: number}} point
+     * @returns {Set<number> | null} Null if the path has too few points to form a polygon.
+     * @protected
      */
-    _onMouseUp(event) {
-        if (!this._isSelecting) return;
+    _finishStroke(point) {
+        this._lassoPoints.push(point); // Add the final point
+        if (this._frameRequest !== null) cancelAnimationFrame(this._frameRequest);
+        this._frameRequest = null;
+        this._overlay?.clear();
 
-        this._addLassoPoint(event); // Add the final point
-        this._isSelecting = false;
-
-        // Remove dynamic listeners
-        this.domElement.removeEventListener('mousemove', this._boundOnMouseMove);
-        this.domElement.removeEventListener('mouseup', this._boundOnMouseUp);
+        const projection = this._projection;
+        this._projection = null;
 
         // Process the selection if we have enough points to form a polygon
-        if (this._lassoPoints.length > 2) {
-            this._selectVertices();
-        } else {
+        if (this._lassoPoints.length <= 2) {
             this._lassoPoints = []; // Not enough points, clear path
-            // Ensure notification even if selection is empty after a short click/drag
-            if (this.selectedVertices.size > 0) {
-                this.selectedVertices.clear();
-            }
+            return null;
         }
-
-        // Optional: Clear visual feedback drawing here
-        console.log(`Selected ${this.selectedVertices.size} vertices.`);
-        // Notify the controller about the final selection
-        this.onSelectionChange(this.selectedVertices); // Call the callback
+        return this._selectInLasso(projection);
     }
 
     /**
-     * Adds a point to the lasso path based on mouse event coordinates.
-     * @param {MouseEvent} event
+     * Returns the selectable vertices inside the current lasso path.
+     * @param {{ screen: Float32Array, depth: Float32Array, selectable: Uint8Array }} [projection] - Computed if omitted.
+     * @returns {Set<number>}
      * @private
      */
-    _addLassoPoint(event) {
-        const rect = this.domElement.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        this._lassoPoints.push({ x, y });
+    _selectInLasso(projection = this._projectVertices()) {
+        // Bounding box check first; the polygon test is much more expensive
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this._lassoPoints.forEach(({ x, y }) => {
+            minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+        });
+        return this._selectOnScreen(
+            (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY && this._isPointInLasso({ x, y }),
+            projection
+        );
     }
 
     /**
-     * Projects mesh vertices to screen space and checks if they are inside the lasso polygon.
+     * Redraws the path and vertex count at most once per animation frame, since counting is costly on dense meshes.
      * @private
      */
-    _selectVertices() {
-        if (!this.mesh || !this.mesh.geometry || !this.mesh.geometry.attributes.position) {
-            console.warn("Lasso Selection: Mesh or geometry position attribute not found.");
-            return;
-        }
-
-        const positionAttribute = this.mesh.geometry.attributes.position;
-        const vertex = new THREE.Vector3();
-        const screenPos = new THREE.Vector2();
-        const canvasWidth = this.domElement.clientWidth;
-        const canvasHeight = this.domElement.clientHeight;
-
-        // Pre-calculate the world matrix if needed (ensures up-to-date position)
-        this.mesh.updateMatrixWorld();
-
-        for (let i = 0; i < positionAttribute.count; i++) {
-            // Get vertex position in local space
-            vertex.fromBufferAttribute(positionAttribute, i);
-
-            // Transform vertex position to world space
-            vertex.applyMatrix4(this.mesh.matrixWorld);
-
-            // Project vertex position to screen space
-            const projectedVertex = vertex.clone().project(this.camera);
-
-            // Convert normalized device coordinates (-1 to +1) to screen coordinates (0 to width/height)
-            screenPos.x = Math.round(((projectedVertex.x + 1) / 2) * canvasWidth);
-            screenPos.y = Math.round(((1 - projectedVertex.y) / 2) * canvasHeight); // Y is inverted
-
-            // Check if the vertex is within the camera's view frustum (z coordinate check)
-            // and if the screen position is inside the lasso polygon
-            if (projectedVertex.z > -1 && projectedVertex.z < 1 && this._isPointInLasso(screenPos)) {
-                this.selectedVertices.add(i);
+    _scheduleOverlayUpdate() {
+        if (!this._overlay || this._frameRequest !== null) return;
+        this._frameRequest = requestAnimationFrame(() => {
+            this._frameRequest = null;
+            if (!this._isSelecting || !this._overlay) return;
+
+            let label = '';
+            if (this._lassoPoints.length > 2) {
+                const strokeVertices = this._selectInLasso(this._projection);
+                label = `${strokeVertices.size} vertices`;
+                if (this._strokeMode !== 'replace') {
+                    const total = combineSelection(this.selectedVertices, strokeVertices, this._strokeMode).size;
+                    label += ` (${this._strokeMode}: ${total} selected)`;
+                }
             }
-        }
+            this._overlay.drawPath(this._lassoPoints, label);
+        });
     }
 
     /**
@@ -188,14 +155,6 @@ class ModelEditorLasso {
 
         return inside;
     }
-
-    /**
-     * Returns the set of selected vertex indices.
-     * @returns {Set<number>}
-     */
-    getSelectedVertices() {
-        return this.selectedVertices;
-    }
 }
 
-export default ModelEditorLasso;
\ No newline at end of file
+export default ModelEditorLasso;
@@ -0,0 +1,112 @@
+/**
+ * A transparent 2D canvas laid over the renderer canvas, for drawing selection feedback
+ * (e.g. the lasso path) in canvas coordinates (CSS pixels from the top-left).
+ *
+ * The backing store follows the size of the renderer canvas and the device pixel ratio, so lines stay sharp
+ * on high-DPI screens and after the window or canvas is resized. The overlay ignores pointer events.
+ */
+class SelectionOverlay {
+    /**
+     * @param {HTMLElement} domElement - The renderer canvas. Its parent must be positioned (React Three Fiber's container is).
+     */
+    constructor(domElement) {
+        this.domElement = domElement;
+        this.canvas = document.createElement('canvas');
+        Object.assign(this.canvas.style, {
+            position: 'absolute',
+            pointerEvents: 'none',
+            zIndex: 1,
+        });
+        domElement.parentElement?.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+        this._draw = null; // Last draw call, repeated after a resize
+
+        this._resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this._redraw())
+            : null;
+        this._resizeObserver?.observe(domElement);
+    }
+
+    /**
+     * Draws a closed path, with an optional label next to its last point.
+     * @param {Array<{x: number, y: number}>} points - Path in canvas coordinates.
+     * @param {string} [label]
+     */
+    drawPath(points, label) {
+        this._draw = () => {
+            const ctx = this.context;
+            if (points.length > 1) {
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, points[0].y);
+                for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+                ctx.closePath(); // Closing line back to the start shows the area that will be selected
+                ctx.fillStyle = 'rgba(255, 255, 0, 0.08)';
+                ctx.fill();
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = 'yellow';
+                ctx.setLineDash([6, 4]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            if (label && points.length > 0) {
+                const last = points[points.length - 1];
+                ctx.font = '12px sans-serif';
+                const width = ctx.measureText(label).width;
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                ctx.fillRect(last.x + 12, last.y + 8, width + 8, 18);
+                ctx.fillStyle = 'white';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(label, last.x + 16, last.y + 17);
+            }
+        };
+        this._redraw();
+    }
+
+    /**
+     * Erases the overlay.
+     */
+    clear() {
+        this._draw = null;
+        this._redraw();
+    }
+
+    /**
+     * Removes the overlay canvas. Call this when the tool is disposed.
+     */
+    dispose() {
+        this._resizeObserver?.disconnect();
+        this.canvas.remove();
+        this._draw = null;
+    }
+
+    /**
+     * Matches the overlay to the renderer canvas, then repeats the last draw call.
+     * @private
+     */
+    _redraw() {
+        const { domElement, canvas, context } = this;
+        const dpr = window.devicePixelRatio || 1;
+        const width = domElement.clientWidth;
+        const height = domElement.clientHeight;
+
+        Object.assign(canvas.style, {
+            left: `${domElement.offsetLeft}px`,
+            top: `${domElement.offsetTop}px`,
+            width: `${width}px`,
+            height: `${height}px`,
+        });
+        const pixelWidth = Math.max(1, Math.round(width * dpr));
+        const pixelHeight = Math.max(1, Math.round(height * dpr));
+        if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+            canvas.width = pixelWidth; // Resizing also clears the canvas
+            canvas.height = pixelHeight;
+        }
+
+        // Draw in CSS pixels
+        context.setTransform(dpr, 0, 0, dpr, 0, 0);
+        context.clearRect(0, 0, width, height);
+        if (this._draw) this._draw();
+    }
+}
+
+export default SelectionOverlay;
@@ -0,0 +1,365 @@
+import * as THREE from 'three';
+import { createDepthVisibilityTest } from '../utils/visibilityUtils';
+import { getWeldMap, expandToWeldedVertices } from '../utils/weldUtils';
+
+/**
+ * How a stroke combines with the existing selection.
+ * - replace: the stroke becomes the selection
+ * - add: stroke vertices are added (Shift)
+ * - subtract: stroke vertices are removed (Ctrl or Alt)
+ * - intersect: only vertices in both are kept (Shift + Ctrl/Alt)
+ */
+export const SELECTION_MODES = ['replace', 'add', 'subtract', 'intersect'];
+
+/**
+ * Returns the selection mode for a stroke: modifier keys override the default mode.
+ * @param {MouseEvent | PointerEvent} event - The event that started the stroke.
+ * @param {string} defaultMode - Mode used when no modifier is held.
+ * @returns {string} One of SELECTION_MODES.
+ */
+export function getSelectionModeForEvent(event, defaultMode = 'replace') {
+    const subtractKey = event.ctrlKey || event.metaKey || event.altKey;
+    if (event.shiftKey && subtractKey) return 'intersect';
+    if (event.shiftKey) return 'add';
+    if (subtractKey) return 'subtract';
+    return defaultMode;
+}
+
+/**
+ * Combines the vertices of a stroke with a selection.
+ * @param {Set<number>} selection - The selection before the stroke.
+ * @param {Set<number>} strokeVertices - Vertices picked by the stroke.
+ * @param {string} mode - One of SELECTION_MODES.
+ * @returns {Set<number>} The new selection.
+ */
+export function combineSelection(selection, strokeVertices, mode) {
+    if (mode === 'add') {
+        const result = new Set(selection);
+        strokeVertices.forEach(index => result.add(index));
+        return result;
+    }
+    if (mode === 'subtract') {
+        const result = new Set(selection);
+        strokeVertices.forEach(index => result.delete(index));
+        return result;
+    }
+    if (mode === 'intersect') {
+        return new Set([...selection].filter(index => strokeVertices.has(index)));
+    }
+    return new Set(strokeVertices);
+}
+
+/**
+ * Base class for vertex selection tools (lasso, box, brush, island).
+ *
+ * It owns the selection, pointer listeners and selection modes. A tool implements these hooks:
+ * - `_startStroke(point)` when the left button, a finger or a pen goes down,
+ * - `_continueStroke(point)` while dragging,
+ * - `_finishStroke(point)` on release, returning the Set of stroke vertices, or null if the stroke picked
+ *   nothing (a replace-mode stroke that picks nothing clears the selection; other modes leave it unchanged),
+ * - `_cancelStroke()` when the stroke is abandoned (a second finger touched down, or the browser cancelled the pointer).
+ * Points are canvas coordinates in CSS pixels ({x, y} from the top-left).
+ *
+ * Strokes use Pointer Events with pointer capture, so mouse, touch and stylus all work and a drag keeps
+ * tracking outside the canvas. Two-finger gestures are left to the camera controls.
+ */
+class SelectionTool {
+    /**
+     * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera - The camera used in the scene.
+     * @param {HTMLElement} domElement - The canvas element used by the renderer.
+     * @param {THREE.Mesh} mesh - The mesh whose vertices will be selected.
+     * @param {(indices: Set<number>, mode: string, info?: { preview: boolean }) => void} [onSelectionChange] - Optional callback when selection changes.
+     *        `mode` is the SELECTION_MODES entry the stroke was applied with. `info.preview` is set for the live preview of a
+     *        stroke in progress (and for going back to the selection before an abandoned stroke); those are not final selections.
+     * @param {object} [options]
+     * @param {string} [options.mode='replace'] - Default selection mode, used when no modifier key is held.
+     * @param {THREE.WebGLRenderer} [options.renderer] - Renderer of the canvas. Needed to skip hidden vertices.
+     * @param {boolean} [options.xray=false] - Select vertices hidden behind other parts of the mesh too.
+     */
+    constructor(camera, domElement, mesh, onSelectionChange = () => { }, { mode = 'replace', renderer = null, xray = false } = {}) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.mesh = mesh;
+        this.selectedVertices = new Set(); // Stores indices of selected vertices
+        this.onSelectionChange = onSelectionChange; // Store the callback
+        this.renderer = renderer;
+        this.xray = xray;
+        this.mode = 'replace';
+        this.setMode(mode);
+        this._strokeMode = this.mode; // Mode of the stroke in progress
+
+        this._isSelecting = false;
+        this._strokePointerId = null; // Pointer drawing the stroke in progress
+        this._touchPointers = new Set(); // Fingers currently on the canvas
+        this._boundOnPointerDown = this._onPointerDown.bind(this);
+        this._boundOnPointerMove = this._onPointerMove.bind(this);
+        this._boundOnPointerUp = this._onPointerUp.bind(this);
+        this._boundOnPointerCancel = this._onPointerCancel.bind(this);
+
+        this._initEventListeners();
+    }
+
+    /**
+     * Sets the default selection mode (used when no modifier key is held).
+     * @param {string} mode - One of SELECTION_MODES.
+     */
+    setMode(mode) {
+        if (!SELECTION_MODES.includes(mode)) {
+            console.warn(`Selection: Unknown mode "${mode}". Keeping "${this.mode}".`);
+            return;
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Turns X-ray selection on or off. With X-ray off, only vertices visible from the camera are selected.
+     * @param {boolean} xray
+     */
+    setXray(xray) {
+        this.xray = Boolean(xray);
+    }
+
+    /**
+     * Initializes pointer event listeners.
+     * @private
+     */
+    _initEventListeners() {
+        // Stop the browser from scrolling or zooming the page while drawing with a finger
+        this._previousTouchAction = this.domElement.style.touchAction;
+        this.domElement.style.touchAction = 'none';
+
+        this.domElement.addEventListener('pointerdown', this._boundOnPointerDown);
+        this.domElement.addEventListener('pointerup', this._boundOnPointerUp);
+        this.domElement.addEventListener('pointercancel', this._boundOnPointerCancel);
+        // The move listener is added dynamically while a stroke is in progress
+    }
+
+    /**
+     * Removes event listeners. Call this when the tool is deactivated or destroyed.
+     */
+    dispose() {
+        if (this._isSelecting) this._endStroke();
+        this.domElement.removeEventListener('pointerdown', this._boundOnPointerDown);
+        this.domElement.removeEventListener('pointerup', this._boundOnPointerUp);
+        this.domElement.removeEventListener('pointercancel', this._boundOnPointerCancel);
+        this.domElement.style.touchAction = this._previousTouchAction;
+    }
+
+    /**
+     * Starts a stroke, or abandons it when a second finger comes down (two fingers orbit the camera).
+     * @param {PointerEvent} event
+     * @private
+     */
+    _onPointerDown(event) {
+        if (event.pointerType === 'touch') {
+            this._touchPointers.add(event.pointerId);
+            if (this._touchPointers.size > 1) {
+                if (this._isSelecting) {
+                    this._endStroke();
+                    this._cancelStroke();
+                }
+                return;
+            }
+        }
+        if (this._isSelecting || event.button !== 0) return; // Left button, finger contact or pen tip only
+
+        this._isSelecting = true;
+        this._strokePointerId = event.pointerId;
+        // The existing selection is kept until the stroke ends, so it can be combined with the stroke
+        this._strokeMode = getSelectionModeForEvent(event, this.mode);
+
+        // Keep receiving moves and the release even if the pointer leaves the canvas
+        this.domElement.setPointerCapture?.(event.pointerId);
+        this.domElement.addEventListener('pointermove', this._boundOnPointerMove);
+
+        this._startStroke(this._getCanvasPoint(event));
+    }
+
+    /**
+     * Handles pointer moves while dragging.
+     * @param {PointerEvent} event
+     * @private
+     */
+    _onPointerMove(event) {
+        if (!this._isSelecting || event.pointerId !== this._strokePointerId) return;
+        this._continueStroke(this._getCanvasPoint(event));
+    }
+
+    /**
+     * Finalizes the stroke when its pointer is released.
+     * @param {PointerEvent} event
+     * @private
+     */
+    _onPointerUp(event) {
+        this._touchPointers.delete(event.pointerId);
+        if (!this._isSelecting || event.pointerId !== this._strokePointerId) return;
+        this._endStroke();
+
+        let strokeVertices = this._finishStroke(this._getCanvasPoint(event));
+        if (!strokeVertices) {
+            // A stroke that picked nothing only changes the selection when replacing (it clears it)
+            if (this._strokeMode !== 'replace') return;
+            strokeVertices = new Set();
+        }
+
+        this.selectedVertices = combineSelection(this.selectedVertices, strokeVertices, this._strokeMode);
+        console.log(`Selected ${this.selectedVertices.size} vertices (${this._strokeMode}).`);
+        // Notify the controller about the final selection
+        this.onSelectionChange(this.selectedVertices, this._strokeMode);
+    }
+
+    /**
+     * Abandons the stroke when the browser takes the pointer away (e.g. for a system gesture).
+     * @param {PointerEvent} event
+     * @private
+     */
+    _onPointerCancel(event) {
+        this._touchPointers.delete(event.pointerId);
+        if (!this._isSelecting || event.pointerId !== this._strokePointerId) return;
+        this._endStroke();
+        this._cancelStroke();
+    }
+
+    /**
+     * Stops tracking the stroke pointer.
+     * @private
+     */
+    _endStroke() {
+        this._isSelecting = false;
+        this.domElement.removeEventListener('pointermove', this._boundOnPointerMove);
+        if (this.domElement.hasPointerCapture?.(this._strokePointerId)) {
+            this.domElement.releasePointerCapture(this._strokePointerId);
+        }
+        this._strokePointerId = null;
+    }
+
+    /** @param {{x: number, y: number}} point @protected */
+    _startStroke(point) { }
+
+    /** @param {{x: number, y: number}} point @protected */
+    _continueStroke(point) { }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @returns {Set<number> | null}
+     * @protected
+     */
+    _finishStroke(point) {
+        return null;
+    }
+
+    /**
+     * Called instead of _finishStroke when a stroke is abandoned; the selection stays as it was before the stroke.
+     * @protected
+     */
+    _cancelStroke() { }
+
+    /**
+     * Converts pointer event coordinates to canvas coordinates.
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}}
+     * @protected
+     */
+    _getCanvasPoint(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Projects all mesh vertices to canvas coordinates.
+     * Vertices outside the view frustum are marked as not selectable. Hidden vertices are only filtered out
+     * when selecting (see _selectOnScreen), so the depth buffer is read back just where the stroke is.
+     * @returns {{ screen: Float32Array, depth: Float32Array, selectable: Uint8Array }} `screen` holds x, y per vertex,
+     *          `depth` the NDC depth.
+     * @protected
+     */
+    _projectVertices() {
+        const positionAttribute = this.mesh?.geometry?.attributes.position;
+        if (!positionAttribute) {
+            console.warn("Selection: Mesh or geometry position attribute not found.");
+            return { screen: new Float32Array(0), depth: new Float32Array(0), selectable: new Uint8Array(0) };
+        }
+
+        const vertex = new THREE.Vector3();
+        const canvasWidth = this.domElement.clientWidth;
+        const canvasHeight = this.domElement.clientHeight;
+        const screen = new Float32Array(positionAttribute.count * 2);
+        const depth = new Float32Array(positionAttribute.count);
+        const selectable = new Uint8Array(positionAttribute.count);
+
+        // Pre-calculate the world matrix if needed (ensures up-to-date position)
+        this.mesh.updateMatrixWorld();
+
+        for (let i = 0; i < positionAttribute.count; i++) {
+            // Local space -> world space -> normalized device coordinates
+            vertex.fromBufferAttribute(positionAttribute, i);
+            vertex.applyMatrix4(this.mesh.matrixWorld);
+            vertex.project(this.camera);
+
+            // Convert normalized device coordinates (-1 to +1) to screen coordinates (0 to width/height)
+            const x = Math.round(((vertex.x + 1) / 2) * canvasWidth);
+            const y = Math.round(((1 - vertex.y) / 2) * canvasHeight); // Y is inverted
+            screen[i * 2] = x;
+            screen[i * 2 + 1] = y;
+            depth[i] = vertex.z;
+
+            // Check if the vertex is within the camera's view frustum (z coordinate check)
+            selectable[i] = vertex.z > -1 && vertex.z < 1 ? 1 : 0;
+        }
+        return { screen, depth, selectable };
+    }
+
+    /**
+     * Returns the selectable vertices whose canvas position passes a test, together with their seam copies
+     * (vertices at the same position), so a selection never splits a seam.
+     * Without X-ray, vertices hidden behind other parts of the mesh are skipped; the depth buffer is read back
+     * only for the bounding rectangle of the vertices that pass the test.
+     * @param {(x: number, y: number) => boolean} isInside - Test on canvas coordinates.
+     * @param {{ screen: Float32Array, depth: Float32Array, selectable: Uint8Array }} [projection] - Result of _projectVertices, computed if omitted.
+     * @returns {Set<number>}
+     * @protected
+     */
+    _selectOnScreen(isInside, projection = this._projectVertices()) {
+        const { screen, depth, selectable } = projection;
+        const candidates = [];
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < selectable.length; i++) {
+            const x = screen[i * 2], y = screen[i * 2 + 1];
+            if (selectable[i] && isInside(x, y)) {
+                candidates.push(i);
+                minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+            }
+        }
+        if (candidates.length === 0) return new Set();
+
+        let isVisible = null;
+        if (!this.xray) {
+            if (this.renderer) {
+                isVisible = createDepthVisibilityTest(this.renderer, this.camera, this.mesh, { minX, minY, maxX, maxY });
+            } else {
+                console.warn("Selection: No renderer provided, selecting hidden vertices too.");
+            }
+        }
+        const result = new Set(isVisible ? candidates.filter(i => isVisible(screen[i * 2], screen[i * 2 + 1], depth[i])) : candidates);
+        return result.size > 0 ? expandToWeldedVertices(result, getWeldMap(this.mesh.geometry)) : result;
+    }
+
+    /**
+     * Returns the set of selected vertex indices.
+     * @returns {Set<number>}
+     */
+    getSelectedVertices() {
+        return this.selectedVertices;
+    }
+
+    /**
+     * Replaces the selection without notifying, e.g. to stay in sync with selection changes made outside the tool.
+     * @param {Set<number>} indices
+     */
+    setSelectedVertices(indices) {
+        this.selectedVertices = new Set(indices);
+    }
+}
+
+export default SelectionTool;
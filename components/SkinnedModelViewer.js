@@ -1,5 +1,5 @@
 import React, { useMemo, useRef, useEffect } from 'react';
-import { Canvas } from '@react-three/fiber';
+import { Canvas, useFrame } from '@react-three/fiber';
 import { OrbitControls, Stats, GridHelper } from '@react-three/drei';
 import * as THREE from 'three';
 
@@ -8,8 +8,9 @@ import * as THREE from 'three';
  * @param {object} props
  * @param {THREE.BufferGeometry} props.geometry - The geometry with skinIndex/skinWeight attributes.
  * @param {THREE.Skeleton} props.skeleton - The skeleton containing the bones.
+ * @param {THREE.AnimationClip} [props.clip] - Optional clip to play in a loop on the skinned mesh.
  */
-function SkinnedModelViewer({ geometry, skeleton }) {
+function SkinnedModelViewer({ geometry, skeleton, clip }) {
     const skinnedMeshRef = useRef();
 
     // Memoize the creation of the SkinnedMesh, material, and helper
@@ -93,6 +94,9 @@ function SkinnedModelViewer({ geometry, skeleton }) {
                 {/* Render the SkeletonHelper */}
                 <primitive object={skeletonHelper} />
 
+                {/* Play the generated animation, if any */}
+                {clip && <ClipPlayer root={skinnedMesh} clip={clip} />}
+
                 <OrbitControls />
                 <Stats />
                 <gridHelper args={[10, 10]} />
@@ -101,4 +105,30 @@ function SkinnedModelViewer({ geometry, skeleton }) {
     );
 }
 
+/**
+ * Plays an AnimationClip on the given root object in a loop. Must be rendered inside a Canvas.
+ * @param {object} props
+ * @param {THREE.Object3D} props.root - Object whose descendants the clip's tracks target (by bone name).
+ * @param {THREE.AnimationClip} props.clip - The clip to play.
+ */
+function ClipPlayer({ root, clip }) {
+    const mixer = useMemo(() => new THREE.AnimationMixer(root), [root]);
+
+    useEffect(() => {
+        const action = mixer.clipAction(clip);
+        action.setLoop(THREE.LoopRepeat, Infinity).play();
+        console.log(`SkinnedModelViewer: Playing clip "${clip.name}".`);
+
+        return () => {
+            // Stop and restore the rest pose when the clip changes or the viewer unmounts
+            action.stop();
+            mixer.uncacheClip(clip);
+        };
+    }, [mixer, clip]);
+
+    useFrame((_, delta) => mixer.update(delta));
+
+    return null;
+}
+
 export default SkinnedModelViewer; 
\ No newline at end of file
@@ -0,0 +1,72 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * On-screen joystick for touch screens. Drag the handle away from the center; the deflection is reported
+ * continuously while held and reset to zero on release.
+ *
+ * @param {(value: {x: number, y: number}) => void} onChange - Deflection, each axis in -1..1 (x right, y up).
+ * @param {string} [className] - Class for the joystick base.
+ * @param {string} [handleClassName] - Class for the handle.
+ * @param {string} [label] - Accessible name, also shown as a tooltip.
+ */
+function TouchJoystick({ onChange, className, handleClassName, label }) {
+    const baseRef = useRef(null);
+    const pointerIdRef = useRef(null);
+    const [offset, setOffset] = useState({ x: 0, y: 0 }); // Handle offset in pixels
+
+    const update = (event) => {
+        const rect = baseRef.current.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = event.clientX - (rect.left + radius);
+        let dy = event.clientY - (rect.top + rect.height / 2);
+        // Keep the handle inside the base
+        const distance = Math.hypot(dx, dy);
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+        setOffset({ x: dx, y: dy });
+        onChange({ x: dx / radius, y: -dy / radius });
+    };
+
+    const handlePointerDown = (event) => {
+        if (pointerIdRef.current !== null) return;
+        pointerIdRef.current = event.pointerId;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        update(event);
+    };
+
+    const handlePointerMove = (event) => {
+        if (event.pointerId !== pointerIdRef.current) return;
+        update(event);
+    };
+
+    const handlePointerEnd = (event) => {
+        if (event.pointerId !== pointerIdRef.current) return;
+        pointerIdRef.current = null;
+        setOffset({ x: 0, y: 0 });
+        onChange({ x: 0, y: 0 });
+    };
+
+    return (
+        <div
+            ref={baseRef}
+            className={className}
+            style={{ touchAction: 'none' }}
+            role="slider"
+            aria-label={label}
+            title={label}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerEnd}
+            onPointerCancel={handlePointerEnd}
+        >
+            <div
+                className={handleClassName}
+                style={{ transform: `translate(calc(-50% + ${offset.x}px), calc(-50% + ${offset.y}px))` }}
+            />
+        </div>
+    );
+}
+
+export default TouchJoystick;
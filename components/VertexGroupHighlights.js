@@ -0,0 +1,54 @@
+import React, { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { getVertexGroupColor } from './VertexGroupManager';
+import { getVertexGroupWeights } from '../utils/meshUtils';
+
+/**
+ * Draws the vertices of each visible vertex group as points in the group's color,
+ * darker where the vertex's weight in the group is lower.
+ * @param {THREE.Mesh | null} mesh - Mesh holding userData.vertexGroups.
+ * @param {number} version - Bump when the groups change, so the points are rebuilt.
+ * @param {Set<string>} hiddenGroups - Groups that are not drawn.
+ */
+function VertexGroupHighlights({ mesh, version, hiddenGroups }) {
+    const geometry = useMemo(() => {
+        const positionAttribute = mesh?.geometry?.attributes.position;
+        const vertexGroups = mesh?.userData?.vertexGroups;
+        if (!positionAttribute || !vertexGroups) return null;
+
+        const positions = [];
+        const colors = [];
+        Object.entries(vertexGroups).forEach(([name, indices]) => {
+            if (hiddenGroups.has(name)) return;
+            const color = getVertexGroupColor(name);
+            const weights = getVertexGroupWeights(mesh, name);
+            indices.forEach((index, k) => {
+                if (index >= positionAttribute.count) return;
+                const shade = 0.25 + 0.75 * weights[k];
+                positions.push(positionAttribute.getX(index), positionAttribute.getY(index), positionAttribute.getZ(index));
+                colors.push(color.r * shade, color.g * shade, color.b * shade);
+            });
+        });
+        if (positions.length === 0) return null;
+
+        const points = new THREE.BufferGeometry();
+        points.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        points.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        return points;
+        // Groups live in mesh.userData, so `version` signals when to rebuild
+    }, [mesh, version, hiddenGroups]);
+
+    useEffect(() => () => geometry?.dispose(), [geometry]);
+
+    if (!geometry) return null;
+    // Positions are in the mesh's local space, so the points follow the mesh's world matrix
+    return (
+        <group matrixAutoUpdate={false} matrix={mesh.matrixWorld}>
+            <points geometry={geometry} renderOrder={1}>
+                <pointsMaterial size={4} sizeAttenuation={false} vertexColors depthTest={false} />
+            </points>
+        </group>
+    );
+}
+
+export default VertexGroupHighlights;
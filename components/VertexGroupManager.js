@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import * as THREE from 'three';
+import GroupSelectorUI from './GroupSelectorUI';
+import styles from '../styles/Editor.module.css';
+import { getVertexGroupNames, sanitizeVertexGroupName, renameVertexGroup, deleteVertexGroup, mergeVertexGroups } from '../utils/meshUtils';
+
+/**
+ * Highlight color of a vertex group. The hue comes from a hash of the name (FNV-1a), so a group keeps
+ * its color when other groups are created, deleted or renamed.
+ * @param {string} name - Vertex group name.
+ * @returns {THREE.Color}
+ */
+export function getVertexGroupColor(name) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+    }
+    // Spread consecutive hashes by the golden ratio so similar names still get clearly different hues
+    return new THREE.Color().setHSL(((hash >>> 0) * 0.618033988749895) % 1, 0.8, 0.55);
+}
+
+/**
+ * Lists the vertex groups of a mesh with their vertex counts and highlight colors, and lets the user
+ * show/hide, select, rename, delete and merge them. Changes go through the meshUtils helpers so the
+ * `custom_<name>` attributes stay in sync with mesh.userData.vertexGroups.
+ *
+ * @param {THREE.Mesh | null} mesh - The mesh whose groups are managed.
+ * @param {number} version - Bump when the groups change elsewhere, so the list is read again.
+ * @param {Set<string>} hiddenGroups - Groups whose highlight is hidden.
+ * @param {(name: string) => void} onToggleVisibility - Shows or hides a group's highlight.
+ * @param {(indices: Set<number>) => void} onSelectGroup - Replaces the selection with a group's vertices.
+ * @param {(description: string) => void} onGroupsChange - Called after a group was renamed, deleted or merged, with a short description.
+ * @param {boolean} [disabled=false] - Disables editing, e.g. while a skeleton is generated.
+ */
+function VertexGroupManager({ mesh, version, hiddenGroups, onToggleVisibility, onSelectGroup, onGroupsChange, disabled = false }) {
+    const [renaming, setRenaming] = useState(null); // { name, value } while a name is edited
+    const [mergeSource, setMergeSource] = useState(null); // Group being merged into another
+    const [mergeTarget, setMergeTarget] = useState('');
+    const [feedback, setFeedback] = useState('');
+
+    // Groups live in mesh.userData, so `version` signals when to read them again
+    const groupNames = useMemo(() => (mesh ? getVertexGroupNames(mesh) : []), [mesh, version]);
+    const vertexGroups = mesh?.userData?.vertexGroups || {};
+
+    const applyChange = (change, description) => {
+        try {
+            change();
+            setFeedback(`${description}.`);
+            onGroupsChange(description);
+        } catch (error) {
+            console.error("Vertex Groups: Update failed:", error);
+            setFeedback(`Error: ${error.message}`);
+        }
+    };
+
+    const handleRenameConfirm = () => {
+        if (!renaming) return; // Enter already confirmed; the input's blur follows
+        const { name, value } = renaming;
+        const newName = sanitizeVertexGroupName(value);
+        setRenaming(null);
+        if (!newName) {
+            setFeedback("Error: Use letters, numbers and underscores for group names.");
+            return;
+        }
+        if (newName === name) return;
+        applyChange(() => renameVertexGroup(mesh, name, newName), `Renamed "${name}" to "${newName}"`);
+    };
+
+    const handleDelete = (name) => {
+        if (!window.confirm(`Delete vertex group "${name}"?`)) return;
+        applyChange(() => deleteVertexGroup(mesh, name), `Deleted "${name}"`);
+    };
+
+    const handleMergeStart = (name) => {
+        setMergeSource(name);
+        setMergeTarget(groupNames.find(other => other !== name) || '');
+    };
+
+    const handleMergeConfirm = () => {
+        const source = mergeSource;
+        setMergeSource(null);
+        if (!mergeTarget) return;
+        applyChange(() => mergeVertexGroups(mesh, source, mergeTarget), `Merged "${source}" into "${mergeTarget}"`);
+    };
+
+    if (!mesh) return null;
+
+    return (
+        <div className={styles.groupManager}>
+            <h4>Vertex Groups</h4>
+            {groupNames.length === 0 && <p className={styles.groupManagerEmpty}>No groups yet. Select vertices and use Set Group.</p>}
+            <ul>
+                {groupNames.map(name => (
+                    <li key={name}>
+                        <input
+                            type="checkbox"
+                            checked={!hiddenGroups.has(name)}
+                            onChange={() => onToggleVisibility(name)}
+                            title="Show highlight"
+                        />
+                        <span className={styles.groupSwatch} style={{ backgroundColor: `#${getVertexGroupColor(name).getHexString()}` }} />
+                        {renaming?.name === name ? (
+                            <input
+                                type="text"
+                                value={renaming.value}
+                                autoFocus
+                                onChange={(e) => setRenaming({ name, value: e.target.value })}
+                                onBlur={handleRenameConfirm}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') handleRenameConfirm();
+                                    if (e.key === 'Escape') setRenaming(null);
+                                }}
+                            />
+                        ) : (
+                            <button onClick={() => onSelectGroup(new Set(vertexGroups[name]))} title="Select these vertices">
+                                {name}
+                            </button>
+                        )}
+                        <span className={styles.meshStats}>{vertexGroups[name]?.length || 0}</span>
+                        <button onClick={() => setRenaming({ name, value: name })} disabled={disabled} title="Rename">✎</button>
+                        <button onClick={() => handleMergeStart(name)} disabled={disabled || groupNames.length < 2} title="Merge into another group">⇢</button>
+                        <button onClick={() => handleDelete(name)} disabled={disabled} title="Delete">✕</button>
+                    </li>
+                ))}
+            </ul>
+            {feedback && <p className={feedback.startsWith('Error') ? styles.errorText : styles.groupManagerEmpty}>{feedback}</p>}
+
+            <GroupSelectorUI
+                isVisible={mergeSource !== null}
+                title={`Merge "${mergeSource}" into`}
+                groups={groupNames.filter(name => name !== mergeSource)}
+                selectedGroup={mergeTarget}
+                onGroupChange={setMergeTarget}
+                onConfirm={handleMergeConfirm}
+                onCancel={() => setMergeSource(null)}
+                isProcessing={disabled}
+            />
+        </div>
+    );
+}
+
+export default VertexGroupManager;
@@ -0,0 +1,32 @@
+import ModelEditorLasso from './ModelEditorLasso';
+import BoxSelectTool from './BoxSelectTool';
+import BrushSelectTool from './BrushSelectTool';
+import IslandSelectTool from './IslandSelectTool';
+
+export { SELECTION_MODES } from './SelectionTool';
+export { DEFAULT_BRUSH_RADIUS } from './BrushSelectTool';
+
+// Selection tools by name, in the order they are offered in the editor
+const SELECTION_TOOL_CLASSES = {
+    lasso: ModelEditorLasso,
+    box: BoxSelectTool,
+    brush: BrushSelectTool,
+    island: IslandSelectTool,
+};
+
+export const SELECTION_TOOLS = Object.keys(SELECTION_TOOL_CLASSES);
+
+/**
+ * Creates a selection tool by name. All tools share the SelectionTool interface.
+ * @param {string} name - One of SELECTION_TOOLS.
+ * @param {...any} args - Constructor arguments (camera, domElement, mesh, onSelectionChange, options).
+ * @returns {import('./SelectionTool').default}
+ * @throws {Error} If the tool name is unknown.
+ */
+export function createSelectionTool(name, ...args) {
+    const ToolClass = SELECTION_TOOL_CLASSES[name];
+    if (!ToolClass) {
+        throw new Error(`Unknown selection tool "${name}". Expected one of: ${SELECTION_TOOLS.join(', ')}.`);
+    }
+    return new ToolClass(...args);
+}
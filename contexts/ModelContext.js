@@ -29,7 +29,9 @@ export function ModelProvider({ children }) {
     const [groupedVertexData, setGroupedVertexData] = useState(null); // Array of { index: number, position: {x,y,z} }
     const [modelGeometry, setModelGeometry] = useState(null); // State to hold geometry
 
-    // Function to store model file/URL data
+    // Function to store model file/URL data: { file, modelUrl, modelName, loaded, sessionId, project }
+    // sessionId is the saved session of the file (see utils/sessionStore), or null when sessions cannot be saved.
+    // project is a project file opened together with the model (see utils/projectFormat), or null.
     const storeModel = useCallback((data) => {
         console.log("Storing model file data:", data);
         setModelData(data);
@@ -0,0 +1,102 @@
+import { useState, useCallback, useRef } from 'react';
+
+// Oldest entries are dropped beyond this many
+export const HISTORY_LIMIT = 100;
+
+/**
+ * An undoable edit. Both functions put the editor into an absolute state (the one before or after the edit),
+ * so they are safe to call repeatedly.
+ * @typedef {object} EditCommand
+ * @property {string} label - Shown in the history list.
+ * @property {() => void} undo
+ * @property {() => void} redo
+ */
+
+/**
+ * Bundles several commands into one history entry. Undo runs them in reverse order.
+ * @param {string} label
+ * @param {EditCommand[]} commands
+ * @returns {EditCommand}
+ */
+export function combineCommands(label, commands) {
+    return {
+        label,
+        undo: () => [...commands].reverse().forEach(command => command.undo()),
+        redo: () => commands.forEach(command => command.redo()),
+    };
+}
+
+/**
+ * Undo/redo stack of editor commands. Commands are pushed after their edit was applied;
+ * pushing while some entries are undone discards those entries.
+ * @param {object} [options]
+ * @param {number} [options.limit=HISTORY_LIMIT] - Maximum number of entries kept.
+ */
+export function useEditHistory({ limit = HISTORY_LIMIT } = {}) {
+    const [history, setHistory] = useState({ entries: [], position: 0 }); // entries[0..position) are applied
+    const historyRef = useRef(history); // Read by the callbacks, so several calls in one event see each other's changes
+
+    const update = (next) => {
+        historyRef.current = next;
+        setHistory(next);
+    };
+
+    /**
+     * Records an edit that was just applied.
+     * @param {EditCommand} command
+     */
+    const push = useCallback((command) => {
+        const { entries, position } = historyRef.current;
+        const kept = [...entries.slice(0, position), command].slice(-limit);
+        update({ entries: kept, position: kept.length });
+    }, [limit]);
+
+    /**
+     * Undoes or redoes entries until `position` entries are applied.
+     * A command that throws leaves the editor in an unknown state, so the history is cleared.
+     * @param {number} position - 0 undoes everything, entries.length redoes everything.
+     */
+    const goTo = useCallback((position) => {
+        const { entries, position: current } = historyRef.current;
+        const target = Math.max(0, Math.min(entries.length, position));
+        let applied = current;
+        let step = null;
+        try {
+            while (applied > target) {
+                step = entries[applied - 1];
+                step.undo();
+                applied--;
+            }
+            while (applied < target) {
+                step = entries[applied];
+                step.redo();
+                applied++;
+            }
+        } catch (error) {
+            console.error(`History: Could not apply "${step.label}":`, error);
+            update({ entries: [], position: 0 });
+            return;
+        }
+        update({ entries, position: target });
+    }, []);
+
+    const undo = useCallback(() => goTo(historyRef.current.position - 1), [goTo]);
+    const redo = useCallback(() => goTo(historyRef.current.position + 1), [goTo]);
+
+    /**
+     * Forgets every entry, e.g. after another model or project was opened.
+     */
+    const clear = useCallback(() => update({ entries: [], position: 0 }), []);
+
+    return {
+        entries: history.entries,
+        position: history.position,
+        canUndo: history.position > 0,
+        canRedo: history.position < history.entries.length,
+        push,
+        undo,
+        redo,
+        goTo,
+        clear,
+    };
+}
@@ -1,7 +1,108 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useMemo } from 'react';
 import * as THREE from 'three';
-import { samplePrecomputedPositions } from '../utils/samplingUtils';
-import { createAndBindSkeleton } from '../utils/riggingUtils';
+import { samplePrecomputedPositionsByGroup, computeShapeDescriptorsByGroup } from '../utils/samplingUtils';
+import { createAndBindSkeletonAsync, validateJointHierarchy, SKIN_WEIGHTING_METHODS } from '../utils/riggingUtils';
+import { getBoneDescriptors, createAnimationClip, rebaseAnimationClip } from '../utils/animationUtils';
+import { describeApiErrorResponse } from '../utils/apiErrors';
+import { mergeMeshesForRigging, getVertexGroupWeights } from '../utils/meshUtils';
+
+// Joint range suggested for each vertex group until the user changes it
+const DEFAULT_GROUP_JOINT_BUDGET = { min: 4, max: 4 };
+
+// Even coverage of each group, and the same samples for the same selection so requests can be reproduced
+const SAMPLING_OPTIONS = { mode: 'stratified', seed: 1 };
+
+/**
+ * Keeps the joint budgets the user already chose for groups that still exist; new groups get the default.
+ * @private
+ */
+function keepJointBudgets(budgets, vertexGroups) {
+    return Object.fromEntries(
+        Object.keys(vertexGroups).map(groupName => [groupName, budgets[groupName] || { ...DEFAULT_GROUP_JOINT_BUDGET }])
+    );
+}
+
+/**
+ * Collects what skeleton generation needs from the meshes: the vertices of every vertex group (in world space)
+ * and the geometry to bind. Several meshes are combined into one world-space geometry (see mergeMeshesForRigging),
+ * so the skeleton spans all of them; vertex groups with the same name on different meshes form one group.
+ * @param {THREE.Mesh | THREE.Mesh[]} meshes - The target mesh or meshes.
+ * @returns {{ data?: object, error?: string }} The prepared data (see useSkeletonGenerator's preparedData), or a message for the user.
+ * @private
+ */
+function buildRiggingData(meshes) {
+    // --- 1. Validation ---
+    const targetMeshes = (Array.isArray(meshes) ? meshes : [meshes]).filter(Boolean);
+    if (targetMeshes.length === 0 || targetMeshes.some(mesh => !mesh.geometry || !mesh.geometry.attributes.position)) {
+        console.error("Skeleton Prep: Mesh or geometry position data is missing.");
+        return { error: "Model mesh data is not available." };
+    }
+    targetMeshes.forEach(mesh => mesh.updateMatrixWorld()); // Ensure world matrices are up-to-date
+
+    // A single mesh keeps its own local space; several are combined in world space
+    let source;
+    if (targetMeshes.length === 1) {
+        const mesh = targetMeshes[0];
+        const vertexGroups = mesh.userData?.vertexGroups || {};
+        const vertexGroupWeights = Object.fromEntries(Object.keys(vertexGroups).map(name => [name, getVertexGroupWeights(mesh, name)]));
+        source = { geometry: mesh.geometry, material: mesh.material, vertexGroups, vertexGroupWeights, matrixWorld: mesh.matrixWorld };
+    } else {
+        const { geometry, materials, vertexGroups, vertexGroupWeights } = mergeMeshesForRigging(targetMeshes);
+        source = { geometry, material: materials, vertexGroups, vertexGroupWeights, matrixWorld: new THREE.Matrix4() };
+    }
+
+    const currentVertexGroups = source.vertexGroups;
+    if (Object.keys(currentVertexGroups).length === 0) {
+        console.error("Skeleton Prep: No vertex groups defined.");
+        return { error: "Please define at least one vertex group using the Attribute Setter." };
+    }
+
+    // --- 2. Prepare Data ---
+    console.log("Skeleton Prep: Preparing data...");
+    const positionAttribute = source.geometry.attributes.position;
+    const groupedData = [];
+
+    // Iterate through vertex groups stored in userData
+    for (const groupName in currentVertexGroups) {
+        const indices = currentVertexGroups[groupName];
+        const weights = source.vertexGroupWeights[groupName] || [];
+        indices.forEach((index, i) => {
+            if (index < positionAttribute.count) {
+                const vertex = new THREE.Vector3();
+                vertex.fromBufferAttribute(positionAttribute, index);
+                vertex.applyMatrix4(source.matrixWorld); // Calculate world position
+
+                groupedData.push({
+                    group: groupName,
+                    vertexIndex: index, // Keep original index if needed later
+                    position: { x: vertex.x, y: vertex.y, z: vertex.z },
+                    weight: weights[i] ?? 1, // Importance for sampling
+                });
+            } else {
+                console.warn(`Skeleton Prep: Index ${index} for group ${groupName} is out of bounds.`);
+            }
+        });
+    }
+
+    if (groupedData.length === 0) {
+        console.error("Skeleton Prep: No valid vertices found in defined groups.");
+        return { error: "No vertices associated with the defined groups. Please re-assign attributes." };
+    }
+
+    const geometryClone = targetMeshes.length === 1 ? source.geometry.clone() : source.geometry;
+    console.log(`Skeleton Prep: Prepared ${groupedData.length} vertices from ${targetMeshes.length} mesh(es) and groups:`, Object.keys(currentVertexGroups));
+    return {
+        data: {
+            groupedVertexData: groupedData,
+            geometryClone: geometryClone,
+            matrixWorld: targetMeshes.length === 1 ? source.matrixWorld.clone() : null,
+            vertexGroups: currentVertexGroups,
+            vertexGroupWeights: source.vertexGroupWeights,
+            material: source.material,
+            meshes: targetMeshes,
+        },
+    };
+}
 
 export function useSkeletonGenerator() {
     const [isPreparing, setIsPreparing] = useState(false);
@@ -10,93 +111,122 @@ export function useSkeletonGenerator() {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [generatedSkeleton, setGeneratedSkeleton] = useState(null);
+    const [generatedJoints, setGeneratedJoints] = useState(null); // Joints the skeleton was built from, for saving the session
     const [skinnedGeometry, setSkinnedGeometry] = useState(null); // Store geometry with skinning attributes
+    const [animationClip, setAnimationClip] = useState(null); // THREE.AnimationClip for the generated skeleton
+    const [isAnimating, setIsAnimating] = useState(false);
+    const [animationError, setAnimationError] = useState(null);
+    const [weightingMethod, setWeightingMethod] = useState('segment'); // See SKIN_WEIGHTING_METHODS
+    const [jointBudgets, setJointBudgets] = useState({}); // { [groupName]: { min, max } }
+    const [isRebinding, setIsRebinding] = useState(false); // Skin weights are recomputed after a joint edit
+    const rebindRequestRef = useRef(0); // Latest joint edit; older rebinds are dropped when they finish
 
     // Internal state for prepared data
     const [preparedData, setPreparedData] = useState({
         groupedVertexData: null,
         geometryClone: null,
+        matrixWorld: null, // World matrix of the source mesh, used to bring joints into geometry space (null when already world space)
+        vertexGroups: null, // Source mesh's userData.vertexGroups, restricts geodesic weighting
+        vertexGroupWeights: null, // Matching userData.vertexGroupWeights, scales group bone influence
+        material: null, // Material(s) of geometryClone; one per part (by geometry group) when meshes were combined
+        meshes: null, // The meshes the data was prepared from
     });
 
     /**
-     * Prepares the necessary data (vertex positions, geometry clone) for skeleton generation.
-     * @param {THREE.Mesh} mesh - The target mesh.
+     * Prepares the necessary data (vertex positions, geometry clone) for skeleton generation (see buildRiggingData).
+     * @param {THREE.Mesh | THREE.Mesh[]} meshes - The target mesh or meshes.
      * @returns {boolean} - True if preparation was successful and prompt can be shown, false otherwise.
      */
-    const prepare = useCallback((mesh) => {
+    const prepare = useCallback((meshes) => {
         setIsPreparing(true);
         setError(null);
         setGeneratedSkeleton(null);
+        setGeneratedJoints(null);
         setSkinnedGeometry(null);
-        setPreparedData({ groupedVertexData: null, geometryClone: null }); // Clear previous
-
-        // --- 1. Validation ---
-        if (!mesh || !mesh.geometry || !mesh.geometry.attributes.position) {
-            console.error("Skeleton Prep: Mesh or geometry position data is missing.");
-            setError("Model mesh data is not available.");
-            setIsPreparing(false);
-            return false;
-        }
-        const currentVertexGroups = mesh.userData?.vertexGroups || {};
-        if (Object.keys(currentVertexGroups).length === 0) {
-            console.error("Skeleton Prep: No vertex groups defined.");
-            setError("Please define at least one vertex group using the Attribute Setter.");
-            setIsPreparing(false);
-            return false;
-        }
+        setAnimationClip(null);
+        setAnimationError(null);
+        setPreparedData({ groupedVertexData: null, geometryClone: null, matrixWorld: null, vertexGroups: null, vertexGroupWeights: null, material: null, meshes: null }); // Clear previous
 
-        // --- 2. Prepare Data ---
-        console.log("Skeleton Prep: Preparing data...");
-        const positionAttribute = mesh.geometry.attributes.position;
-        const groupedData = [];
-        mesh.updateMatrixWorld(); // Ensure world matrix is up-to-date
-
-        // Iterate through vertex groups stored in userData
-        for (const groupName in currentVertexGroups) {
-            const indices = currentVertexGroups[groupName];
-            indices.forEach(index => {
-                if (index < positionAttribute.count) {
-                    const vertex = new THREE.Vector3();
-                    vertex.fromBufferAttribute(positionAttribute, index);
-                    vertex.applyMatrix4(mesh.matrixWorld); // Calculate world position
-
-                    groupedData.push({
-                        group: groupName,
-                        vertexIndex: index, // Keep original index if needed later
-                        position: { x: vertex.x, y: vertex.y, z: vertex.z }
-                    });
-                } else {
-                    console.warn(`Skeleton Prep: Index ${index} for group ${groupName} is out of bounds.`);
-                }
-            });
-        }
-
-        if (groupedData.length === 0) {
-            console.error("Skeleton Prep: No valid vertices found in defined groups.");
-            setError("No vertices associated with the defined groups. Please re-assign attributes.");
+        const { data, error: prepError } = buildRiggingData(meshes);
+        if (!data) {
+            setError(prepError);
             setIsPreparing(false);
             return false;
         }
 
-        // --- 3. Store Data & Set State ---
-        const geometryClone = mesh.geometry.clone();
-        setPreparedData({ groupedVertexData: groupedData, geometryClone: geometryClone });
+        // --- Store Data & Set State ---
+        setJointBudgets(previous => keepJointBudgets(previous, data.vertexGroups));
+        setPreparedData(data);
         setShowPrompt(true); // Signal to show the prompt UI
         setIsPreparing(false);
-        console.log(`Skeleton Prep: Prepared ${groupedData.length} vertices from groups:`, Object.keys(currentVertexGroups));
         return true; // Success
     }, []); // Dependencies: none, relies on arguments
 
+    /**
+     * Requests keyframes for the given skeleton and turns them into an AnimationClip.
+     * Failures are reported through animationError and leave the skeleton untouched.
+     * @param {THREE.Skeleton} skeleton - The skeleton to animate.
+     * @param {string} animationPrompt - Description of the desired motion.
+     * @param {THREE.Matrix4 | null} [matrixWorld] - World matrix of the skeleton's space (preparedData.matrixWorld), so bone
+     *        positions are sent in world space. Null if the skeleton is already in world space.
+     * @returns {Promise<THREE.AnimationClip | null>} The created clip, or null on failure.
+     */
+    const generateAnimation = useCallback(async (skeleton, animationPrompt, matrixWorld = null) => {
+        setAnimationError(null);
+        setAnimationClip(null);
+        setIsAnimating(true);
+
+        try {
+            const bones = getBoneDescriptors(skeleton, matrixWorld);
+            if (bones.length === 0) {
+                throw new Error("Skeleton has no bones to animate.");
+            }
+
+            console.log(`Animation Gen: Sending ${bones.length} bones and prompt to API...`);
+            const response = await fetch('/api/generate-animation', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    bones,
+                    animationPrompt: animationPrompt.trim(),
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(await describeApiErrorResponse(response));
+            }
+
+            const description = await response.json();
+            console.log("Animation Gen: API Response (Keyframes):", description);
+
+            const clip = createAnimationClip(description, skeleton);
+            if (!clip) {
+                throw new Error("Failed to create animation clip from keyframes.");
+            }
+            setAnimationClip(clip);
+            return clip;
+        } catch (err) {
+            console.error("Animation Gen: Error:", err);
+            setAnimationError(err.message || "An unknown error occurred.");
+            return null;
+        } finally {
+            setIsAnimating(false);
+        }
+    }, []);
+
     /**
      * Handles the API call and skeleton creation process.
      */
     const generate = useCallback(async () => {
         setError(null);
         setGeneratedSkeleton(null);
+        setGeneratedJoints(null);
         setSkinnedGeometry(null);
+        setAnimationClip(null);
+        setAnimationError(null);
         setIsLoading(true);
 
-        const { groupedVertexData, geometryClone } = preparedData;
+        const { groupedVertexData, geometryClone, matrixWorld, vertexGroups, vertexGroupWeights } = preparedData;
 
         // --- 1. Validate Inputs ---
         if (!groupedVertexData || groupedVertexData.length === 0) {
@@ -116,31 +246,32 @@ export function useSkeletonGenerator() {
         }
 
         try {
-            // --- 2. Sample Precomputed Positions ---
+            // --- 2. Sample Precomputed Positions (per vertex group) ---
             const samplingRatio = 0.5; // 50%
-            const maxSamples = 100; // Max samples
+            const maxSamples = 100; // Max samples across all groups
             console.log(`Skeleton Gen: Sampling ${samplingRatio * 100}% of ${groupedVertexData.length} vertices, max ${maxSamples}...`);
-            const sampledPositions = samplePrecomputedPositions(groupedVertexData, samplingRatio, maxSamples);
+            const groupedSamples = samplePrecomputedPositionsByGroup(groupedVertexData, samplingRatio, maxSamples, SAMPLING_OPTIONS);
 
-            if (sampledPositions.length === 0) {
+            if (Object.keys(groupedSamples).length === 0) {
                 throw new Error("Failed to sample any vertex positions.");
             }
+            const shapeDescriptors = computeShapeDescriptorsByGroup(groupedVertexData);
 
             // --- 3. Call Backend API ---
-            console.log(`Skeleton Gen: Sending ${sampledPositions.length} samples and prompt to API...`);
+            console.log(`Skeleton Gen: Sending samples for ${Object.keys(groupedSamples).length} group(s) and prompt to API...`);
             const response = await fetch('/api/generate-joints', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    sampledVertices: sampledPositions,
+                    groupedSamples,
+                    shapeDescriptors,
                     animationPrompt: prompt.trim(),
+                    jointBudgets,
                 }),
             });
 
             if (!response.ok) {
-                let errorMsg = `API request failed (${response.status})`;
-                try { const errorData = await response.json(); errorMsg = errorData.error || errorMsg; } catch (e) { /* Ignore */ }
-                throw new Error(errorMsg);
+                throw new Error(await describeApiErrorResponse(response));
             }
 
             const joints = await response.json();
@@ -149,14 +280,23 @@ export function useSkeletonGenerator() {
             // --- 4. Create Skeleton & Bind ---
             if (geometryClone && joints && joints.length > 0) {
                 console.log("Skeleton Gen: Creating skeleton and binding attributes...");
-                // createAndBindSkeleton modifies geometryClone in place
-                const createdSkeleton = createAndBindSkeleton(geometryClone, joints);
+                // createAndBindSkeletonAsync modifies geometryClone in place
+                const createdSkeleton = await createAndBindSkeletonAsync(geometryClone, joints, {
+                    weighting: weightingMethod,
+                    matrixWorld,
+                    vertexGroups,
+                    vertexGroupWeights,
+                });
 
                 if (createdSkeleton) {
                     setGeneratedSkeleton(createdSkeleton);
+                    setGeneratedJoints(joints);
                     setSkinnedGeometry(geometryClone); // Store the modified geometry
                     console.log("Skeleton Gen: Success.", createdSkeleton);
                     setShowPrompt(false); // Hide prompt UI on success
+
+                    // --- 5. Generate Keyframes for the New Bones ---
+                    await generateAnimation(createdSkeleton, prompt, matrixWorld);
                 } else {
                     throw new Error("Failed to create skeleton or bind attributes.");
                 }
@@ -172,7 +312,179 @@ export function useSkeletonGenerator() {
         } finally {
             setIsLoading(false);
         }
-    }, [preparedData, prompt]); // Dependencies: preparedData, prompt
+    }, [preparedData, prompt, jointBudgets, weightingMethod, generateAnimation]); // Dependencies: preparedData, prompt, jointBudgets, weightingMethod, generateAnimation
+
+    /**
+     * Rebuilds a skeleton from saved joints without asking the API again, e.g. when a saved session or a project is opened.
+     * @param {THREE.Mesh | THREE.Mesh[]} meshes - The meshes the joints were generated for.
+     * @param {Array<object>} joints - Joints as returned by /api/generate-joints.
+     * @param {object} [options]
+     * @param {string} [options.prompt] - The prompt the skeleton was made with.
+     * @param {string} [options.weighting] - The skin weighting the skeleton was made with.
+     * @param {THREE.AnimationClip | null} [options.clip] - A saved clip for the skeleton. Without one, the clip can be generated again from the prompt.
+     * @returns {Promise<boolean>} True if the skeleton was rebuilt.
+     */
+    const restore = useCallback(async (meshes, joints, { prompt: savedPrompt = '', weighting = 'segment', clip = null } = {}) => {
+        setError(null);
+        setGeneratedSkeleton(null);
+        setGeneratedJoints(null);
+        setSkinnedGeometry(null);
+        setAnimationClip(null);
+        setAnimationError(null);
+
+        const { data, error: prepError } = buildRiggingData(meshes);
+        if (!data) {
+            setError(prepError);
+            return false;
+        }
+        const restoredWeighting = SKIN_WEIGHTING_METHODS.includes(weighting) ? weighting : 'segment';
+
+        setIsLoading(true);
+        try {
+            const skeleton = await createAndBindSkeletonAsync(data.geometryClone, joints, {
+                weighting: restoredWeighting,
+                matrixWorld: data.matrixWorld,
+                vertexGroups: data.vertexGroups,
+                vertexGroupWeights: data.vertexGroupWeights,
+            });
+            if (!skeleton) {
+                throw new Error("Failed to rebuild the saved skeleton.");
+            }
+            setJointBudgets(previous => keepJointBudgets(previous, data.vertexGroups));
+            setPreparedData(data);
+            setPrompt(savedPrompt);
+            setWeightingMethod(restoredWeighting);
+            setGeneratedJoints(joints);
+            setGeneratedSkeleton(skeleton);
+            setSkinnedGeometry(data.geometryClone);
+            setAnimationClip(clip);
+            console.log(`Skeleton Restore: Rebuilt skeleton with ${skeleton.bones.length} bones.`);
+            return true;
+        } catch (err) {
+            console.error("Skeleton Restore: Error:", err);
+            setError(err.message || "An unknown error occurred.");
+            return false;
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    /**
+     * Replaces the joints of the generated skeleton (e.g. after the user moved, inserted, deleted or re-parented one)
+     * and rebinds: bones and skin weights are recomputed with createAndBindSkeleton on a fresh copy of the prepared
+     * geometry. The joints update right away; the skeleton follows once the weights are ready.
+     * @param {Array<object>} joints - The edited joints (world space, root first).
+     * @param {object} [options]
+     * @param {boolean} [options.keepClip=false] - Keep the animation clip, re-based onto the new rest pose (see rebaseAnimationClip).
+     *        Only for edits that keep every bone name (moves); otherwise the clip is dropped.
+     * @returns {Promise<boolean>} True if the skeleton was rebuilt; false if the joints were invalid or a newer edit took over.
+     */
+    const updateJoints = useCallback(async (joints, { keepClip = false } = {}) => {
+        const { geometryClone, matrixWorld, vertexGroups, vertexGroupWeights } = preparedData;
+        const previousSkeleton = generatedSkeleton; // The skeleton the current clip was made for
+        const previousClip = animationClip;
+        if (!geometryClone) {
+            setError("No skeleton to edit. Please generate one first.");
+            return false;
+        }
+        try {
+            validateJointHierarchy(joints);
+        } catch (err) {
+            console.error("Joint Edit: Invalid joints:", err);
+            setError(err.message);
+            return false;
+        }
+
+        setError(null);
+        setGeneratedJoints(joints);
+        if (!keepClip) setAnimationClip(null);
+        const request = ++rebindRequestRef.current;
+        setIsRebinding(true);
+        try {
+            // Each rebind writes to its own copy, so a slow rebind cannot overwrite the weights of a newer one
+            const geometry = geometryClone.clone();
+            const skeleton = await createAndBindSkeletonAsync(geometry, joints, {
+                weighting: weightingMethod,
+                matrixWorld,
+                vertexGroups,
+                vertexGroupWeights,
+            });
+            if (request !== rebindRequestRef.current) return false;
+            if (!skeleton) {
+                throw new Error("Failed to rebuild the skeleton.");
+            }
+            setGeneratedSkeleton(skeleton);
+            setSkinnedGeometry(geometry);
+            if (keepClip && previousClip && previousSkeleton) {
+                // Position and rotation keys are absolute, so they must follow the moved rest positions
+                setAnimationClip(rebaseAnimationClip(previousClip, previousSkeleton, skeleton));
+            }
+            console.log(`Joint Edit: Rebound ${skeleton.bones.length} bones.`);
+            return true;
+        } catch (err) {
+            console.error("Joint Edit: Error:", err);
+            if (request === rebindRequestRef.current) setError(err.message || "An unknown error occurred.");
+            return false;
+        } finally {
+            if (request === rebindRequestRef.current) setIsRebinding(false);
+        }
+    }, [preparedData, weightingMethod, generatedSkeleton, animationClip]);
+
+    /**
+     * Drops the skeleton, clip and prepared data, e.g. before opening a project without a skeleton.
+     */
+    const reset = useCallback(() => {
+        setShowPrompt(false);
+        setError(null);
+        setGeneratedSkeleton(null);
+        setGeneratedJoints(null);
+        setSkinnedGeometry(null);
+        setAnimationClip(null);
+        setAnimationError(null);
+        setPreparedData({ groupedVertexData: null, geometryClone: null, matrixWorld: null, vertexGroups: null, vertexGroupWeights: null, material: null, meshes: null });
+    }, []);
+
+    // Everything built for the current skeleton, so the editor's history can return to it
+    const skeletonState = useMemo(() => ({
+        skeleton: generatedSkeleton,
+        joints: generatedJoints,
+        geometry: skinnedGeometry,
+        clip: animationClip,
+        preparedData,
+    }), [generatedSkeleton, generatedJoints, skinnedGeometry, animationClip, preparedData]);
+
+    /**
+     * Puts back a skeleton taken from skeletonState (undo/redo). Nothing is rebound: the saved skeleton and
+     * skinned geometry are used as they are. A rebind still running is dropped.
+     * @param {{ skeleton: THREE.Skeleton | null, joints: Array<object> | null, geometry: THREE.BufferGeometry | null, clip: THREE.AnimationClip | null, preparedData: object }} state
+     */
+    const setSkeletonState = useCallback((state) => {
+        rebindRequestRef.current++;
+        setIsRebinding(false);
+        setError(null);
+        setAnimationError(null);
+        setGeneratedSkeleton(state.skeleton);
+        setGeneratedJoints(state.joints);
+        setSkinnedGeometry(state.geometry);
+        setAnimationClip(state.clip);
+        setPreparedData(state.preparedData);
+    }, []);
+
+    /**
+     * Updates the joint range for one vertex group. Keeps min <= max.
+     * @param {string} groupName - The vertex group.
+     * @param {{ min?: number, max?: number }} budget - New min and/or max.
+     */
+    const setJointBudget = useCallback((groupName, budget) => {
+        setJointBudgets(previous => {
+            const current = previous[groupName] || DEFAULT_GROUP_JOINT_BUDGET;
+            let min = budget.min ?? current.min;
+            let max = budget.max ?? current.max;
+            if (budget.min !== undefined && min > max) max = min;
+            if (budget.max !== undefined && max < min) min = max;
+            return { ...previous, [groupName]: { min, max } };
+        });
+    }, []);
 
     /**
      * Cancels the prompting process.
@@ -189,12 +501,32 @@ export function useSkeletonGenerator() {
         showPrompt,
         prompt,
         setPrompt,
+        weightingMethod,
+        setWeightingMethod,
+        jointBudgets,
+        setJointBudget,
         isLoading,
+        isRebinding,
         error,
         generatedSkeleton,
+        generatedJoints,
         skinnedGeometry, // Expose the geometry with skinning attributes
+        riggedMatrixWorld: preparedData.matrixWorld, // Space of skinnedGeometry and the bones (null: world space)
+        riggedVertexGroups: preparedData.vertexGroups, // Vertex groups indexed into skinnedGeometry
+        riggedVertexGroupWeights: preparedData.vertexGroupWeights, // Their weights, in the same order
+        riggedMeshes: preparedData.meshes, // Meshes skinnedGeometry was built from
+        riggedMaterial: preparedData.material, // Material(s) for skinnedGeometry, matching its geometry groups
+        animationClip,
+        isAnimating,
+        animationError,
         prepare,
         generate,
+        generateAnimation,
+        restore,
+        reset,
+        updateJoints,
+        skeletonState,
+        setSkeletonState,
         cancel,
     };
 } 
\ No newline at end of file
@@ -6,18 +6,26 @@ import { useModelContext } from '../contexts/ModelContext'; // Import context ho
 // Import the *new* sampling function
 import { samplePrecomputedPositions } from '../utils/samplingUtils';
 import { createAndBindSkeleton } from '../utils/riggingUtils'; // Import the new rigging utility
+import { getBoneDescriptors, createAnimationClip } from '../utils/animationUtils';
+import { exportSkinnedModelToGLB, verifyExportedGLB, downloadGLB, getExportFileName, findFirstMeshMaterial } from '../utils/exportUtils';
+import { loadGLBFromFile } from '../utils/modelLoader';
+import { describeApiErrorResponse } from '../utils/apiErrors';
 import * as THREE from 'three'; // Import THREE
 import SkinnedModelViewer from '../components/SkinnedModelViewer'; // Import the new component
 
 export default function AnimationPage() {
     const router = useRouter();
     // Get groupedVertexData AND modelGeometry from context
-    const { groupedVertexData, modelGeometry } = useModelContext();
+    const { modelData, groupedVertexData, modelGeometry } = useModelContext();
     const [animationPrompt, setAnimationPrompt] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [animationError, setAnimationError] = useState(null); // Keyframe generation failed; the skeleton is still usable
     const [suggestedJoints, setSuggestedJoints] = useState(null);
     const [skeleton, setSkeleton] = useState(null); // State to hold the created skeleton
+    const [animationClip, setAnimationClip] = useState(null); // Clip generated for the skeleton
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportStatus, setExportStatus] = useState('');
 
     // Add a check on mount to ensure geometry is loaded
     useEffect(() => {
@@ -36,8 +44,10 @@ export default function AnimationPage() {
 
     const handleGenerateAnimation = async () => {
         setError(null);
+        setAnimationError(null);
         setSuggestedJoints(null);
         setSkeleton(null); // Clear previous skeleton
+        setAnimationClip(null);
         setIsLoading(true);
 
         // --- 1. Validate Inputs ---
@@ -64,7 +74,7 @@ export default function AnimationPage() {
             const samplingRatio = 0.5; // 50%
             const maxSamples = 100; // Max 5000 vertices
             console.log(`Sampling ${samplingRatio * 100}% of ${groupedVertexData.length} precomputed vertices, up to a max of ${maxSamples}...`);
-            const sampledPositions = samplePrecomputedPositions(groupedVertexData, samplingRatio, maxSamples);
+            const sampledPositions = samplePrecomputedPositions(groupedVertexData, samplingRatio, maxSamples, { mode: 'stratified', seed: 1 });
 
             if (sampledPositions.length === 0) {
                 setError("Failed to sample any vertex positions from the provided data.");
@@ -87,12 +97,7 @@ export default function AnimationPage() {
             });
 
             if (!response.ok) {
-                let errorMsg = `Request failed with status ${response.status}`;
-                try {
-                    const errorData = await response.json();
-                    errorMsg = errorData.error || errorMsg;
-                } catch (e) { /* Ignore */ }
-                throw new Error(errorMsg);
+                throw new Error(await describeApiErrorResponse(response));
             }
 
             const joints = await response.json();
@@ -103,9 +108,10 @@ export default function AnimationPage() {
 
             // --- 5. Create Skeleton and Bind Attributes to Geometry ---
             console.log("Attempting to create skeleton and bind attributes to geometry...");
+            let createdSkeleton = null;
             if (modelGeometry && joints && joints.length > 0) {
                 // createAndBindSkeleton modifies modelGeometry in place
-                const createdSkeleton = createAndBindSkeleton(modelGeometry, joints);
+                createdSkeleton = createAndBindSkeleton(modelGeometry, joints);
 
                 if (createdSkeleton) {
                     setSkeleton(createdSkeleton); // Store the created skeleton in state
@@ -119,16 +125,86 @@ export default function AnimationPage() {
                 throw new Error("Missing geometry or joint data needed for skeleton creation.");
             }
 
+            // --- 6. Generate Keyframes for the Created Bones ---
+            // A failure here keeps the skeleton and joints; it is reported separately
+            try {
+                console.log("Requesting keyframe animation for the generated bones...");
+                const animationResponse = await fetch('/api/generate-animation', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        bones: getBoneDescriptors(createdSkeleton),
+                        animationPrompt: animationPrompt.trim(),
+                    }),
+                });
+
+                if (!animationResponse.ok) {
+                    throw new Error(await describeApiErrorResponse(animationResponse));
+                }
+
+                const animationDescription = await animationResponse.json();
+                console.log("Backend Response (Keyframes):", animationDescription);
+
+                // --- 7. Build the AnimationClip ---
+                const clip = createAnimationClip(animationDescription, createdSkeleton);
+                if (!clip) {
+                    throw new Error("Failed to create an animation clip from the generated keyframes.");
+                }
+                setAnimationClip(clip);
+            } catch (err) {
+                console.error("Error generating the animation:", err);
+                setAnimationError(err.message || "An unknown error occurred.");
+            }
+
         } catch (err) {
             console.error("Error during animation generation process:", err);
             setError(err.message || "An unknown error occurred.");
             setSuggestedJoints(null);
             setSkeleton(null); // Clear skeleton on error
+            setAnimationClip(null);
         } finally {
             setIsLoading(false);
         }
     };
 
+    const handleExport = async () => {
+        if (!modelGeometry || !skeleton) {
+            setError("Generate a skeleton before exporting.");
+            return;
+        }
+
+        setIsExporting(true);
+        setExportStatus('Exporting...');
+        try {
+            // Reuse the materials of the uploaded scene
+            let material = null;
+            if (modelData?.file) {
+                const gltf = await loadGLBFromFile(modelData.file);
+                material = findFirstMeshMaterial(gltf.scene);
+            }
+
+            const clips = animationClip ? [animationClip] : [];
+            const glb = await exportSkinnedModelToGLB({
+                geometry: modelGeometry,
+                skeleton,
+                material,
+                clips,
+            });
+
+            // Round-trip check through the same loader used for uploads
+            const check = await verifyExportedGLB(glb, { boneCount: skeleton.bones.length, clipCount: clips.length });
+            downloadGLB(glb, getExportFileName(modelData?.modelName));
+            setExportStatus(check.ok ? 'Exported GLB.' : `Exported with warnings: ${check.issues.join(' ')}`);
+        } catch (err) {
+            console.error("Error exporting GLB:", err);
+            setExportStatus(`Export failed: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
     return (
         <div className={styles.container}>
             <Head>
@@ -166,12 +242,13 @@ export default function AnimationPage() {
                     </button>
                     {isLoading && <p className={styles.loadingText}>Processing request, please wait...</p>}
                     {error && <p className={styles.errorText}>Error: {error}</p>}
+                    {animationError && <p className={styles.errorText}>Animation error: {animationError}</p>}
 
                     {/* Conditionally render the SkinnedModelViewer */}
                     {modelGeometry && skeleton && !isLoading && !error && (
                         <div className={styles.viewerContainer}> {/* Optional: Add styling */}
                             <h4>Skinned Model Preview</h4>
-                            <SkinnedModelViewer geometry={modelGeometry} skeleton={skeleton} />
+                            <SkinnedModelViewer geometry={modelGeometry} skeleton={skeleton} clip={animationClip} />
                         </div>
                     )}
 
@@ -180,6 +257,17 @@ export default function AnimationPage() {
                         <div className={styles.results}>
                             <h4>Skeleton Details</h4>
                             <p>Skeleton with {skeleton.bones.length} bones generated.</p>
+                            {animationClip && (
+                                <p>Animation "{animationClip.name}": {animationClip.tracks.length} tracks, {animationClip.duration.toFixed(2)}s.</p>
+                            )}
+                            <button
+                                className={styles.generateButton}
+                                onClick={handleExport}
+                                disabled={isExporting}
+                            >
+                                {isExporting ? 'Exporting...' : 'Export GLB'}
+                            </button>
+                            {exportStatus && <p>{exportStatus}</p>}
                             <pre>Joint Positions: {JSON.stringify(suggestedJoints, null, 2)}</pre>
                         </div>
                     )}
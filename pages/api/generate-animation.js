@@ -0,0 +1,162 @@
+import { API_ERROR_CODES, sendApiError } from '../../utils/apiErrors';
+import { getLlmProvider } from '../../utils/llmProviders';
+import { extractJsonObject, completeWithRetries } from '../../utils/jointResponseUtils';
+
+// --- IMPORTANT ---
+// The backend is chosen from server-side environment variables (see utils/llmProviders.js).
+// For the default Anthropic provider, ensure ANTHROPIC_API_KEY (without NEXT_PUBLIC_) is set in your .env.local
+
+const TRACK_TYPES = ['rotation', 'position'];
+const MAX_DURATION = 30; // Seconds
+const MAX_RETRIES = 2; // How often the model is asked again after returning an unusable animation
+
+/**
+ * Validates and normalizes the keyframe description returned by the model.
+ * Keyframes are sorted by time, clamped to [0, duration], and tracks for unknown bones are rejected.
+ *
+ * @param {any} description - Parsed JSON from the model.
+ * @param {Set<string>} boneNames - Names of the bones the request was made for.
+ * @returns {{ name: string, duration: number, tracks: Array<{ bone: string, type: string, keyframes: Array<{ time: number, value: number[] }> }> }}
+ * @throws {Error} If the description does not match the expected shape.
+ */
+function validateAnimationDescription(description, boneNames) {
+    if (!description || typeof description !== 'object' || Array.isArray(description)) {
+        throw new Error("Response is not a JSON object.");
+    }
+    const duration = Number(description.duration);
+    if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_DURATION) {
+        throw new Error(`"duration" must be a number between 0 and ${MAX_DURATION} seconds.`);
+    }
+    if (!Array.isArray(description.tracks) || description.tracks.length === 0) {
+        throw new Error('"tracks" must be a non-empty array.');
+    }
+
+    const tracks = description.tracks.map((track, trackIndex) => {
+        if (!track || !boneNames.has(track.bone)) {
+            throw new Error(`Track ${trackIndex} targets unknown bone "${track?.bone}".`);
+        }
+        if (!TRACK_TYPES.includes(track.type)) {
+            throw new Error(`Track ${trackIndex} has invalid type "${track.type}". Expected one of: ${TRACK_TYPES.join(', ')}.`);
+        }
+        if (!Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+            throw new Error(`Track ${trackIndex} has no keyframes.`);
+        }
+
+        const keyframes = track.keyframes.map((keyframe, keyIndex) => {
+            const time = Number(keyframe?.time);
+            const value = keyframe?.value;
+            if (!Number.isFinite(time)) {
+                throw new Error(`Track ${trackIndex}, keyframe ${keyIndex} has an invalid time.`);
+            }
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+                throw new Error(`Track ${trackIndex}, keyframe ${keyIndex} must have a value of 3 finite numbers.`);
+            }
+            return { time: Math.min(Math.max(time, 0), duration), value };
+        }).sort((a, b) => a.time - b.time);
+
+        return { bone: track.bone, type: track.type, keyframes };
+    });
+
+    return {
+        name: typeof description.name === 'string' && description.name.trim() ? description.name.trim() : 'GeneratedAnimation',
+        duration,
+        tracks,
+    };
+}
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    }
+
+    // --- Basic Input Validation ---
+    let provider;
+    try {
+        provider = getLlmProvider();
+    } catch (configError) {
+        return sendApiError(res, configError.status, configError.code, configError.message);
+    }
+
+    const { bones, animationPrompt } = req.body;
+
+    if (!Array.isArray(bones) || bones.length === 0) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "bones must be a non-empty array.");
+    }
+    const invalidBone = bones.find(b => typeof b?.name !== 'string' || !b.position || ![b.position.x, b.position.y, b.position.z].every(Number.isFinite));
+    if (invalidBone) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "Each bone must have a name and a finite {x, y, z} position.");
+    }
+    if (typeof animationPrompt !== 'string' || !animationPrompt.trim()) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "animationPrompt must be a non-empty string.");
+    }
+
+    // --- Prepare the Prompt ---
+    const boneDataString = bones.map(b =>
+        `- ${b.name}${b.jointName ? ` (${b.jointName})` : ''}: rest position (${b.position.x.toFixed(3)}, ${b.position.y.toFixed(3)}, ${b.position.z.toFixed(3)}), parent: ${b.parent || 'none'}`
+    ).join('\n');
+
+    const systemPrompt = `You are an expert 3D animator. Your task is to create a short keyframe animation for an existing skeleton. You receive the list of bones (with their world space rest positions and parents) and a user's description of the desired motion. You must answer with a keyframe description that animates those bones.
+
+**Instructions:**
+1.  Use only the bone names provided. Animate only the bones needed for the described motion.
+2.  Each track animates one bone with a "type" of either "rotation" or "position".
+3.  "rotation" values are Euler angles in **degrees** [x, y, z] in the bone's local space, relative to its rest pose (0, 0, 0 means rest).
+4.  "position" values are offsets [x, y, z] from the bone's rest position in the bone's local space. Prefer rotations; only use positions for the root bone.
+5.  Keyframe "time" values are in seconds between 0 and "duration". For looping motions, make the last keyframe match the first.
+6.  **CRITICAL:** Your response MUST contain ONLY the valid JSON object. Do not include any introductory text, explanations, markdown formatting (like \`\`\`json), or any characters before the opening brace \`{\` or after the closing brace \`}\`.
+
+**Example Output Format:**
+{"name": "Wave", "duration": 2, "tracks": [{"bone": "Bone_1", "type": "rotation", "keyframes": [{"time": 0, "value": [0, 0, 0]}, {"time": 1, "value": [0, 0, 45]}, {"time": 2, "value": [0, 0, 0]}]}]}
+`;
+
+    const userMessageContent = `
+Here is the data for the animation request:
+
+**1. Skeleton Bones:**
+${boneDataString}
+
+**2. Desired Animation:**
+"${animationPrompt}"
+
+**Task:**
+Provide the keyframe animation for these bones in the specified JSON format.
+`;
+
+    // --- Ask the Provider ---
+    // Unusable answers are sent back to the model with the validation error, up to MAX_RETRIES times
+    const boneNames = new Set(bones.map(b => b.name));
+    try {
+        const { result: animation, attemptErrors } = await completeWithRetries(
+            provider,
+            {
+                system: systemPrompt,
+                messages: [{ role: "user", content: userMessageContent }],
+                maxTokens: 4096,
+                animationRequest: { bones, animationPrompt },
+            },
+            (text) => validateAnimationDescription(extractJsonObject(text), boneNames),
+            { maxRetries: MAX_RETRIES, correction: "Reply again with ONLY the corrected JSON animation object.", logPrefix: "API Route (animation):" }
+        );
+        if (animation) {
+            return res.status(200).json(animation);
+        }
+
+        console.error(`API Route (animation): No usable animation after ${attemptErrors.length} attempt(s).`);
+        return sendApiError(
+            res,
+            502,
+            API_ERROR_CODES.INVALID_MODEL_OUTPUT,
+            `AI service returned an invalid animation after ${attemptErrors.length} attempt(s): ${attemptErrors[attemptErrors.length - 1]}`,
+            { attempts: attemptErrors }
+        );
+    } catch (error) {
+        // Provider errors carry their own code and status
+        if (error.code) {
+            return sendApiError(res, error.status || 502, error.code, error.message);
+        }
+        console.error("API Route (animation): Error calling provider:", error);
+        return sendApiError(res, 500, API_ERROR_CODES.NETWORK_ERROR, "Failed to communicate with AI service.");
+    }
+}
@@ -1,10 +1,143 @@
 import * as THREE from 'three'; // Keep if needed for validation, maybe not
+import { validateJointHierarchy } from '../../utils/riggingUtils';
+import { extractJsonArray, normalizeJointShapes, completeWithRetries } from '../../utils/jointResponseUtils';
+import { API_ERROR_CODES, sendApiError } from '../../utils/apiErrors';
+import { MAX_JOINTS_PER_GROUP } from '../../utils/jointBudgets';
+
+import { getLlmProvider } from '../../utils/llmProviders';
 
 // --- IMPORTANT ---
-// Use the API key directly from server-side environment variables.
-// Ensure ANTHROPIC_API_KEY (without NEXT_PUBLIC_) is set in your .env.local
-const CLAUDE_API_KEY = process.env.ANTHROPIC_API_KEY;
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+// The backend is chosen from server-side environment variables (see utils/llmProviders.js).
+// For the default Anthropic provider, ensure ANTHROPIC_API_KEY (without NEXT_PUBLIC_) is set in your .env.local
+
+const DEFAULT_JOINT_COUNT = 4; // Used when the client sends no joint budgets
+
+// How often the model is asked again after returning unusable joints. Set JOINT_GENERATION_MAX_RETRIES to override.
+const DEFAULT_MAX_RETRIES = 2;
+const parsedRetries = Number.parseInt(process.env.JOINT_GENERATION_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isInteger(parsedRetries) && parsedRetries >= 0 ? parsedRetries : DEFAULT_MAX_RETRIES;
+
+/**
+ * Validates the per-group joint budgets sent by the client.
+ * A budget is either a joint count or a { min, max } range.
+ *
+ * @param {any} jointBudgets - `{ [groupName]: number | { min: number, max: number } }`, or undefined.
+ * @returns {Object<string, { min: number, max: number }>} Normalized budgets (empty if none were sent).
+ * @throws {Error} If a budget is malformed or out of range.
+ */
+function normalizeJointBudgets(jointBudgets) {
+    if (jointBudgets === undefined || jointBudgets === null) return {};
+    if (typeof jointBudgets !== 'object' || Array.isArray(jointBudgets)) {
+        throw new Error("jointBudgets must be an object keyed by group name.");
+    }
+
+    const normalized = {};
+    for (const [groupName, budget] of Object.entries(jointBudgets)) {
+        const min = typeof budget === 'number' ? budget : budget?.min;
+        const max = typeof budget === 'number' ? budget : budget?.max;
+        if (!Number.isInteger(min) || !Number.isInteger(max)) {
+            throw new Error(`Joint budget for "${groupName}" must be an integer or { min, max } integers.`);
+        }
+        if (min < 1 || max > MAX_JOINTS_PER_GROUP || min > max) {
+            throw new Error(`Joint budget for "${groupName}" must satisfy 1 <= min <= max <= ${MAX_JOINTS_PER_GROUP}.`);
+        }
+        normalized[groupName] = { min, max };
+    }
+    return normalized;
+}
+
+/**
+ * Checks that every joint names one of the requested groups and that each group's joint count fits its budget.
+ *
+ * @param {Array<{ group?: string }>} joints - Joints returned by the model.
+ * @param {Object<string, { min: number, max: number }>} budgets - Budget per requested group.
+ * @returns {string | null} A description of the first problem, or null if valid.
+ */
+function validateJointGroups(joints, budgets) {
+    const counts = Object.fromEntries(Object.keys(budgets).map(groupName => [groupName, 0]));
+    for (let i = 0; i < joints.length; i++) {
+        const groupName = joints[i]?.group;
+        if (!Object.hasOwn(counts, groupName)) {
+            return `Joint ${i} has unknown group "${groupName}".`;
+        }
+        counts[groupName]++;
+    }
+    for (const [groupName, { min, max }] of Object.entries(budgets)) {
+        if (counts[groupName] < min || counts[groupName] > max) {
+            return `Group "${groupName}" has ${counts[groupName]} joints, expected ${describeJointCount(min, max)}.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes a joint count range for the prompt, e.g. "exactly 4" or "between 3 and 6".
+ */
+function describeJointCount(min, max) {
+    return min === max ? `exactly ${min}` : `between ${min} and ${max}`;
+}
+
+/**
+ * Formats the per-group shape descriptors (see computeShapeDescriptor in utils/samplingUtils.js) for the prompt.
+ * Malformed entries are skipped rather than rejected, since descriptors only add context to the samples.
+ *
+ * @param {Object<string, object>} shapeDescriptors - Descriptors keyed by group name.
+ * @param {string[]} groupNames - Groups to include, in prompt order.
+ * @returns {string} One block per group, or an empty string if there is nothing usable.
+ */
+function formatShapeDescriptors(shapeDescriptors, groupNames) {
+    const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    const vec = (v) => (isVector(v) ? `(${v.map(n => n.toFixed(3)).join(', ')})` : '(?)');
+    const num = (n) => (Number.isFinite(n) ? n.toFixed(3) : '?');
+
+    return groupNames.map(groupName => {
+        const d = shapeDescriptors[groupName];
+        if (!d || typeof d !== 'object' || !isVector(d.centroid)) return null;
+
+        const lines = [`- Group "${groupName}" (${Number.isInteger(d.vertexCount) ? d.vertexCount : '?'} vertices): centroid ${vec(d.centroid)}, bounding box ${vec(d.bbox?.min)} to ${vec(d.bbox?.max)}`];
+        if (Array.isArray(d.axes)) {
+            lines.push(`  Principal axes (longest first): ${d.axes.map(a => `${vec(a?.direction)} extent ${num(a?.extent)}`).join('; ')}`);
+        }
+        if (Array.isArray(d.slices)) {
+            lines.push(`  Cross-sections along the main axis (t from 0 to 1): ${d.slices.map(s =>
+                (s?.center ? `t=${num(s.t)} center ${vec(s.center)} radius ${num(s.radius)}` : `t=${num(s?.t)} empty`)
+            ).join('; ')}`);
+        }
+        if (Array.isArray(d.extremities)) {
+            lines.push(`  Extremities: ${d.extremities.map(e => `axis ${e?.axis} ${e?.end} ${vec(e?.point)}`).join('; ')}`);
+        }
+        return lines.join('\n');
+    }).filter(Boolean).join('\n');
+}
+
+/**
+ * Extracts the joints from the model's text and checks them against the request.
+ *
+ * @param {string} text - Raw text returned by the model.
+ * @param {object} expected
+ * @param {number} expected.minJoints - Minimum total joint count.
+ * @param {number} expected.maxJoints - Maximum total joint count.
+ * @param {Object<string, { min: number, max: number }> | null} expected.groupBudgets - Per-group budgets when joints must name their group.
+ * @returns {Array<object>} The validated joints.
+ * @throws {Error} Describing the first problem, phrased so it can be sent back to the model.
+ */
+function parseJointResponse(text, { minJoints, maxJoints, groupBudgets }) {
+    const joints = normalizeJointShapes(extractJsonArray(text));
+
+    if (joints.length < minJoints || joints.length > maxJoints) {
+        throw new Error(`Returned ${joints.length} joints, expected ${describeJointCount(minJoints, maxJoints)}.`);
+    }
+
+    // Each joint must belong to a requested group, and each group must stay within its budget
+    if (groupBudgets) {
+        const groupError = validateJointGroups(joints, groupBudgets);
+        if (groupError) throw new Error(groupError);
+    }
+
+    // Reject cycles, multiple roots and dangling parents before they reach createBones
+    validateJointHierarchy(joints);
+    return joints;
+}
 
 export default async function handler(req, res) {
     // Only allow POST requests
@@ -14,111 +147,154 @@ export default async function handler(req, res) {
     }
 
     // --- Basic Input Validation ---
-    if (!CLAUDE_API_KEY) {
-        console.error("Server-side Error: ANTHROPIC_API_KEY is not configured.");
-        return res.status(500).json({ error: "API configuration error on server." });
+    let provider;
+    try {
+        provider = getLlmProvider();
+    } catch (configError) {
+        return sendApiError(res, configError.status, configError.code, configError.message);
     }
 
-    const { sampledVertices, animationPrompt } = req.body;
+    const { sampledVertices, groupedSamples, shapeDescriptors, animationPrompt, jointBudgets } = req.body;
 
-    if (!Array.isArray(sampledVertices) || sampledVertices.length === 0) {
-        return res.status(400).json({ error: "sampledVertices must be a non-empty array." });
+    // Samples are either bucketed by vertex group (groupedSamples) or one anonymous point cloud (sampledVertices)
+    const isGrouped = groupedSamples !== undefined && groupedSamples !== null;
+    if (isGrouped) {
+        if (typeof groupedSamples !== 'object' || Array.isArray(groupedSamples) || Object.keys(groupedSamples).length === 0) {
+            return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "groupedSamples must be a non-empty object keyed by group name.");
+        }
+        const emptyGroup = Object.keys(groupedSamples).find(g => !Array.isArray(groupedSamples[g]) || groupedSamples[g].length === 0);
+        if (emptyGroup !== undefined) {
+            return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, `groupedSamples["${emptyGroup}"] must be a non-empty array.`);
+        }
+    } else if (!Array.isArray(sampledVertices) || sampledVertices.length === 0) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "sampledVertices must be a non-empty array.");
     }
     if (typeof animationPrompt !== 'string' || !animationPrompt.trim()) {
-        return res.status(400).json({ error: "animationPrompt must be a non-empty string." });
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "animationPrompt must be a non-empty string.");
+    }
+    if (shapeDescriptors !== undefined && shapeDescriptors !== null && (typeof shapeDescriptors !== 'object' || Array.isArray(shapeDescriptors))) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, "shapeDescriptors must be an object keyed by group name.");
     }
 
-    // --- Prepare Data for Claude (same logic as before) ---
-    const vertexDataString = sampledVertices.map(v => `(${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`).join(', ');
+    let budgets;
+    try {
+        budgets = normalizeJointBudgets(jointBudgets);
+    } catch (budgetError) {
+        return sendApiError(res, 400, API_ERROR_CODES.INVALID_REQUEST, budgetError.message);
+    }
+    if (isGrouped) {
+        // Every sampled group gets a budget, and budgets for groups without samples are ignored
+        budgets = Object.fromEntries(Object.keys(groupedSamples).map(groupName => [
+            groupName,
+            budgets[groupName] || { min: 1, max: DEFAULT_JOINT_COUNT },
+        ]));
+    }
+
+    // Total joint range across all groups
+    const budgetEntries = Object.entries(budgets);
+    const minJoints = budgetEntries.length > 0 ? budgetEntries.reduce((sum, [, b]) => sum + b.min, 0) : DEFAULT_JOINT_COUNT;
+    const maxJoints = budgetEntries.length > 0 ? budgetEntries.reduce((sum, [, b]) => sum + b.max, 0) : DEFAULT_JOINT_COUNT;
+    const jointCountText = describeJointCount(minJoints, maxJoints);
+    const budgetText = budgetEntries.length > 0
+        ? budgetEntries.map(([groupName, b]) => `- ${groupName}: ${describeJointCount(b.min, b.max)} joints`).join('\n')
+        : `- Whole region: ${jointCountText} joints`;
+
+    // --- Prepare Data for Claude ---
+    const formatVertices = (vertices) => vertices.map(v => `(${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`).join(', ');
+    const vertexDataText = isGrouped
+        ? `Samples from each labeled vertex group of the target region:\n${Object.entries(groupedSamples).map(([groupName, vertices]) =>
+            `- Group "${groupName}" (${vertices.length} samples): [${formatVertices(vertices)}]`
+        ).join('\n')}`
+        : `A sample of ${sampledVertices.length} vertex coordinates from the target region:\n[${formatVertices(sampledVertices)}]`;
+
+    // Descriptors summarize each group's full shape; narrow cross-sections hint at bends such as elbows and knees
+    const descriptorText = shapeDescriptors
+        ? formatShapeDescriptors(shapeDescriptors, isGrouped ? Object.keys(groupedSamples) : Object.keys(shapeDescriptors))
+        : '';
+
+    const groupInstruction = isGrouped
+        ? `\n8.  Each joint must also have a "group" key naming the vertex group it belongs to (one of: ${Object.keys(groupedSamples).map(g => `"${g}"`).join(', ')}). Place each group's joints inside that group's samples, and connect groups through parents (e.g. a "tail" root joint parented to a "body" joint).`
+        : '';
+    const exampleGroup = isGrouped ? `, "group": "${Object.keys(groupedSamples)[0]}"` : '';
 
-    const systemPrompt = `You are an expert 3D rigging assistant specializing in creating efficient skeletons for animation. Your task is to analyze a sample of 3D vertex coordinates (in world space) representing a specific region of a 3D model, along with a user's description of the desired animation for that region. Based on this information, you must suggest **exactly 4** plausible 3D joint locations (also in world space) that would form the core structure of a skeleton needed to achieve the described animation.
+    const systemPrompt = `You are an expert 3D rigging assistant specializing in creating efficient skeletons for animation. Your task is to analyze a sample of 3D vertex coordinates (in world space) representing a specific region of a 3D model, along with a user's description of the desired animation for that region. Based on this information, you must suggest **${jointCountText}** plausible 3D joint locations (also in world space) that would form the core structure of a skeleton needed to achieve the described animation.
 
 **Instructions:**
 1.  Analyze the provided vertex sample to understand the general shape and extent of the model region.
 2.  Analyze the user's animation prompt to understand the type and range of motion required.
-3.  Determine the **4 most essential joints** needed specifically for the described animation. Place them logically within the bounds suggested by the vertex sample.
-4.  Output the suggested joint locations as a JSON array containing exactly 4 objects.
-5.  Each object in the array must represent a single joint and have the keys "x", "y", and "z", with numerical values representing the world space coordinates.
-6.  **CRITICAL:** Your response MUST contain ONLY the valid JSON array of 4 objects. Do not include any introductory text, explanations, apologies, markdown formatting (like \`\`\`json), or any characters before the opening bracket \`[\` or after the closing bracket \`]\`.
+3.  Determine the **${jointCountText} most essential joints** needed specifically for the described animation. Place them logically within the bounds suggested by the vertex sample.
+4.  Arrange the joints as a hierarchy (e.g. shoulder -> elbow -> wrist). The first joint is the single root; every other joint has a parent joint that it rotates with.
+5.  Output the suggested joints as a JSON array containing ${jointCountText} objects. Respect the per-group joint budgets given by the user.
+6.  Each object in the array must represent a single joint and have the keys "name" (a short descriptive name, e.g. "elbow"), "x", "y", and "z" (numerical world space coordinates), and "parent" (the array index of the parent joint, or -1 for the root).
+7.  **CRITICAL:** Your response MUST contain ONLY the valid JSON array of joint objects. Do not include any introductory text, explanations, apologies, markdown formatting (like \`\`\`json), or any characters before the opening bracket \`[\` or after the closing bracket \`]\`.${groupInstruction}
 
 **Example Output Format:**
-[{"x": 0.1, "y": 1.5, "z": -0.2}, {"x": 0.1, "y": 1.0, "z": -0.2}, {"x": 0.1, "y": 0.5, "z": -0.1}, {"x": 0.1, "y": 0.0, "z": 0.0}]
+[{"name": "shoulder", "x": 0.1, "y": 1.5, "z": -0.2, "parent": -1${exampleGroup}}, {"name": "elbow", "x": 0.1, "y": 1.0, "z": -0.2, "parent": 0${exampleGroup}}, {"name": "wrist", "x": 0.1, "y": 0.5, "z": -0.1, "parent": 1${exampleGroup}}, {"name": "hand", "x": 0.1, "y": 0.0, "z": 0.0, "parent": 2${exampleGroup}}]
 `;
 
     const userMessageContent = `
 Here is the data for the rigging request:
 
 **1. Sampled Vertex Coordinates (World Space):**
-A sample of ${sampledVertices.length} vertex coordinates from the target region:
-[${vertexDataString}]
+${vertexDataText}
 
 **2. Desired Animation:**
 The user wants to animate this region with the following description:
 "${animationPrompt}"
 
-**Task:**
-Based on the vertex sample and the desired animation, provide **exactly 4** suggested 3D joint locations in the specified JSON format.
+**3. Joint Budgets:**
+${budgetText}
+
+${descriptorText ? `**4. Shape Descriptors (World Space):**
+Computed from all vertices of each group. Place joints where the shape bends or narrows (cross-sections with a smaller radius), and end chains near the extremities.
+${descriptorText}
+
+` : ''}**Task:**
+Based on the vertex sample${descriptorText ? ', the shape descriptors' : ''} and the desired animation, provide **${jointCountText}** suggested 3D joints, with names${isGrouped ? ', groups' : ''} and parent indices, in the specified JSON format.
 `;
 
     console.log("user message content", userMessageContent);
-    const requestBody = {
-        model: "claude-3-7-sonnet-20250219",
-        max_tokens: 4096, // Keep increased limit
-        system: systemPrompt,
-        messages: [{ role: "user", content: userMessageContent }]
+    const messages = [{ role: "user", content: userMessageContent }];
+    const jointRequest = {
+        sampledVertices: isGrouped ? undefined : sampledVertices,
+        groupedSamples: isGrouped ? groupedSamples : undefined,
+        budgets,
+        minJoints,
+        maxJoints,
     };
 
-    // --- Make the API Call from the Server ---
+    // --- Ask the Provider ---
+    // Unusable answers are sent back to the model with the validation error, up to MAX_RETRIES times
     try {
-        console.log("API Route: Sending request to Claude API...");
-        const anthropicResponse = await fetch(CLAUDE_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': CLAUDE_API_KEY, // Use the server-side key
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        // Forward Anthropic's status code if it's an error
-        if (!anthropicResponse.ok) {
-            const errorBody = await anthropicResponse.text();
-            console.error("API Route: Claude API Error Response:", errorBody);
-            // Send Anthropic's error status and a generic message back to the client
-            return res.status(anthropicResponse.status).json({ error: `Anthropic API request failed: ${anthropicResponse.statusText}` });
-        }
-
-        const data = await anthropicResponse.json();
-        console.log("API Route: Received response from Claude API.");
-
-        // --- Extract and Parse Content (same logic as before) ---
-        if (data.content && data.content.length > 0 && data.content[0].type === 'text') {
-            const rawJson = data.content[0].text;
-            try {
-                const jointData = JSON.parse(rawJson);
-                // Basic validation
-                if (!Array.isArray(jointData)) throw new Error("Parsed response is not an array.");
-                // Optional: Check length, structure
-                // if (jointData.length !== 4) console.warn(...)
-                // jointData.forEach(...)
-
-                // --- Send Success Response to Frontend ---
-                return res.status(200).json(jointData);
-
-            } catch (parseError) {
-                console.error("API Route: Failed to parse Claude's response as JSON:", parseError);
-                console.error("API Route: Raw response text:", rawJson);
-                return res.status(500).json({ error: "Failed to parse response from AI service." });
-            }
-        } else {
-            console.error("API Route: Unexpected response structure from Claude API:", data);
-            return res.status(500).json({ error: "Unexpected response structure from AI service." });
+        const { result: jointData, attemptErrors } = await completeWithRetries(
+            provider,
+            { system: systemPrompt, messages, maxTokens: 4096, jointRequest },
+            (text) => parseJointResponse(text, {
+                minJoints,
+                maxJoints,
+                groupBudgets: isGrouped ? budgets : null,
+            }),
+            { maxRetries: MAX_RETRIES, correction: "Reply again with ONLY the corrected JSON array of joints.", logPrefix: "API Route:" }
+        );
+        if (jointData) {
+            // --- Send Success Response to Frontend ---
+            return res.status(200).json(jointData);
         }
 
+        console.error(`API Route: No usable joints after ${attemptErrors.length} attempt(s).`);
+        return sendApiError(
+            res,
+            502,
+            API_ERROR_CODES.INVALID_MODEL_OUTPUT,
+            `AI service returned invalid joints after ${attemptErrors.length} attempt(s): ${attemptErrors[attemptErrors.length - 1]}`,
+            { attempts: attemptErrors }
+        );
     } catch (error) {
-        console.error("API Route: Error calling Claude API:", error);
-        // Distinguish network errors from API errors if possible
-        return res.status(500).json({ error: "Failed to communicate with AI service." });
+        // Provider errors carry their own code and status
+        if (error.code) {
+            return sendApiError(res, error.status || 502, error.code, error.message);
+        }
+        console.error("API Route: Error calling provider:", error);
+        return sendApiError(res, 500, API_ERROR_CODES.NETWORK_ERROR, "Failed to communicate with AI service.");
     }
-} 
\ No newline at end of file
+}
@@ -1,19 +1,73 @@
 // pages/editor.js
-import { useEffect, useState, useRef, forwardRef } from 'react';
+import { useEffect, useState, useRef, forwardRef, useCallback, useMemo } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
-import { Canvas, useFrame } from '@react-three/fiber';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, Environment, useGLTF } from '@react-three/drei';
 import { useModelContext } from '../contexts/ModelContext';
 import styles from '../styles/Editor.module.css';
 import LassoController from '../components/LassoController';
+import { SELECTION_MODES, SELECTION_TOOLS, DEFAULT_BRUSH_RADIUS } from '../components/selectionTools';
 import AttributeSetter from '../components/AttributeSetter';
 import * as THREE from 'three'; // Ensure THREE is imported
 import { useSkeletonGenerator } from '../hooks/useSkeletonGenerator'; // Import the custom hook
+import { useEditHistory, combineCommands } from '../hooks/useEditHistory';
 import AnimationPromptUI from '../components/AnimationPromptUI'; // Import the prompt UI component
+import SkinnedModelViewer from '../components/SkinnedModelViewer';
+import TouchJoystick from '../components/TouchJoystick';
+import VertexGroupManager from '../components/VertexGroupManager';
+import VertexGroupHighlights from '../components/VertexGroupHighlights';
+import JointHandles from '../components/JointHandles';
+import JointEditorPanel from '../components/JointEditorPanel';
+import EditHistoryPanel from '../components/EditHistoryPanel';
+import { getGeometryAdjacency, growSelection, shrinkSelection, invertSelection, getSymmetryMap, mirrorSelection, mirrorVertexGroups } from '../utils/selectionUtils';
+import { getWeldMap, expandToWeldedVertices } from '../utils/weldUtils';
+import { setVertexGroup, getVertexGroupWeights, deleteVertexGroup, captureVertexGroups, restoreVertexGroups } from '../utils/meshUtils';
+import { loadSession, updateSession, hashArrayBuffer } from '../utils/sessionStore';
+import { createProject, parseProject, checkProjectAgainstMeshes, getProjectClips, downloadProject, getProjectFileName, PROJECT_FILE_EXTENSION } from '../utils/projectFormat';
+import { moveJoint, insertJoint, deleteJoint, reparentJoint, getJointLabel } from '../utils/jointEditing';
+import { exportSkinnedModelToGLB, verifyExportedGLB, downloadGLB, getExportFileName } from '../utils/exportUtils';
+
+const SELECTION_MODE_LABELS = {
+    replace: 'Replace',
+    add: 'Add (Shift)',
+    subtract: 'Subtract (Ctrl/Alt)',
+    intersect: 'Intersect (Shift+Ctrl)',
+};
+
+const SELECTION_TOOL_LABELS = {
+    lasso: 'Lasso',
+    box: 'Box',
+    brush: 'Brush',
+    island: 'Connected',
+};
+
+// In edit mode one finger and the left mouse button select, so the camera only follows two-finger gestures.
+// Outside edit mode the OrbitControls defaults apply.
+const EDIT_MODE_TOUCHES = { ONE: null, TWO: THREE.TOUCH.DOLLY_ROTATE };
+const EDIT_MODE_MOUSE_BUTTONS = { LEFT: null, MIDDLE: null, RIGHT: null };
+const VIEW_MODE_TOUCHES = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+const VIEW_MODE_MOUSE_BUTTONS = { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+
+// Shared empty selection, so meshes without a selection do not get a new Set every render
+const EMPTY_SELECTION = new Set();
+
+// Edits are saved to the session this long after the last change
+const SESSION_SAVE_DELAY_MS = 500;
+
+const isSameSelection = (a, b) => a.size === b.size && [...a].every(index => b.has(index));
+
+// History label for a skeleton change that was not labelled by the edit that caused it
+const describeSkeletonChange = (before, after) => {
+    if (!before.skeleton) return 'Generate skeleton';
+    if (!after.skeleton) return 'Remove skeleton';
+    if (before.skeleton === after.skeleton) return after.clip ? 'Generate animation' : 'Remove animation';
+    return 'Replace skeleton';
+};
 
 // Modify Model component to accept and forward a ref
-const Model = forwardRef(({ url }, ref) => { // Use forwardRef
+// onMeshesFound receives every mesh in the scene (in traversal order) once the model is loaded
+const Model = forwardRef(({ url, onMeshesFound }, ref) => { // Use forwardRef
     const { scene } = useGLTF(url);
     const meshRef = useRef(); // Internal ref to find the mesh
 
@@ -55,20 +109,24 @@ const Model = forwardRef(({ url }, ref) => { // Use forwardRef
         }
         // --- End of Repositioning Logic ---
 
-        // --- Find Mesh and Assign Ref (Now uses original positioning relative to adjusted scene) ---
-        let foundMesh = null;
+        // --- Find Meshes and Assign Ref (Now uses original positioning relative to adjusted scene) ---
+        const foundMeshes = [];
         scene.traverse((node) => { // Traverse the scene with its original positioning
-            if (!foundMesh && node.isMesh) {
+            if (node.isMesh) {
                 console.log('Model Component: Found mesh:', node.name);
-                foundMesh = node;
+                foundMeshes.push(node);
             }
         });
+        const foundMesh = foundMeshes[0] || null; // The first mesh is edited until another one is picked
         // Assign the found mesh to the forwarded ref
         if (ref) {
             ref.current = foundMesh;
         }
         // Assign to internal ref for potential direct use if needed
         meshRef.current = foundMesh;
+        if (onMeshesFound) {
+            onMeshesFound(foundMeshes);
+        }
 
         // Log model information (optional)
         // scene.traverse((node) => {
@@ -77,7 +135,7 @@ const Model = forwardRef(({ url }, ref) => { // Use forwardRef
         //     }
         // });
 
-    }, [scene, ref, url]); // Dependencies remain the same
+    }, [scene, ref, url, onMeshesFound]);
 
     // Use the internal ref for the primitive object if needed,
     // but the main goal here is to populate the forwarded ref.
@@ -91,10 +149,45 @@ export default function Editor() {
     const { modelData, clearModel /*, storeGroupedVertexData, storeModelGeometry */ } = useModelContext();
     const [isClient, setIsClient] = useState(false);
     const [editMode, setEditMode] = useState(false);
-    const modelMeshRef = useRef(null); // Ref to be populated by the Model component
-    const [selectedIndices, setSelectedIndices] = useState(new Set());
+    const modelMeshRef = useRef(null); // The mesh being edited; populated by the Model component
+    const [meshes, setMeshes] = useState([]); // Every mesh of the model, for the scene outline
+    const [activeMeshId, setActiveMeshId] = useState(null); // uuid of the mesh being edited
+    const activeMeshIdRef = useRef(null);
+    const [riggedMeshIds, setRiggedMeshIds] = useState(new Set()); // uuids of the meshes the skeleton is built for
+    const [meshSelections, setMeshSelections] = useState({}); // { [mesh uuid]: Set<number> }
+    const selectedIndices = meshSelections[activeMeshId] || EMPTY_SELECTION;
+    const [selectionTool, setSelectionTool] = useState('lasso');
+    const [brushRadius, setBrushRadius] = useState(DEFAULT_BRUSH_RADIUS);
+    const [lassoMode, setLassoMode] = useState('replace'); // Default mode when no modifier key is held
+    const [lastLassoMode, setLastLassoMode] = useState(null); // Mode the last stroke was applied with
+    const [xray, setXray] = useState(false); // Select through the model instead of only visible vertices
+    const [selectionStatus, setSelectionStatus] = useState('');
     const [hasAttributesSet, setHasAttributesSet] = useState(false);
+    const [groupsVersion, setGroupsVersion] = useState(0); // Bumped whenever any mesh's vertex groups change
+    const [hiddenGroups, setHiddenGroups] = useState(new Set()); // Groups whose highlight is hidden
     const controlsRef = useRef(); // Ref for OrbitControls
+    const orbitInputRef = useRef({ x: 0, y: 0 }); // Right touch joystick
+    const zoomInputRef = useRef({ x: 0, y: 0 }); // Left touch joystick
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportStatus, setExportStatus] = useState('');
+    const restoredMeshesRef = useRef(null); // Meshes the saved session or opened project was applied to
+    const [isSessionReady, setIsSessionReady] = useState(false); // Saving starts once the saved state is restored
+    const [sessionStatus, setSessionStatus] = useState(''); // Outcome of restoring a session or saving/opening a project
+    const [embedModelInProject, setEmbedModelInProject] = useState(true);
+    const projectInputRef = useRef(null);
+    const [jointEditMode, setJointEditMode] = useState(false); // Joint handles and gizmo instead of vertex selection
+    const [selectedJoint, setSelectedJoint] = useState(null); // Index into generatedJoints
+    const [jointEditError, setJointEditError] = useState(null);
+
+    // Undo history. Each kind of edit keeps the state it last recorded, which becomes the "before" of its next command.
+    const editHistory = useEditHistory();
+    const { push: pushHistory, clear: clearHistory } = editHistory;
+    const committedSelectionsRef = useRef({}); // { [mesh uuid]: Set<number> }, previews of a stroke in progress excluded
+    const groupSnapshotsRef = useRef(new Map()); // mesh uuid -> captureVertexGroups result
+    const skeletonSnapshotRef = useRef(null); // The hook's skeletonState
+    const skeletonLabelRef = useRef(null); // History label for the skeleton change in progress (joint edits)
+    const [historyEpoch, setHistoryEpoch] = useState(0); // Bumped when the history starts over
+    const historyEpochRef = useRef(0);
 
     // --- Use the Skeleton Generator Hook ---
     const {
@@ -102,12 +195,31 @@ export default function Editor() {
         showPrompt,
         prompt,
         setPrompt,
+        weightingMethod,
+        setWeightingMethod,
+        jointBudgets,
+        setJointBudget,
         isLoading: isGeneratingSkeleton, // Rename for clarity if needed
+        isRebinding,
+        isAnimating,
         error: skeletonError,
         generatedSkeleton,
+        generatedJoints,
         skinnedGeometry, // Get the geometry with skinning attributes
+        animationClip,
+        animationError,
+        riggedMatrixWorld,
+        riggedVertexGroups,
+        riggedVertexGroupWeights,
+        riggedMeshes,
+        riggedMaterial,
         prepare: prepareForAnimation, // Rename function for clarity
         generate: generateSkeleton,
+        restore: restoreSkeleton,
+        reset: resetSkeleton,
+        updateJoints,
+        skeletonState,
+        setSkeletonState,
         cancel: cancelSkeletonGeneration,
     } = useSkeletonGenerator();
     // --- End Hook Usage ---
@@ -142,22 +254,503 @@ export default function Editor() {
         router.push('/'); // Navigate back to the home page
     };
 
+    // --- Meshes and per-mesh selections ---
+    const handleMeshesFound = useCallback((foundMeshes) => {
+        setMeshes(foundMeshes);
+        setRiggedMeshIds(new Set(foundMeshes.map(mesh => mesh.uuid))); // Rig every part by default
+        setMeshSelections({});
+        committedSelectionsRef.current = {};
+        // Groups may come with the file (e.g. a GLB exported by this editor)
+        groupSnapshotsRef.current = new Map(foundMeshes.map(mesh => [mesh.uuid, captureVertexGroups(mesh)]));
+        activeMeshIdRef.current = foundMeshes[0]?.uuid || null;
+        setActiveMeshId(activeMeshIdRef.current);
+    }, []);
+
+    // Makes a mesh the target of selection tools and vertex group edits; its selection is kept while editing others
+    const handleActiveMeshChange = (mesh) => {
+        modelMeshRef.current = mesh;
+        activeMeshIdRef.current = mesh.uuid;
+        setActiveMeshId(mesh.uuid);
+        setSelectionStatus('');
+    };
+
+    const handleRiggedMeshToggle = (mesh) => {
+        setRiggedMeshIds(previous => {
+            const next = new Set(previous);
+            if (next.has(mesh.uuid)) next.delete(mesh.uuid);
+            else next.add(mesh.uuid);
+            return next;
+        });
+    };
+
+    // Puts back a recorded selection (undo/redo); selections are only shown in edit mode
+    const applySelection = useCallback((meshId, indices) => {
+        committedSelectionsRef.current = { ...committedSelectionsRef.current, [meshId]: indices };
+        setMeshSelections(previous => ({ ...previous, [meshId]: indices }));
+        if (indices.size > 0) {
+            setJointEditMode(false);
+            setEditMode(true);
+        }
+    }, []);
+
+    /**
+     * Updates the selection of the mesh being edited.
+     * @param {Set<number>} indices
+     * @param {string | null} label - History label. Without one the change is not undoable (e.g. clearing the selection).
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Live preview of a stroke in progress; only shown, never recorded.
+     * @returns {import('../hooks/useEditHistory').EditCommand | null} The command to push, or null if nothing is recorded.
+     */
+    const setSelectedIndices = useCallback((indices, label, { preview = false } = {}) => {
+        const meshId = activeMeshIdRef.current;
+        if (!meshId) return null;
+        setMeshSelections(previous => ({ ...previous, [meshId]: indices }));
+        if (preview) return null;
+        const before = committedSelectionsRef.current[meshId] || EMPTY_SELECTION;
+        committedSelectionsRef.current = { ...committedSelectionsRef.current, [meshId]: indices };
+        if (!label || isSameSelection(before, indices)) return null;
+        return {
+            label,
+            undo: () => applySelection(meshId, before),
+            redo: () => applySelection(meshId, indices),
+        };
+    }, [applySelection]);
+
+    const pushCommand = useCallback((command) => {
+        if (command) pushHistory(command);
+    }, [pushHistory]);
+
+    // Selections are only kept while editing
+    useEffect(() => {
+        if (!editMode) {
+            setMeshSelections({});
+            committedSelectionsRef.current = {};
+        }
+    }, [editMode]);
+
+    // --- Joint editing ---
+    // Leave joint editing when the skeleton goes away (new generation, opened project without one)
+    useEffect(() => {
+        if (!generatedJoints) setJointEditMode(false);
+        setSelectedJoint(previous => (previous !== null && generatedJoints?.[previous] ? previous : null));
+    }, [generatedJoints]);
+
+    const handleJointEditToggle = () => {
+        setJointEditMode(!jointEditMode);
+        setEditMode(false); // The gizmo and the selection tools both use the left mouse button
+        setJointEditError(null);
+    };
+
+    // Moves keep the clip (re-based onto the new rest pose); the other edits change bone names and drop it
+    const handleMoveJoint = (index, position) => {
+        setJointEditError(null);
+        skeletonLabelRef.current = `Move joint ${getJointLabel(generatedJoints[index], index)}`;
+        updateJoints(moveJoint(generatedJoints, index, position), { keepClip: true });
+    };
+
+    const handleInsertJoint = (index) => {
+        const { joints, index: insertedIndex } = insertJoint(generatedJoints, index);
+        setJointEditError(null);
+        skeletonLabelRef.current = `Insert joint at ${getJointLabel(generatedJoints[index], index)}`;
+        updateJoints(joints);
+        setSelectedJoint(insertedIndex);
+    };
+
+    const handleDeleteJoint = (index) => {
+        try {
+            const joints = deleteJoint(generatedJoints, index);
+            setJointEditError(null);
+            setSelectedJoint(null);
+            skeletonLabelRef.current = `Delete joint ${getJointLabel(generatedJoints[index], index)}`;
+            updateJoints(joints);
+        } catch (error) {
+            setJointEditError(error.message);
+        }
+    };
+
+    const handleReparentJoint = (index, parent) => {
+        try {
+            const joints = reparentJoint(generatedJoints, index, parent);
+            setJointEditError(null);
+            skeletonLabelRef.current = `Re-parent joint ${getJointLabel(generatedJoints[index], index)}`;
+            updateJoints(joints);
+        } catch (error) {
+            setJointEditError(error.message);
+        }
+    };
+
+    // --- Undo history ---
+    const isSkeletonBusy = isPreparing || isGeneratingSkeleton || isRebinding || isAnimating;
+    const isHistoryBlocked = isSkeletonBusy || showPrompt; // Undoing mid-generation would be overwritten by its result
+
+    // Puts back recorded vertex groups (undo/redo)
+    const applyGroups = (mesh, groups) => {
+        restoreVertexGroups(mesh, groups);
+        groupSnapshotsRef.current.set(mesh.uuid, groups);
+        handleGroupsChange();
+    };
+
+    /**
+     * Records the vertex group change just made on a mesh and updates the group lists.
+     * @param {THREE.Mesh} mesh
+     * @param {string} label
+     * @returns {import('../hooks/useEditHistory').EditCommand} The command to push.
+     */
+    const recordGroupEdit = (mesh, label) => {
+        const before = groupSnapshotsRef.current.get(mesh.uuid) || [];
+        const after = captureVertexGroups(mesh);
+        groupSnapshotsRef.current.set(mesh.uuid, after);
+        handleGroupsChange();
+        return {
+            label,
+            undo: () => applyGroups(mesh, before),
+            redo: () => applyGroups(mesh, after),
+        };
+    };
+
+    // Puts back a recorded skeleton (undo/redo)
+    const applySkeleton = (state) => {
+        skeletonSnapshotRef.current = state;
+        setSkeletonState(state);
+    };
+
+    // Skeleton changes are recorded once the hook is idle, so a generation or a rebind becomes one entry
+    useEffect(() => {
+        if (isSkeletonBusy) return;
+        const before = skeletonSnapshotRef.current;
+        if (!before || historyEpochRef.current !== historyEpoch) {
+            // The history starts over from the current skeleton
+            historyEpochRef.current = historyEpoch;
+            skeletonSnapshotRef.current = skeletonState;
+            skeletonLabelRef.current = null;
+            clearHistory();
+            return;
+        }
+        const after = skeletonState;
+        if (before.skeleton === after.skeleton && before.joints === after.joints && before.clip === after.clip) return;
+        skeletonSnapshotRef.current = after;
+        const label = skeletonLabelRef.current || describeSkeletonChange(before, after);
+        skeletonLabelRef.current = null;
+        pushHistory({
+            label,
+            undo: () => applySkeleton(before),
+            redo: () => applySkeleton(after),
+        });
+    }, [skeletonState, isSkeletonBusy, historyEpoch]);
+
+    // Starts the history over from the current state, e.g. after a saved session or a project was applied
+    const resetHistory = () => {
+        groupSnapshotsRef.current = new Map(meshes.map(mesh => [mesh.uuid, captureVertexGroups(mesh)]));
+        setHistoryEpoch(epoch => epoch + 1);
+    };
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z redoes (Cmd on macOS); text fields keep their own undo
+    const { undo: undoEdit, redo: redoEdit } = editHistory;
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') return;
+            const target = event.target;
+            const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA'
+                || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type));
+            if (isTextField) return;
+            event.preventDefault();
+            if (isHistoryBlocked) return;
+            if (event.shiftKey) redoEdit();
+            else undoEdit();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undoEdit, redoEdit, isHistoryBlocked]);
+
+    // --- Saved session and project files ---
+    const sessionId = modelData?.sessionId || null;
+
+    // Groups and selection of every mesh, in scene traversal order (the layout sessions and projects use)
+    const describeMeshes = () => meshes.map(mesh => {
+        const vertexGroups = mesh.userData?.vertexGroups || {};
+        return {
+            name: mesh.name,
+            vertexCount: mesh.geometry.attributes.position.count,
+            vertexGroups,
+            vertexGroupWeights: Object.fromEntries(Object.keys(vertexGroups).map(name => [name, getVertexGroupWeights(mesh, name)])),
+            selection: [...(meshSelections[mesh.uuid] || [])],
+        };
+    });
+
+    // Positions (in `meshes`) of the meshes the current skeleton was built for
+    const getRiggedMeshIndices = () => (riggedMeshes ? riggedMeshes.map(mesh => meshes.indexOf(mesh)).filter(i => i >= 0) : null);
+
+    /**
+     * Replaces the groups, selections and skeleton of the loaded meshes with saved ones (from a session or a project).
+     * @param {object} saved
+     * @param {Array<object>} saved.meshes - Per mesh, see describeMeshes.
+     * @param {boolean[]} saved.matches - Whether saved mesh i fits loaded mesh i; other meshes are skipped.
+     * @param {number[] | null} [saved.riggedMeshes]
+     * @param {Array<object> | null} [saved.joints]
+     * @param {string} [saved.prompt]
+     * @param {string | null} [saved.weightingMethod]
+     * @param {THREE.AnimationClip | null} [saved.clip]
+     * @returns {Promise<{ groupCount: number, skeletonRestored: boolean }>}
+     */
+    const applySavedWork = async ({ meshes: savedMeshes, matches, riggedMeshes: riggedIndices, joints, prompt: savedPrompt, weightingMethod: savedWeighting, clip = null }) => {
+        let groupCount = 0;
+        const selections = {};
+        savedMeshes.forEach((saved, i) => {
+            const mesh = meshes[i];
+            if (!matches[i]) {
+                console.warn(`Restore: Saved mesh ${i} ("${saved.name}") does not match the model, skipping it.`);
+                return;
+            }
+            Object.keys(mesh.userData?.vertexGroups || {}).forEach(name => deleteVertexGroup(mesh, name)); // Saved groups replace the current ones
+            Object.entries(saved.vertexGroups || {}).forEach(([name, indices]) => {
+                const weights = saved.vertexGroupWeights?.[name];
+                setVertexGroup(mesh, name, indices, { weights: new Map(indices.map((index, k) => [index, weights?.[k] ?? 1])) });
+                groupCount++;
+            });
+            if (saved.selection?.length > 0) selections[mesh.uuid] = new Set(saved.selection);
+        });
+        handleGroupsChange();
+        if (Object.keys(selections).length > 0) {
+            setEditMode(true); // Selections only exist in edit mode
+            setMeshSelections(selections);
+            committedSelectionsRef.current = selections;
+        }
+
+        const rigged = (riggedIndices || []).map(i => (matches[i] ? meshes[i] : null)).filter(Boolean);
+        if (!(joints?.length > 0) || rigged.length === 0) {
+            resetSkeleton();
+            return { groupCount, skeletonRestored: false };
+        }
+        setRiggedMeshIds(new Set(rigged.map(mesh => mesh.uuid)));
+        const skeletonRestored = await restoreSkeleton(rigged, joints, { prompt: savedPrompt, weighting: savedWeighting, clip });
+        return { groupCount, skeletonRestored };
+    };
+
+    const applySession = async (session) => {
+        if (session.meshes.length === 0) return; // Nothing saved yet
+        const matches = session.meshes.map((saved, i) => meshes[i]?.geometry.attributes.position.count === saved.vertexCount);
+        const { groupCount, skeletonRestored } = await applySavedWork({ ...session, matches });
+        if (groupCount > 0 || skeletonRestored) {
+            setSessionStatus(`Restored ${groupCount} vertex group${groupCount === 1 ? '' : 's'}${skeletonRestored ? ' and the skeleton' : ''}.`);
+        }
+    };
+
+    // SHA-256 of the loaded GLB; the session id is that hash when sessions are available
+    const getModelHash = async () => sessionId || hashArrayBuffer(await modelData.file.arrayBuffer());
+
+    // Applies a project file to the loaded model, reporting every mismatch
+    const applyProject = async (project) => {
+        const { matches, mismatches } = checkProjectAgainstMeshes(project, meshes);
+        if (project.model.hash !== await getModelHash()) {
+            mismatches.unshift(`The project was saved for a different file ("${project.model.name}").`);
+        }
+        if (!matches.some(Boolean)) {
+            setSessionStatus(`Error: The project does not fit this model. ${mismatches.join(' ')}`);
+            return;
+        }
+
+        const { groupCount, skeletonRestored } = await applySavedWork({
+            meshes: project.meshes,
+            matches,
+            riggedMeshes: project.skeleton?.riggedMeshes,
+            joints: project.skeleton?.joints,
+            prompt: project.prompts?.joints || project.prompts?.animation || '',
+            weightingMethod: project.skeleton?.weightingMethod,
+            clip: getProjectClips(project)[0] || null,
+        });
+        const summary = `Opened project: ${groupCount} vertex group${groupCount === 1 ? '' : 's'}${skeletonRestored ? ', skeleton' : ''}.`;
+        setSessionStatus(mismatches.length > 0 ? `${summary} Warnings: ${mismatches.join(' ')}` : summary);
+    };
+
+    // Once the meshes are loaded, bring back a project opened from the home page, or what was saved for this file
+    useEffect(() => {
+        if (meshes.length === 0 || restoredMeshesRef.current === meshes) return;
+        restoredMeshesRef.current = meshes;
+        const project = modelData?.project || null;
+        const restore = project
+            ? applyProject(project)
+            : sessionId
+                ? loadSession(sessionId).then(session => (session ? applySession(session) : null))
+                : Promise.resolve();
+        restore
+            .catch(error => console.warn("Session: Could not restore the saved state:", error))
+            .finally(() => {
+                resetHistory(); // Restored work is the starting point, not an undoable edit
+                setIsSessionReady(true);
+            });
+    }, [sessionId, meshes]);
+
+    // Saves groups, selections and the skeleton after each change; waits for the restore so nothing saved is overwritten
+    useEffect(() => {
+        if (!sessionId || !isSessionReady || meshes.length === 0) return;
+        const timer = setTimeout(() => {
+            updateSession(sessionId, {
+                meshes: describeMeshes(),
+                riggedMeshes: getRiggedMeshIndices(),
+                joints: generatedJoints,
+                prompt,
+                weightingMethod,
+            }).catch(error => console.warn("Session: Could not save the session:", error));
+        }, SESSION_SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [sessionId, isSessionReady, meshes, groupsVersion, meshSelections, riggedMeshes, generatedJoints, prompt, weightingMethod]);
+
+    // Downloads the groups, skeleton, prompt and clip as a project file, with the model embedded if chosen
+    const handleSaveProject = async () => {
+        try {
+            const glb = await modelData.file.arrayBuffer();
+            const project = createProject({
+                modelName: modelData.modelName,
+                modelHash: sessionId || await hashArrayBuffer(glb),
+                glb: embedModelInProject ? glb : null,
+                meshes: describeMeshes(),
+                skeleton: generatedJoints && riggedMeshes
+                    ? { riggedMeshes: getRiggedMeshIndices(), joints: generatedJoints, weightingMethod }
+                    : null,
+                prompts: { joints: prompt, animation: animationClip ? prompt : '' }, // One prompt drives both requests
+                clips: animationClip ? [animationClip] : [],
+            });
+            downloadProject(project, getProjectFileName(modelData.modelName));
+            setSessionStatus('Saved project.');
+        } catch (error) {
+            console.error("Project: Save failed:", error);
+            setSessionStatus(`Error: Could not save the project: ${error.message}`);
+        }
+    };
+
+    const handleOpenProject = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow opening the same file again
+        if (!file) return;
+        try {
+            await applyProject(parseProject(await file.text()));
+            resetHistory(); // Earlier entries refer to groups and skeletons the project replaced
+        } catch (error) {
+            console.error("Project: Open failed:", error);
+            setSessionStatus(`Error: ${error.message}`);
+        }
+    };
+
     // --- Update the button handler to use the hook's prepare function ---
     const handlePrepareClick = () => {
-        const mesh = modelMeshRef.current;
-        if (mesh) {
-            // Call the prepare function from the hook
-            prepareForAnimation(mesh);
+        const riggedMeshes = meshes.filter(mesh => riggedMeshIds.has(mesh.uuid));
+        if (riggedMeshes.length > 0) {
+            // Call the prepare function from the hook; all ticked meshes share one skeleton
+            prepareForAnimation(riggedMeshes);
             // The hook will set showPrompt to true on success
+        } else if (meshes.length > 0) {
+            alert("Tick at least one mesh to rig in the scene outline.");
         } else {
-            console.error("Prepare Button: Target mesh ref is not current.");
+            console.error("Prepare Button: Model meshes are not loaded.");
             alert("Error: Model mesh not loaded correctly.");
         }
     };
 
+    // Export the rigged (and animated, if available) mesh as a GLB download
+    const handleExportClick = async () => {
+        const mesh = riggedMeshes?.[0] || modelMeshRef.current;
+        if (!generatedSkeleton || !skinnedGeometry) {
+            alert("Generate a skeleton before exporting.");
+            return;
+        }
+
+        setIsExporting(true);
+        setExportStatus('Exporting...');
+        try {
+            const clips = animationClip ? [animationClip] : [];
+            const glb = await exportSkinnedModelToGLB({
+                geometry: skinnedGeometry,
+                skeleton: generatedSkeleton,
+                material: riggedMaterial || mesh?.material, // Combined meshes keep one material per part
+                clips,
+                userData: { vertexGroups: riggedVertexGroups || {}, vertexGroupWeights: riggedVertexGroupWeights || {} },
+                name: (riggedMeshes?.length > 1 ? modelData?.modelName : mesh?.name) || 'RiggedModel',
+            });
+
+            // Round-trip check through the same loader used for uploads
+            const check = await verifyExportedGLB(glb, { boneCount: generatedSkeleton.bones.length, clipCount: clips.length });
+            if (!check.ok) {
+                console.warn("Export: Round-trip check reported issues:", check.issues);
+            }
+
+            downloadGLB(glb, getExportFileName(modelData?.modelName));
+            setExportStatus(check.ok ? 'Exported GLB.' : `Exported with warnings: ${check.issues.join(' ')}`);
+        } catch (error) {
+            console.error("Export: Failed to export GLB:", error);
+            setExportStatus(`Export failed: ${error.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    // Stable callback so LassoController does not recreate the lasso on every render (or clear the selection)
+    // Strokes pass a mode; clearing when the tool goes away does not, and is not recorded
+    const handleSelectionChange = useCallback((indices, mode, { preview = false } = {}) => {
+        pushCommand(setSelectedIndices(indices, mode ? `Select (${mode})` : null, { preview }));
+        setLastLassoMode(mode || null);
+    }, [setSelectedIndices, pushCommand]);
+
+    // --- Selection Operations ---
+    const handleSelectionOperation = (operation) => {
+        const mesh = modelMeshRef.current;
+        if (!mesh || !mesh.geometry?.attributes.position) {
+            console.warn("Selection: Target mesh is not available.");
+            return;
+        }
+        const geometry = mesh.geometry;
+
+        if (operation === 'grow') {
+            pushCommand(setSelectedIndices(growSelection(selectedIndices, getGeometryAdjacency(geometry)), 'Grow selection'));
+            setSelectionStatus('');
+        } else if (operation === 'shrink') {
+            pushCommand(setSelectedIndices(shrinkSelection(selectedIndices, getGeometryAdjacency(geometry)), 'Shrink selection'));
+            setSelectionStatus('');
+        } else if (operation === 'invert') {
+            pushCommand(setSelectedIndices(invertSelection(selectedIndices, geometry.attributes.position.count), 'Invert selection'));
+            setSelectionStatus('');
+        } else if (operation === 'mirror') {
+            const symmetryMap = getSymmetryMap(geometry);
+            const { mirrored, unmatched } = mirrorSelection(selectedIndices, symmetryMap);
+            // The symmetry map picks one vertex per mirrored position; add its seam copies back
+            const mirroredSelection = expandToWeldedVertices(mirrored, getWeldMap(geometry));
+            // Groups lying entirely inside the selection get a left_/right_ counterpart
+            const mirroredGroups = mirrorVertexGroups(mesh, selectedIndices, symmetryMap);
+            const commands = [
+                mirroredGroups.length > 0 ? recordGroupEdit(mesh, 'Mirror groups') : null,
+                setSelectedIndices(mirroredSelection, 'Mirror selection'),
+            ].filter(Boolean);
+            if (commands.length > 0) pushHistory(combineCommands('Mirror X', commands));
+            setSelectionStatus([
+                mirroredGroups.length > 0 ? `Mirrored groups: ${mirroredGroups.join(', ')}` : '',
+                unmatched > 0 ? `${unmatched} vertices have no mirror` : '',
+            ].filter(Boolean).join(' · '));
+        }
+    };
+
+    // Called after vertex groups were added, renamed, deleted or merged on any mesh
+    const handleGroupsChange = () => {
+        setGroupsVersion(version => version + 1);
+        setHasAttributesSet(meshes.some(mesh => Object.keys(mesh.userData?.vertexGroups || {}).length > 0));
+    };
+
+    const handleGroupVisibilityToggle = (name) => {
+        setHiddenGroups(previous => {
+            const next = new Set(previous);
+            if (next.has(name)) next.delete(name);
+            else next.add(name);
+            return next;
+        });
+    };
+
     // Callback for AttributeSetter
-    const handleAttributeSetSuccess = () => {
-        setHasAttributesSet(true); // Update state when an attribute is set
+    const handleAttributeSetSuccess = (name) => {
+        pushHistory(recordGroupEdit(modelMeshRef.current, `Set group "${name}"`));
+    };
+
+    // Callback for VertexGroupManager (rename, delete, merge on the mesh being edited)
+    const handleGroupManagerChange = (description) => {
+        const mesh = meshes.find(candidate => candidate.uuid === activeMeshIdRef.current);
+        if (mesh) pushHistory(recordGroupEdit(mesh, description));
     };
 
     // If no model data, redirect to home page
@@ -186,16 +779,72 @@ export default function Editor() {
                     </button>
                     <h1 className={styles.title}>3D Model Editor</h1>
                     {modelData?.modelName && <h2 className={styles.modelName}>{modelData.modelName}</h2>}
+                    {sessionStatus && (
+                        <span className={sessionStatus.startsWith('Error') ? styles.errorText : styles.lassoModeHint}>{sessionStatus}</span>
+                    )}
 
                     {/* Toggle edit mode button */}
                     <button
                         className={`${styles.editModeButton} ${editMode ? styles.active : ''}`}
-                        onClick={() => setEditMode(!editMode)}
+                        onClick={() => {
+                            setEditMode(!editMode);
+                            setJointEditMode(false);
+                        }}
                         disabled={showPrompt || isGeneratingSkeleton || isPreparing} // Disable while prompting/generating/preparing
                     >
-                        {editMode ? 'View Mode' : 'Edit Mode (Lasso)'}
+                        {editMode ? 'View Mode' : `Edit Mode (${SELECTION_TOOL_LABELS[selectionTool]})`}
                     </button>
 
+                    {/* Selection tool and mode; modifier keys override the mode for a single stroke */}
+                    {editMode && (
+                        <label className={styles.lassoMode}>
+                            Tool:
+                            <select value={selectionTool} onChange={(e) => setSelectionTool(e.target.value)}>
+                                {SELECTION_TOOLS.map(tool => (
+                                    <option key={tool} value={tool}>{SELECTION_TOOL_LABELS[tool]}</option>
+                                ))}
+                            </select>
+                            {selectionTool === 'brush' && (
+                                <input
+                                    type="number"
+                                    min={2}
+                                    max={200}
+                                    value={brushRadius}
+                                    onChange={(e) => setBrushRadius(Math.max(2, Number(e.target.value) || DEFAULT_BRUSH_RADIUS))}
+                                    title="Brush radius (pixels)"
+                                />
+                            )}
+                        </label>
+                    )}
+                    {editMode && (
+                        <label className={styles.lassoMode}>
+                            Mode:
+                            <select value={lassoMode} onChange={(e) => setLassoMode(e.target.value)}>
+                                {SELECTION_MODES.map(mode => (
+                                    <option key={mode} value={mode}>{SELECTION_MODE_LABELS[mode]}</option>
+                                ))}
+                            </select>
+                            {lastLassoMode && lastLassoMode !== lassoMode && (
+                                <span className={styles.lassoModeHint}>last stroke: {lastLassoMode}</span>
+                            )}
+                        </label>
+                    )}
+                    {editMode && (
+                        <div className={styles.lassoMode}>
+                            <button className={styles.selectionOpButton} onClick={() => handleSelectionOperation('grow')} disabled={selectedIndices.size === 0}>Grow</button>
+                            <button className={styles.selectionOpButton} onClick={() => handleSelectionOperation('shrink')} disabled={selectedIndices.size === 0}>Shrink</button>
+                            <button className={styles.selectionOpButton} onClick={() => handleSelectionOperation('invert')}>Invert</button>
+                            <button className={styles.selectionOpButton} onClick={() => handleSelectionOperation('mirror')} disabled={selectedIndices.size === 0} title="Mirror across X; groups inside the selection get a left_/right_ copy">Mirror X</button>
+                            {selectionStatus && <span className={styles.lassoModeHint}>{selectionStatus}</span>}
+                        </div>
+                    )}
+                    {editMode && (
+                        <label className={styles.lassoMode} title="Also select vertices hidden behind other parts of the model">
+                            <input type="checkbox" checked={xray} onChange={(e) => setXray(e.target.checked)} />
+                            X-ray
+                        </label>
+                    )}
+
                     {/* Conditionally render the Prepare/Animate button */}
                     {hasAttributesSet && (
                         <button
@@ -206,6 +855,50 @@ export default function Editor() {
                             {isPreparing ? 'Preparing...' : 'Prepare for Animation'}
                         </button>
                     )}
+
+                    {/* Project files carry groups, skeleton, prompt and clip to another editor */}
+                    <button
+                        className={styles.selectionOpButton}
+                        onClick={handleSaveProject}
+                        disabled={isGeneratingSkeleton || meshes.length === 0}
+                        title={`Download a ${PROJECT_FILE_EXTENSION} project file`}
+                    >
+                        Save Project
+                    </button>
+                    <label className={styles.lassoMode} title="Include the model in the project file, so it opens without the original .glb">
+                        <input type="checkbox" checked={embedModelInProject} onChange={(e) => setEmbedModelInProject(e.target.checked)} />
+                        Embed model
+                    </label>
+                    <button
+                        className={styles.selectionOpButton}
+                        onClick={() => projectInputRef.current?.click()}
+                        disabled={showPrompt || isGeneratingSkeleton || meshes.length === 0}
+                    >
+                        Open Project
+                    </button>
+                    <input ref={projectInputRef} type="file" accept=".json" onChange={handleOpenProject} style={{ display: 'none' }} />
+
+                    {/* Move, insert, delete and re-parent joints of the generated skeleton */}
+                    {generatedSkeleton && generatedJoints && (
+                        <button
+                            className={`${styles.editModeButton} ${jointEditMode ? styles.active : ''}`}
+                            onClick={handleJointEditToggle}
+                            disabled={showPrompt || isGeneratingSkeleton}
+                        >
+                            {jointEditMode ? 'Stop Editing Joints' : 'Edit Joints'}
+                        </button>
+                    )}
+
+                    {/* Export is available once a skeleton has been generated */}
+                    {generatedSkeleton && skinnedGeometry && (
+                        <button
+                            className={styles.continueButton} // Reuse style
+                            onClick={handleExportClick}
+                            disabled={isExporting || isGeneratingSkeleton || isRebinding}
+                        >
+                            {isExporting ? 'Exporting...' : 'Export GLB'}
+                        </button>
+                    )}
                 </div>
 
                 {/* --- Conditionally render the Animation Prompt UI --- */}
@@ -213,6 +906,10 @@ export default function Editor() {
                     <AnimationPromptUI
                         prompt={prompt}
                         onPromptChange={setPrompt}
+                        weightingMethod={weightingMethod}
+                        onWeightingMethodChange={setWeightingMethod}
+                        jointBudgets={jointBudgets}
+                        onJointBudgetChange={setJointBudget}
                         onGenerate={generateSkeleton}
                         onCancel={cancelSkeletonGeneration}
                         isLoading={isGeneratingSkeleton}
@@ -234,17 +931,26 @@ export default function Editor() {
                         />
 
                         {/* Always render the Model, pass the ref */}
-                        <Model url={modelData.modelUrl} ref={modelMeshRef} />
+                        <Model url={modelData.modelUrl} ref={modelMeshRef} onMeshesFound={handleMeshesFound} />
 
                         {/* Conditionally render LassoController when in edit mode */}
                         {editMode && !showPrompt && modelMeshRef.current && ( // Ensure meshRef is current
                             <LassoController
                                 targetMeshRef={modelMeshRef}
                                 selectedIndices={selectedIndices}
-                                onSelectionChange={setSelectedIndices}
+                                onSelectionChange={handleSelectionChange}
+                                tool={selectionTool}
+                                mode={lassoMode}
+                                xray={xray}
+                                brushRadius={brushRadius}
                             />
                         )}
 
+                        {/* Colored vertex group highlights */}
+                        {editMode && !showPrompt && modelMeshRef.current && (
+                            <VertexGroupHighlights mesh={modelMeshRef.current} version={groupsVersion} hiddenGroups={hiddenGroups} />
+                        )}
+
                         {/* Render the AttributeSetter component */}
                         {editMode && !showPrompt && modelMeshRef.current && selectedIndices.size > 0 && (
                             <AttributeSetter
@@ -255,43 +961,156 @@ export default function Editor() {
                         )}
 
                         {/* --- Render Skeleton Helper --- */}
-                        {generatedSkeleton && <SkeletonVisualizer skeleton={generatedSkeleton} />}
+                        {generatedSkeleton && <SkeletonVisualizer skeleton={generatedSkeleton} matrixWorld={riggedMatrixWorld} />}
                         {/* --- End Skeleton Helper --- */}
 
+                        {/* Joint handles with a translate gizmo on the selected joint */}
+                        {jointEditMode && generatedJoints && (
+                            <JointHandles
+                                joints={generatedJoints}
+                                selectedJoint={selectedJoint}
+                                onSelectJoint={setSelectedJoint}
+                                onMoveJoint={handleMoveJoint}
+                                disabled={showPrompt}
+                            />
+                        )}
+
                         <OrbitControls
                             ref={controlsRef} // Make sure you have a ref if you need to interact with controls directly
+                            makeDefault // Lets the joint gizmo pause the camera while dragging
                             enableDamping
                             dampingFactor={0.1}
-                            // This condition should work correctly:
-                            // Controls are enabled ONLY IF:
-                            // - Not in editMode AND
-                            // - The prompt is not currently shown
-                            enabled={!editMode && !showPrompt}
+                            // Disabled while the prompt is shown; in edit mode only two-finger gestures and the wheel move the camera
+                            enabled={!showPrompt}
+                            touches={editMode ? EDIT_MODE_TOUCHES : VIEW_MODE_TOUCHES}
+                            mouseButtons={editMode ? EDIT_MODE_MOUSE_BUTTONS : VIEW_MODE_MOUSE_BUTTONS}
                         />
+                        <TouchCameraDriver controlsRef={controlsRef} orbitInputRef={orbitInputRef} zoomInputRef={zoomInputRef} />
                         <Environment preset="sunset" />
                         <gridHelper args={[10, 10]} />
                     </Canvas>
 
-                    {/* Mobile touch controls */}
-                    <div className={styles.mobileControls}>
-                        {/* Left joystick for movement/steering */}
-                        <div className={styles.leftJoystick}></div>
+                    <div className={styles.sidePanels}>
+                        {/* Scene outline: pick the mesh to edit and the meshes to rig */}
+                        {meshes.length > 1 && (
+                            <div className={styles.sceneOutline}>
+                                <h4>Meshes</h4>
+                                <ul>
+                                    {meshes.map((mesh, i) => {
+                                        const groupCount = Object.keys(mesh.userData?.vertexGroups || {}).length;
+                                        const selectedCount = meshSelections[mesh.uuid]?.size || 0;
+                                        return (
+                                            <li key={mesh.uuid} className={mesh.uuid === activeMeshId ? styles.activeMesh : ''}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={riggedMeshIds.has(mesh.uuid)}
+                                                    onChange={() => handleRiggedMeshToggle(mesh)}
+                                                    disabled={showPrompt || isGeneratingSkeleton || isPreparing}
+                                                    title="Include in the skeleton"
+                                                />
+                                                <button onClick={() => handleActiveMeshChange(mesh)} title="Edit this mesh">
+                                                    {mesh.name || `Mesh ${i + 1}`}
+                                                </button>
+                                                <span className={styles.meshStats}>
+                                                    {mesh.geometry.attributes.position.count} v · {groupCount} groups
+                                                    {selectedCount > 0 && ` · ${selectedCount} selected`}
+                                                </span>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                        )}
 
-                        {/* Right joystick for camera control */}
-                        <div className={styles.rightJoystick}></div>
+                        {/* Vertex groups of the mesh being edited */}
+                        {editMode && !showPrompt && (
+                            <VertexGroupManager
+                                mesh={meshes.find(mesh => mesh.uuid === activeMeshId) || null}
+                                version={groupsVersion}
+                                hiddenGroups={hiddenGroups}
+                                onToggleVisibility={handleGroupVisibilityToggle}
+                                onSelectGroup={(indices) => pushCommand(setSelectedIndices(indices, 'Select group'))}
+                                onGroupsChange={handleGroupManagerChange}
+                                disabled={isGeneratingSkeleton || isPreparing}
+                            />
+                        )}
 
-                        {/* Bottom arc layout for abilities */}
-                        <div className={styles.abilityButtons}>
-                            {Array(6).fill(0).map((_, i) => (
+                        {/* Joint list and hierarchy edits; moving is done with the gizmo */}
+                        {jointEditMode && generatedJoints && !showPrompt && (
+                            <JointEditorPanel
+                                joints={generatedJoints}
+                                selectedJoint={selectedJoint}
+                                onSelectJoint={setSelectedJoint}
+                                onInsert={handleInsertJoint}
+                                onDelete={handleDeleteJoint}
+                                onReparent={handleReparentJoint}
+                                onDone={() => setJointEditMode(false)}
+                                isRebinding={isRebinding}
+                                error={jointEditError || skeletonError}
+                            />
+                        )}
+
+                        {/* Undo history; Ctrl+Z / Ctrl+Shift+Z step through it */}
+                        {editHistory.entries.length > 0 && (
+                            <EditHistoryPanel
+                                entries={editHistory.entries}
+                                position={editHistory.position}
+                                onGoTo={editHistory.goTo}
+                                onUndo={undoEdit}
+                                onRedo={redoEdit}
+                                disabled={isHistoryBlocked}
+                            />
+                        )}
+                    </div>
+
+                    {/* Mobile touch controls (shown on touch screens only) */}
+                    {!showPrompt && (
+                        <div className={styles.mobileControls}>
+                            {/* Left joystick: up zooms in, down zooms out */}
+                            <TouchJoystick
+                                className={`${styles.joystick} ${styles.leftJoystick}`}
+                                handleClassName={styles.joystickHandle}
+                                label="Zoom"
+                                onChange={(value) => { zoomInputRef.current = value; }}
+                            />
+
+                            {/* Right joystick orbits the camera */}
+                            <TouchJoystick
+                                className={`${styles.joystick} ${styles.rightJoystick}`}
+                                handleClassName={styles.joystickHandle}
+                                label="Orbit"
+                                onChange={(value) => { orbitInputRef.current = value; }}
+                            />
+
+                            {/* Bottom arc layout: view mode, the selection tools and the selection mode */}
+                            <div className={styles.abilityButtons}>
+                                <button
+                                    className={`${styles.abilityButton} ${!editMode ? styles.active : ''}`}
+                                    onClick={() => setEditMode(false)}
+                                    disabled={isGeneratingSkeleton || isPreparing}
+                                >
+                                    View
+                                </button>
+                                {SELECTION_TOOLS.map(tool => (
+                                    <button
+                                        key={tool}
+                                        className={`${styles.abilityButton} ${editMode && selectionTool === tool ? styles.active : ''}`}
+                                        onClick={() => { setSelectionTool(tool); setEditMode(true); }}
+                                        disabled={isGeneratingSkeleton || isPreparing}
+                                    >
+                                        {SELECTION_TOOL_LABELS[tool]}
+                                    </button>
+                                ))}
                                 <button
-                                    key={i}
                                     className={styles.abilityButton}
+                                    onClick={() => setLassoMode(SELECTION_MODES[(SELECTION_MODES.indexOf(lassoMode) + 1) % SELECTION_MODES.length])}
+                                    title="Selection mode"
                                 >
-                                    {i + 1}
+                                    {SELECTION_MODE_LABELS[lassoMode].split(' ')[0]}
                                 </button>
-                            ))}
+                            </div>
                         </div>
-                    </div>
+                    )}
                 </div>
 
                 {/* Optional: Display skeleton info */}
@@ -300,6 +1119,11 @@ export default function Editor() {
                         <h4>Skeleton Generated</h4>
                         <p>Skeleton with {generatedSkeleton.bones.length} bones created.</p>
                         {/* Displaying skinnedGeometry info might be too verbose */}
+                        {animationError && <p className={styles.errorText}>Animation error: {animationError}</p>}
+                        {exportStatus && <p>{exportStatus}</p>}
+                        {animationClip && skinnedGeometry && (
+                            <SkinnedModelViewer geometry={skinnedGeometry} skeleton={generatedSkeleton} clip={animationClip} />
+                        )}
                     </div>
                 )}
             </main>
@@ -307,8 +1131,39 @@ export default function Editor() {
     );
 }
 
+// Applies the touch joysticks to the orbit camera every frame
+const ORBIT_SPEED = 2; // Radians per second at full deflection
+const ZOOM_SPEED = 1.5; // Fraction of the distance per second at full deflection
+const TouchCameraDriver = ({ controlsRef, orbitInputRef, zoomInputRef }) => {
+    const { camera } = useThree();
+    const offset = useMemo(() => new THREE.Vector3(), []);
+    const spherical = useMemo(() => new THREE.Spherical(), []);
+
+    useFrame((_, delta) => {
+        const controls = controlsRef.current;
+        const orbit = orbitInputRef.current;
+        const zoom = zoomInputRef.current;
+        if (!controls || !controls.enabled || (orbit.x === 0 && orbit.y === 0 && zoom.y === 0)) return;
+
+        offset.copy(camera.position).sub(controls.target);
+        spherical.setFromVector3(offset);
+        spherical.theta -= orbit.x * ORBIT_SPEED * delta;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + orbit.y * ORBIT_SPEED * delta, 0.01, Math.PI - 0.01);
+        spherical.radius = THREE.MathUtils.clamp(
+            spherical.radius * (1 - zoom.y * ZOOM_SPEED * delta),
+            controls.minDistance,
+            controls.maxDistance
+        );
+        camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+        camera.lookAt(controls.target);
+        controls.update();
+    });
+    return null;
+};
+
 // Helper component to render the skeleton (can stay the same or be simplified)
-const SkeletonVisualizer = ({ skeleton }) => {
+// Bones are in the mesh's local space, so the helper is placed under the mesh's world matrix
+const SkeletonVisualizer = ({ skeleton, matrixWorld }) => {
     const helperRef = useRef();
 
     useEffect(() => {
@@ -351,5 +1206,10 @@ const SkeletonVisualizer = ({ skeleton }) => {
     }); // Removed the line number causing the error in the log
 
     // Return the primitive if the helper exists
-    return helperRef.current ? <primitive object={helperRef.current} /> : null;
+    if (!helperRef.current) return null;
+    return (
+        <group matrixAutoUpdate={false} matrix={matrixWorld || new THREE.Matrix4()}>
+            <primitive object={helperRef.current} />
+        </group>
+    );
 };
\ No newline at end of file
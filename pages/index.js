@@ -1,9 +1,11 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
 import styles from '../styles/Home.module.css';
-import { loadGLBFromFile, fileToURL } from './modelLoader';
+import { loadGLBFromFile, fileToURL } from '../utils/modelLoader';
 import { useModelContext } from '../contexts/ModelContext';
+import { hashArrayBuffer, openSession, getLastSession, deleteSession } from '../utils/sessionStore';
+import { parseProject, getProjectModelBytes } from '../utils/projectFormat';
 
 export default function Home() {
     const router = useRouter();
@@ -13,6 +15,14 @@ export default function Home() {
     const [uploadProgress, setUploadProgress] = useState(0);
     const [uploadStatus, setUploadStatus] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [lastSession, setLastSession] = useState(null); // Most recently saved editor session, offered for restore
+
+    // Look for a session saved before the last reload
+    useEffect(() => {
+        getLastSession()
+            .then(setLastSession)
+            .catch(error => console.warn('Session: Could not read saved sessions:', error));
+    }, []);
 
     // Handle file drop
     const onDrop = useCallback((e) => {
@@ -20,7 +30,9 @@ export default function Home() {
         setIsDragging(false);
 
         const droppedFile = e.dataTransfer.files[0];
-        if (droppedFile && isValidFile(droppedFile)) {
+        if (droppedFile && isProjectFile(droppedFile)) {
+            processProjectFile(droppedFile);
+        } else if (droppedFile && isValidFile(droppedFile)) {
             setFile(droppedFile);
             processGLBFile(droppedFile);
         } else {
@@ -31,7 +43,9 @@ export default function Home() {
     // Handle file selection via input
     const onFileSelect = (e) => {
         const selectedFile = e.target.files[0];
-        if (selectedFile && isValidFile(selectedFile)) {
+        if (selectedFile && isProjectFile(selectedFile)) {
+            processProjectFile(selectedFile);
+        } else if (selectedFile && isValidFile(selectedFile)) {
             setFile(selectedFile);
             processGLBFile(selectedFile);
         } else if (selectedFile) {
@@ -44,8 +58,31 @@ export default function Home() {
         return file.name.toLowerCase().endsWith('.glb');
     };
 
+    // Project files (see utils/projectFormat) are JSON
+    const isProjectFile = (file) => {
+        return file.name.toLowerCase().endsWith('.json');
+    };
+
+    // Open a project file that embeds its model; the editor applies the project once the model is loaded
+    const processProjectFile = async (projectFile) => {
+        try {
+            const project = parseProject(await projectFile.text());
+            const glb = getProjectModelBytes(project);
+            if (!glb) {
+                setUploadStatus('This project does not include its model. Upload the model, then use Open Project in the editor.');
+                return;
+            }
+            const modelFile = new File([glb], project.model.name, { type: 'model/gltf-binary' });
+            setFile(modelFile);
+            processGLBFile(modelFile, project);
+        } catch (error) {
+            console.error('Error opening project:', error);
+            setUploadStatus(error.message);
+        }
+    };
+
     // Process the GLB file
-    const processGLBFile = (file) => {
+    const processGLBFile = (file, project = null) => {
         setIsLoading(true);
         setUploadStatus('Loading model...');
         setUploadProgress(0);
@@ -57,7 +94,18 @@ export default function Home() {
         loadGLBFromFile(file, (progress) => {
             setUploadProgress(progress * 100);
         })
-            .then((modelData) => {
+            .then(async (modelData) => {
+                // Save the file so the session survives a reload; the same file resumes its saved session
+                let sessionId = null;
+                try {
+                    const glb = await file.arrayBuffer();
+                    sessionId = await hashArrayBuffer(glb);
+                    await openSession({ id: sessionId, modelName: file.name, glb });
+                } catch (error) {
+                    console.warn('Session: Could not save the session, changes will not survive a reload:', error);
+                    sessionId = null;
+                }
+
                 setUploadStatus('Model loaded successfully!');
                 setUploadProgress(100);
                 setIsLoading(false);
@@ -67,7 +115,9 @@ export default function Home() {
                     file,
                     modelUrl,
                     modelName: file.name,
-                    loaded: true
+                    loaded: true,
+                    sessionId,
+                    project, // Project opened with the model, applied by the editor
                 });
 
                 // Navigate to editor page
@@ -84,6 +134,23 @@ export default function Home() {
             });
     };
 
+    // Load the saved GLB again; its session id is the same hash, so the editor restores the saved work
+    const handleRestoreSession = () => {
+        const restoredFile = new File([lastSession.glb], lastSession.modelName, { type: 'model/gltf-binary' });
+        setFile(restoredFile);
+        processGLBFile(restoredFile);
+    };
+
+    const handleDiscardSession = () => {
+        deleteSession(lastSession.id)
+            .catch(error => console.warn('Session: Could not delete the saved session:', error));
+        setLastSession(null);
+    };
+
+    const savedGroupCount = lastSession
+        ? new Set(lastSession.meshes.flatMap(mesh => Object.keys(mesh.vertexGroups || {}))).size
+        : 0;
+
     return (
         <div className={styles.container}>
             <Head>
@@ -96,7 +163,7 @@ export default function Home() {
                 <h1 className={styles.title}>3D Animation Tool</h1>
 
                 <p className={styles.description}>
-                    Upload your 3D model (.glb) to get started
+                    Upload your 3D model (.glb) or a project file (.rig.json) to get started
                 </p>
 
                 <div
@@ -122,11 +189,12 @@ export default function Home() {
                                 Browse Files
                                 <input
                                     type="file"
-                                    accept=".glb"
+                                    accept=".glb,.json"
                                     onChange={onFileSelect}
                                     className={styles.fileInput}
                                 />
                             </label>
+                            {uploadStatus && <p className={styles.statusText}>{uploadStatus}</p>}
                         </>
                     ) : (
                         <div className={styles.uploadProgress}>
@@ -149,6 +217,23 @@ export default function Home() {
                         </div>
                     )}
                 </div>
+
+                {lastSession && !file && (
+                    <div className={styles.restoreSession}>
+                        <p>
+                            Continue where you left off: <strong>{lastSession.modelName}</strong>
+                            <span className={styles.statusText}>
+                                {' '}· saved {new Date(lastSession.savedAt).toLocaleString()}
+                                {' '}· {savedGroupCount} vertex group{savedGroupCount === 1 ? '' : 's'}
+                                {lastSession.joints ? ' · skeleton' : ''}
+                            </span>
+                        </p>
+                        <div className={styles.restoreActions}>
+                            <button className={styles.nextButton} onClick={handleRestoreSession}>Restore Session</button>
+                            <button className={styles.discardButton} onClick={handleDiscardSession}>Discard</button>
+                        </div>
+                    </div>
+                )}
             </main>
 
             <footer className={styles.footer}>
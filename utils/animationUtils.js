@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+/**
+ * Describes the bones of a skeleton for the /api/generate-animation request.
+ * Positions are the world space rest positions of each bone. Bones bound to a mesh live in the mesh's
+ * geometry space (see createAndBindSkeleton), so pass the mesh's world matrix to bring them into world space.
+ *
+ * @param {THREE.Skeleton} skeleton - The skeleton to describe.
+ * @param {THREE.Matrix4 | null} [matrixWorld] - World matrix of the space the skeleton's root lives in. Null if that is already world space.
+ * @returns {Array<{ name: string, jointName: string | null, parent: string | null, position: {x: number, y: number, z: number} }>}
+ */
+export function getBoneDescriptors(skeleton, matrixWorld = null) {
+    if (!skeleton || !skeleton.bones || skeleton.bones.length === 0) {
+        console.warn("getBoneDescriptors: Skeleton has no bones.");
+        return [];
+    }
+
+    // Bones may not be part of a scene yet, so update the hierarchy from the root bone
+    skeleton.bones[0].updateMatrixWorld(true);
+
+    const worldPos = new THREE.Vector3();
+    return skeleton.bones.map(bone => {
+        bone.getWorldPosition(worldPos); // Relative to the root bone's parent space, since the bones are not in the scene
+        if (matrixWorld) worldPos.applyMatrix4(matrixWorld);
+        return {
+            name: bone.name,
+            jointName: bone.userData.jointName || null,
+            parent: bone.parent && bone.parent.isBone ? bone.parent.name : null,
+            position: { x: worldPos.x, y: worldPos.y, z: worldPos.z },
+        };
+    });
+}
+
+/**
+ * Turns a keyframe description from /api/generate-animation into a THREE.AnimationClip.
+ * Rotation keyframes (Euler degrees relative to the rest pose) become quaternion tracks,
+ * position keyframes (offsets from the rest position) become vector tracks.
+ *
+ * @param {{ name: string, duration: number, tracks: Array<{ bone: string, type: 'rotation' | 'position', keyframes: Array<{ time: number, value: number[] }> }> }} description - The validated keyframe description.
+ * @param {THREE.Skeleton} skeleton - The skeleton the clip animates. Used for rest poses.
+ * @returns {THREE.AnimationClip | null} The created clip, or null if no track could be built.
+ */
+export function createAnimationClip(description, skeleton) {
+    if (!description || !Array.isArray(description.tracks) || !skeleton) {
+        console.error("createAnimationClip: Invalid description or skeleton.");
+        return null;
+    }
+
+    const euler = new THREE.Euler();
+    const offset = new THREE.Quaternion();
+    const quaternion = new THREE.Quaternion();
+    const keyframeTracks = [];
+
+    description.tracks.forEach(track => {
+        const bone = skeleton.getBoneByName(track.bone);
+        if (!bone) {
+            console.warn(`createAnimationClip: Bone "${track.bone}" not found in skeleton. Skipping track.`);
+            return;
+        }
+
+        const times = track.keyframes.map(k => k.time);
+        const values = [];
+
+        if (track.type === 'rotation') {
+            track.keyframes.forEach(({ value }) => {
+                euler.set(
+                    THREE.MathUtils.degToRad(value[0]),
+                    THREE.MathUtils.degToRad(value[1]),
+                    THREE.MathUtils.degToRad(value[2])
+                );
+                offset.setFromEuler(euler);
+                // Apply the rotation on top of the bone's rest orientation
+                quaternion.copy(bone.quaternion).multiply(offset);
+                values.push(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            });
+            keyframeTracks.push(new THREE.QuaternionKeyframeTrack(`${bone.name}.quaternion`, times, values));
+        } else if (track.type === 'position') {
+            track.keyframes.forEach(({ value }) => {
+                values.push(
+                    bone.position.x + value[0],
+                    bone.position.y + value[1],
+                    bone.position.z + value[2]
+                );
+            });
+            keyframeTracks.push(new THREE.VectorKeyframeTrack(`${bone.name}.position`, times, values));
+        } else {
+            console.warn(`createAnimationClip: Unknown track type "${track.type}". Skipping track.`);
+        }
+    });
+
+    if (keyframeTracks.length === 0) {
+        console.error("createAnimationClip: No valid tracks were created.");
+        return null;
+    }
+
+    const clip = new THREE.AnimationClip(description.name || 'GeneratedAnimation', description.duration, keyframeTracks);
+    console.log(`Created animation clip "${clip.name}" with ${keyframeTracks.length} tracks (${clip.duration}s).`);
+    return clip;
+}
+
+/**
+ * Moves a clip onto a rebuilt skeleton whose rest pose changed (e.g. after a joint was moved).
+ * Tracks hold absolute values, the rest pose combined with the generated offset (see createAnimationClip),
+ * so every keyframe is taken off the old bone's rest position/orientation and put onto the new one's.
+ * Bones are matched by name; tracks of bones missing from either skeleton are copied unchanged.
+ *
+ * @param {THREE.AnimationClip} clip - Clip made for `fromSkeleton`.
+ * @param {THREE.Skeleton} fromSkeleton - The skeleton the clip was made for.
+ * @param {THREE.Skeleton} toSkeleton - The rebuilt skeleton.
+ * @returns {THREE.AnimationClip} A new clip for `toSkeleton`.
+ */
+export function rebaseAnimationClip(clip, fromSkeleton, toSkeleton) {
+    const delta = new THREE.Vector3();
+    const correction = new THREE.Quaternion();
+    const quaternion = new THREE.Quaternion();
+
+    const tracks = clip.tracks.map(track => {
+        const rebased = track.clone();
+        const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+        const from = fromSkeleton.getBoneByName(nodeName);
+        const to = toSkeleton.getBoneByName(nodeName);
+        if (!from || !to) return rebased;
+
+        const values = rebased.values;
+        if (propertyName === 'position') {
+            delta.subVectors(to.position, from.position);
+            for (let i = 0; i < values.length; i += 3) {
+                values[i] += delta.x;
+                values[i + 1] += delta.y;
+                values[i + 2] += delta.z;
+            }
+        } else if (propertyName === 'quaternion') {
+            // new rest * offset = (new rest * old rest^-1) * (old rest * offset)
+            correction.copy(from.quaternion).invert().premultiply(to.quaternion);
+            for (let i = 0; i < values.length; i += 4) {
+                quaternion.fromArray(values, i).premultiply(correction).toArray(values, i);
+            }
+        }
+        return rebased;
+    });
+
+    return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
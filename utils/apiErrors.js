@@ -0,0 +1,48 @@
+// Error codes returned by the API routes as `{ error, code, details? }`.
+// Shared by the routes and the client so both sides agree on the meaning of each code.
+
+export const API_ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
+    UPSTREAM_REQUEST_FAILED: 'UPSTREAM_REQUEST_FAILED',
+    UNEXPECTED_UPSTREAM_RESPONSE: 'UNEXPECTED_UPSTREAM_RESPONSE',
+    INVALID_MODEL_OUTPUT: 'INVALID_MODEL_OUTPUT',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+};
+
+const API_ERROR_MESSAGES = {
+    [API_ERROR_CODES.INVALID_REQUEST]: "The request was rejected",
+    [API_ERROR_CODES.CONFIGURATION_ERROR]: "The server is not configured for AI requests",
+    [API_ERROR_CODES.UPSTREAM_REQUEST_FAILED]: "The AI service rejected the request",
+    [API_ERROR_CODES.UNEXPECTED_UPSTREAM_RESPONSE]: "The AI service sent an unexpected response",
+    [API_ERROR_CODES.INVALID_MODEL_OUTPUT]: "The AI service did not return a usable result",
+    [API_ERROR_CODES.NETWORK_ERROR]: "Could not reach the AI service",
+};
+
+/**
+ * Sends a structured error response.
+ * @param {object} res - The Next.js API response.
+ * @param {number} status - HTTP status code.
+ * @param {string} code - One of API_ERROR_CODES.
+ * @param {string} message - Human readable description.
+ * @param {any} [details] - Optional extra information (e.g. validation errors per attempt).
+ */
+export function sendApiError(res, status, code, message, details) {
+    const body = { error: message, code };
+    if (details !== undefined) body.details = details;
+    return res.status(status).json(body);
+}
+
+/**
+ * Turns a failed API response into a message for the UI.
+ * @param {Response} response - The failed fetch response.
+ * @returns {Promise<string>} e.g. "The AI service did not return a usable result: Joint 2 has a non-finite "x"."
+ */
+export async function describeApiErrorResponse(response) {
+    let errorData = null;
+    try { errorData = await response.json(); } catch (e) { /* Ignore */ }
+
+    const summary = API_ERROR_MESSAGES[errorData?.code];
+    const detail = errorData?.error || `API request failed (${response.status})`;
+    return summary ? `${summary}: ${detail}` : detail;
+}
@@ -0,0 +1,15 @@
+/**
+ * Triggers a browser download of in-memory data.
+ * @param {Blob} blob - The file contents, with its MIME type.
+ * @param {string} fileName - Name of the downloaded file.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
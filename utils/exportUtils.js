@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter';
+import { loadGLBFromFile } from './modelLoader';
+import { downloadBlob } from './downloadUtils';
+
+/**
+ * Finds the material of the first mesh in a loaded scene.
+ * @param {THREE.Object3D} scene - The scene to search (e.g. gltf.scene).
+ * @returns {THREE.Material | THREE.Material[] | null} The material, or null if the scene has no mesh.
+ */
+export function findFirstMeshMaterial(scene) {
+    let material = null;
+    scene?.traverse((node) => {
+        if (!material && node.isMesh) {
+            material = node.material;
+        }
+    });
+    return material;
+}
+
+/**
+ * Copies a skeleton so the exported mesh does not steal bones from a mesh that is being displayed.
+ * Every root bone (a bone whose parent is not in the skeleton) is cloned with its hierarchy.
+ * The copy is reset to the bind pose, so an animation that is currently playing does not leak into the export.
+ * @param {THREE.Skeleton} skeleton - The skeleton to copy.
+ * @returns {{ rootBones: THREE.Bone[], skeleton: THREE.Skeleton }}
+ * @throws {Error} If a bone of the skeleton is not part of the cloned hierarchies.
+ * @private
+ */
+function cloneSkeleton(skeleton) {
+    const boneSet = new Set(skeleton.bones);
+    const roots = skeleton.bones.filter(bone => !boneSet.has(bone.parent));
+
+    // Clones keep the child order, so walking original and clone together pairs each bone with its copy
+    const clones = new Map();
+    const rootBones = roots.map(root => {
+        const rootClone = root.clone(); // Recursive clone of the bone hierarchy
+        const pair = (original, copy) => {
+            clones.set(original, copy);
+            original.children.forEach((child, i) => pair(child, copy.children[i]));
+        };
+        pair(root, rootClone);
+        return rootClone;
+    });
+
+    const bones = skeleton.bones.map(bone => {
+        const copy = clones.get(bone);
+        if (!copy) throw new Error(`Cannot export skeleton: bone "${bone.name}" is not part of its bone hierarchy.`);
+        return copy;
+    });
+    const clonedSkeleton = new THREE.Skeleton(bones, skeleton.boneInverses.map(m => m.clone()));
+    clonedSkeleton.pose();
+    return { rootBones, skeleton: clonedSkeleton };
+}
+
+/**
+ * Builds a SkinnedMesh from rigging results and serializes it, with its animations, to a binary glTF (GLB).
+ *
+ * @param {object} params
+ * @param {THREE.BufferGeometry} params.geometry - Geometry with skinIndex/skinWeight attributes.
+ * @param {THREE.Skeleton} params.skeleton - The skeleton the geometry is bound to.
+ * @param {THREE.Material | THREE.Material[]} [params.material] - Material(s) from the uploaded scene. A default material is used if missing.
+ * @param {Array<THREE.AnimationClip>} [params.clips] - Animation clips to include.
+ * @param {object} [params.userData] - Optional data stored in the mesh extras (e.g. vertexGroups).
+ * @param {string} [params.name] - Name of the exported mesh node.
+ * @returns {Promise<ArrayBuffer>} The GLB file contents.
+ * @throws {Error} If geometry or skeleton are invalid or the exporter fails.
+ */
+export async function exportSkinnedModelToGLB({ geometry, skeleton, material, clips = [], userData = {}, name = 'RiggedModel' }) {
+    if (!geometry || !geometry.attributes.skinIndex || !geometry.attributes.skinWeight) {
+        throw new Error("Geometry is missing skinning attributes. Generate a skeleton first.");
+    }
+    if (!skeleton || !skeleton.bones || skeleton.bones.length === 0) {
+        throw new Error("Skeleton has no bones.");
+    }
+
+    // --- 1. Build an export-only scene ---
+    const exportGeometry = geometry.clone();
+    // BufferGeometry.clone shares userData by reference, and the skeleton stored there is not serializable
+    const { skeleton: _skeleton, ...geometryUserData } = geometry.userData || {};
+    exportGeometry.userData = geometryUserData;
+
+    const exportMaterial = material || new THREE.MeshStandardMaterial({ color: 0xcccccc, metalness: 0.1, roughness: 0.8 });
+    const mesh = new THREE.SkinnedMesh(exportGeometry, exportMaterial);
+    mesh.name = name;
+    mesh.userData = userData;
+
+    const { rootBones, skeleton: exportSkeleton } = cloneSkeleton(skeleton);
+    mesh.add(...rootBones);
+    mesh.updateMatrixWorld(true);
+    mesh.bind(exportSkeleton);
+
+    const scene = new THREE.Scene();
+    scene.add(mesh);
+
+    // --- 2. Serialize ---
+    const validClips = clips.filter(Boolean);
+    console.log(`Export: Writing GLB with ${exportSkeleton.bones.length} bones and ${validClips.length} animation(s)...`);
+    const exporter = new GLTFExporter();
+    const result = await exporter.parseAsync(scene, { binary: true, animations: validClips });
+
+    if (!(result instanceof ArrayBuffer)) {
+        throw new Error("Exporter did not return binary glTF data.");
+    }
+    console.log(`Export: GLB written (${result.byteLength} bytes).`);
+    return result;
+}
+
+/**
+ * Re-parses an exported GLB through the same loader used for uploads and checks that the rig survived.
+ *
+ * @param {ArrayBuffer} glbBuffer - The exported GLB file contents.
+ * @param {object} expected
+ * @param {number} expected.boneCount - Number of bones the skinned mesh should have.
+ * @param {number} [expected.clipCount=0] - Number of animations the file should contain.
+ * @returns {Promise<{ ok: boolean, issues: string[] }>} The check result. `issues` is empty when ok.
+ */
+export async function verifyExportedGLB(glbBuffer, { boneCount, clipCount = 0 }) {
+    const issues = [];
+    const file = new File([glbBuffer], 'export-check.glb', { type: 'model/gltf-binary' });
+
+    let gltf;
+    try {
+        gltf = await loadGLBFromFile(file);
+    } catch (error) {
+        return { ok: false, issues: [`Exported file could not be parsed: ${error.message || error}`] };
+    }
+
+    let skinnedMesh = null;
+    gltf.scene.traverse((node) => {
+        if (!skinnedMesh && node.isSkinnedMesh) {
+            skinnedMesh = node;
+        }
+    });
+
+    if (!skinnedMesh) {
+        issues.push("No skinned mesh found in exported file.");
+    } else if (skinnedMesh.skeleton.bones.length !== boneCount) {
+        issues.push(`Expected ${boneCount} bones, found ${skinnedMesh.skeleton.bones.length}.`);
+    }
+    if (gltf.animations.length !== clipCount) {
+        issues.push(`Expected ${clipCount} animation(s), found ${gltf.animations.length}.`);
+    }
+
+    if (issues.length > 0) {
+        console.warn("Export check failed:", issues);
+    } else {
+        console.log("Export check passed.");
+    }
+    return { ok: issues.length === 0, issues };
+}
+
+/**
+ * Triggers a browser download for GLB data.
+ * @param {ArrayBuffer} glbBuffer - The GLB file contents.
+ * @param {string} fileName - Name of the downloaded file.
+ */
+export function downloadGLB(glbBuffer, fileName) {
+    downloadBlob(new Blob([glbBuffer], { type: 'model/gltf-binary' }), fileName);
+}
+
+/**
+ * Derives the export file name from the uploaded model name.
+ * @param {string} [modelName] - Name of the uploaded file, e.g. "character.glb".
+ * @returns {string} e.g. "character_rigged.glb"
+ */
+export function getExportFileName(modelName) {
+    const baseName = (modelName || 'model').replace(/\.glb$/i, '');
+    return `${baseName}_rigged.glb`;
+}
@@ -0,0 +1,233 @@
+// Topology-aware skin weighting.
+// This module works on plain typed arrays (no THREE objects) so it can also run inside a Web Worker.
+
+/**
+ * Builds vertex adjacency from a triangle index buffer.
+ * Non-indexed geometry is treated as consecutive triangles (0-1-2, 3-4-5, ...).
+ *
+ * @param {ArrayLike<number> | null} index - Triangle indices, or null for non-indexed geometry.
+ * @param {number} vertexCount - Number of vertices in the geometry.
+ * @returns {{ offsets: Uint32Array, neighbors: Uint32Array }} Compressed adjacency: the neighbors of
+ *          vertex v are `neighbors[offsets[v]]` up to (excluding) `neighbors[offsets[v + 1]]`.
+ */
+export function buildAdjacencyFromIndex(index, vertexCount) {
+    const neighborSets = Array.from({ length: vertexCount }, () => new Set());
+    const triangleCount = index ? Math.floor(index.length / 3) : Math.floor(vertexCount / 3);
+
+    for (let t = 0; t < triangleCount; t++) {
+        const a = index ? index[t * 3] : t * 3;
+        const b = index ? index[t * 3 + 1] : t * 3 + 1;
+        const c = index ? index[t * 3 + 2] : t * 3 + 2;
+        if (a >= vertexCount || b >= vertexCount || c >= vertexCount) continue;
+        neighborSets[a].add(b).add(c);
+        neighborSets[b].add(a).add(c);
+        neighborSets[c].add(a).add(b);
+    }
+
+    const offsets = new Uint32Array(vertexCount + 1);
+    for (let v = 0; v < vertexCount; v++) {
+        offsets[v + 1] = offsets[v] + neighborSets[v].size;
+    }
+    const neighbors = new Uint32Array(offsets[vertexCount]);
+    for (let v = 0; v < vertexCount; v++) {
+        let k = offsets[v];
+        neighborSets[v].forEach(n => { neighbors[k++] = n; });
+    }
+
+    return { offsets, neighbors };
+}
+
+/**
+ * Minimal binary min-heap keyed by distance, used by the Dijkstra propagation.
+ * @private
+ */
+class MinHeap {
+    constructor() {
+        this.vertices = [];
+        this.keys = [];
+    }
+
+    get size() {
+        return this.vertices.length;
+    }
+
+    push(vertex, key) {
+        this.vertices.push(vertex);
+        this.keys.push(key);
+        let i = this.vertices.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] <= this.keys[i]) break;
+            this._swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = { vertex: this.vertices[0], key: this.keys[0] };
+        const lastVertex = this.vertices.pop();
+        const lastKey = this.keys.pop();
+        if (this.vertices.length > 0) {
+            this.vertices[0] = lastVertex;
+            this.keys[0] = lastKey;
+            let i = 0;
+            for (; ;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.keys.length && this.keys[left] < this.keys[smallest]) smallest = left;
+                if (right < this.keys.length && this.keys[right] < this.keys[smallest]) smallest = right;
+                if (smallest === i) break;
+                this._swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    _swap(i, j) {
+        [this.vertices[i], this.vertices[j]] = [this.vertices[j], this.vertices[i]];
+        [this.keys[i], this.keys[j]] = [this.keys[j], this.keys[i]];
+    }
+}
+
+/**
+ * Dijkstra over mesh edges: spreads distances outward from every vertex whose distance is already finite.
+ *
+ * @param {Float32Array} positions - Vertex positions (xyz).
+ * @param {{ offsets: Uint32Array, neighbors: Uint32Array }} adjacency - See buildAdjacencyFromIndex.
+ * @param {Float32Array} distance - Per-vertex distance: seeds hold their start distance, every other vertex Infinity. Updated in place.
+ * @param {object} [options]
+ * @param {number} [options.maxDistance=Infinity] - Vertices farther than this are not reached and keep Infinity.
+ * @param {((vertex: number) => boolean) | null} [options.canVisit] - Vertices it returns false for are not entered.
+ */
+export function propagateGeodesicDistances(positions, { offsets, neighbors }, distance, { maxDistance = Infinity, canVisit = null } = {}) {
+    const heap = new MinHeap();
+    for (let v = 0; v < distance.length; v++) {
+        if (Number.isFinite(distance[v])) heap.push(v, distance[v]);
+    }
+
+    while (heap.size > 0) {
+        const { vertex, key } = heap.pop();
+        if (key > distance[vertex]) continue; // Stale entry
+        for (let k = offsets[vertex]; k < offsets[vertex + 1]; k++) {
+            const n = neighbors[k];
+            if (canVisit && !canVisit(n)) continue;
+            const dx = positions[n * 3] - positions[vertex * 3];
+            const dy = positions[n * 3 + 1] - positions[vertex * 3 + 1];
+            const dz = positions[n * 3 + 2] - positions[vertex * 3 + 2];
+            const candidate = key + Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (candidate < distance[n] && candidate < maxDistance) {
+                distance[n] = candidate;
+                heap.push(n, candidate);
+            }
+        }
+    }
+}
+
+/**
+ * Distance from point p to the segment [a, b], all given as offsets into flat arrays.
+ * @private
+ */
+function pointSegmentDistance(positions, p, segments, s) {
+    const px = positions[p * 3], py = positions[p * 3 + 1], pz = positions[p * 3 + 2];
+    const ax = segments[s * 6], ay = segments[s * 6 + 1], az = segments[s * 6 + 2];
+    const abx = segments[s * 6 + 3] - ax, aby = segments[s * 6 + 4] - ay, abz = segments[s * 6 + 5] - az;
+    const lengthSq = abx * abx + aby * aby + abz * abz;
+    let t = lengthSq > 0 ? ((px - ax) * abx + (py - ay) * aby + (pz - az) * abz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const dx = px - (ax + abx * t), dy = py - (ay + aby * t), dz = pz - (az + abz * t);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Computes skin weights from geodesic (over-the-surface) distances to each bone.
+ *
+ * Every vertex inside the region starts with the straight-line distance to the bone it is closest to,
+ * then influence spreads to neighboring vertices along mesh edges (Dijkstra). Because distances only
+ * travel over connected surface, parts that are close in space but not connected do not share weights.
+ * Vertices outside the region are bound entirely to the root bone (bone 0) so they stay in place.
+ *
+ * @param {object} params
+ * @param {Float32Array} params.positions - Vertex positions (xyz, in skeleton space).
+ * @param {ArrayLike<number> | null} params.index - Triangle indices, or null for non-indexed geometry.
+ * @param {Float32Array} params.segments - Bone segments, 6 floats each (start xyz, end xyz).
+ * @param {Uint16Array | Uint32Array} params.segmentBones - Bone index owning each segment.
+ * @param {number} params.boneCount - Number of bones.
+ * @param {Uint8Array | null} [params.regionMask] - 1 for vertices that may be influenced, 0 otherwise. Null means all vertices.
+ * @param {Float32Array | Uint8Array | null} [params.boneMask] - `boneMask[v * boneCount + b]` scales bone b's influence on vertex v
+ *        (0 = not allowed). Null means no restriction.
+ * @param {number} [params.maxInfluences=4] - Maximum bones per vertex (1 to 4).
+ * @param {number} [params.falloff=4] - Exponent of the inverse distance falloff.
+ * @returns {{ skinIndices: Uint16Array, skinWeights: Float32Array }}
+ */
+export function computeGeodesicWeights({ positions, index, segments, segmentBones, boneCount, regionMask = null, boneMask = null, maxInfluences = 4, falloff = 4 }) {
+    const vertexCount = positions.length / 3;
+    const segmentCount = segmentBones.length;
+    const influences = Math.max(1, Math.min(4, Math.floor(maxInfluences)));
+    const inRegion = (v) => !regionMask || regionMask[v] === 1;
+    const boneScale = (v, bone) => (boneMask ? boneMask[v * boneCount + bone] : 1);
+    const isAllowed = (v, bone) => boneScale(v, bone) > 0;
+
+    const adjacency = buildAdjacencyFromIndex(index, vertexCount);
+
+    // --- 1. Seed each bone with the region vertices it is closest to ---
+    const nearestBone = new Int32Array(vertexCount).fill(-1);
+    const nearestDistance = new Float32Array(vertexCount).fill(Infinity);
+    for (let v = 0; v < vertexCount; v++) {
+        if (!inRegion(v)) continue;
+        for (let s = 0; s < segmentCount; s++) {
+            if (!isAllowed(v, segmentBones[s])) continue;
+            const d = pointSegmentDistance(positions, v, segments, s);
+            if (d < nearestDistance[v]) {
+                nearestDistance[v] = d;
+                nearestBone[v] = segmentBones[s];
+            }
+        }
+    }
+
+    // --- 2. Spread each bone's influence over the surface ---
+    const distances = Array.from({ length: boneCount }, () => new Float32Array(vertexCount).fill(Infinity));
+
+    for (let bone = 0; bone < boneCount; bone++) {
+        const distance = distances[bone];
+        for (let v = 0; v < vertexCount; v++) {
+            if (nearestBone[v] === bone) distance[v] = nearestDistance[v];
+        }
+        propagateGeodesicDistances(positions, adjacency, distance, { canVisit: (n) => inRegion(n) && isAllowed(n, bone) });
+    }
+
+    // --- 3. Convert distances to normalized weights ---
+    // Scale epsilon to the mesh so vertices sitting on a bone do not divide by zero
+    let extent = 0;
+    for (let i = 0; i < positions.length; i++) extent = Math.max(extent, Math.abs(positions[i]));
+    const epsilon = Math.max(extent, 1e-6) * 1e-4;
+
+    const skinIndices = new Uint16Array(vertexCount * 4);
+    const skinWeights = new Float32Array(vertexCount * 4);
+    const candidateWeights = new Float64Array(boneCount);
+    const order = Array.from({ length: boneCount }, (_, j) => j);
+
+    for (let v = 0; v < vertexCount; v++) {
+        if (!inRegion(v) || nearestBone[v] === -1) {
+            skinIndices[v * 4] = 0; // Outside the rigged region: follow the root bone only
+            skinWeights[v * 4] = 1;
+            continue;
+        }
+
+        for (let bone = 0; bone < boneCount; bone++) {
+            const d = distances[bone][v];
+            candidateWeights[bone] = Number.isFinite(d) ? boneScale(v, bone) / Math.pow(d + epsilon, falloff) : 0;
+        }
+        order.sort((a, b) => candidateWeights[b] - candidateWeights[a]);
+
+        let total = 0;
+        for (let k = 0; k < influences && k < boneCount; k++) total += candidateWeights[order[k]];
+        for (let k = 0; k < influences && k < boneCount; k++) {
+            skinIndices[v * 4 + k] = order[k];
+            skinWeights[v * 4 + k] = total > 0 ? candidateWeights[order[k]] / total : (k === 0 ? 1 : 0);
+        }
+    }
+
+    return { skinIndices, skinWeights };
+}
@@ -0,0 +1,11 @@
+// Web Worker wrapper around computeGeodesicWeights, used for large meshes so the editor stays responsive.
+import { computeGeodesicWeights } from './geodesicWeights';
+
+self.onmessage = (event) => {
+    try {
+        const { skinIndices, skinWeights } = computeGeodesicWeights(event.data);
+        self.postMessage({ skinIndices, skinWeights }, [skinIndices.buffer, skinWeights.buffer]);
+    } catch (error) {
+        self.postMessage({ error: error.message || String(error) });
+    }
+};
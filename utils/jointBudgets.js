@@ -0,0 +1,4 @@
+// Limits on the joint budgets the user can request per vertex group.
+// Shared by the prompt UI and /api/generate-joints, so the inputs never offer a value the route rejects.
+
+export const MAX_JOINTS_PER_GROUP = 32;
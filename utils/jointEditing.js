@@ -0,0 +1,121 @@
+// Edits of a joint list (as returned by /api/generate-joints). Every function returns a new list that
+// still passes validateJointHierarchy: the root stays first and parents stay valid indices.
+
+const parentOf = (joint) => (joint.parent === null || joint.parent === undefined ? -1 : joint.parent);
+
+/**
+ * Returns the joints below a joint (children, grandchildren, ...).
+ * @param {Array<{ parent: number | null }>} joints
+ * @param {number} index
+ * @returns {Set<number>}
+ */
+export function getJointDescendants(joints, index) {
+    const descendants = new Set();
+    let added = true;
+    while (added) {
+        added = false;
+        joints.forEach((joint, i) => {
+            const parent = parentOf(joint);
+            if (!descendants.has(i) && (parent === index || descendants.has(parent))) {
+                descendants.add(i);
+                added = true;
+            }
+        });
+    }
+    return descendants;
+}
+
+/**
+ * Moves a joint. Its children stay where they are.
+ * @param {Array<object>} joints
+ * @param {number} index
+ * @param {{x: number, y: number, z: number}} position - New world position.
+ * @returns {Array<object>}
+ */
+export function moveJoint(joints, index, { x, y, z }) {
+    return joints.map((joint, i) => (i === index ? { ...joint, x, y, z } : joint));
+}
+
+/**
+ * Inserts a joint halfway between a joint and its parent, splitting that bone in two. For the root, which has
+ * no parent, a child is added next to it instead. The new joint belongs to the same vertex group.
+ * @param {Array<object>} joints
+ * @param {number} index
+ * @returns {{ joints: Array<object>, index: number }} The new list and the position of the inserted joint.
+ */
+export function insertJoint(joints, index) {
+    const joint = joints[index];
+    const parent = parentOf(joint);
+    const newIndex = joints.length; // Appended, so no existing index changes
+    const inserted = { x: joint.x, y: joint.y, z: joint.z, parent: index, ...(joint.group ? { group: joint.group } : {}) };
+
+    if (parent === -1) {
+        // Offset the new child by a tenth of the skeleton's extent, so its handle can be grabbed
+        const extent = Math.max(...joints.map(other => Math.hypot(other.x - joint.x, other.y - joint.y, other.z - joint.z)), 1e-3);
+        return { joints: [...joints, { ...inserted, y: joint.y + extent * 0.1 }], index: newIndex };
+    }
+
+    const parentJoint = joints[parent];
+    const midpoint = {
+        ...inserted,
+        x: (joint.x + parentJoint.x) / 2,
+        y: (joint.y + parentJoint.y) / 2,
+        z: (joint.z + parentJoint.z) / 2,
+        parent,
+    };
+    const updated = joints.map((other, i) => (i === index ? { ...other, parent: newIndex } : other));
+    return { joints: [...updated, midpoint], index: newIndex };
+}
+
+/**
+ * Deletes a joint. Its children are attached to its parent.
+ * @param {Array<object>} joints
+ * @param {number} index - Must not be the root.
+ * @returns {Array<object>}
+ * @throws {Error} If the joint is the root.
+ */
+export function deleteJoint(joints, index) {
+    const parent = parentOf(joints[index]);
+    if (parent === -1) {
+        throw new Error("The root joint cannot be deleted.");
+    }
+    // Indices after the deleted joint move down by one
+    const remap = (i) => (i > index ? i - 1 : i);
+    return joints
+        .filter((_, i) => i !== index)
+        .map(joint => {
+            const jointParent = parentOf(joint);
+            if (jointParent === -1) return joint;
+            return { ...joint, parent: remap(jointParent === index ? parent : jointParent) };
+        });
+}
+
+/**
+ * Attaches a joint (with everything below it) to another parent.
+ * @param {Array<object>} joints
+ * @param {number} index - Must not be the root.
+ * @param {number} parent - Must not be the joint itself or one of its descendants.
+ * @returns {Array<object>}
+ * @throws {Error} If the change would break the hierarchy.
+ */
+export function reparentJoint(joints, index, parent) {
+    if (parentOf(joints[index]) === -1) {
+        throw new Error("The root joint cannot be re-parented.");
+    }
+    if (parent === index || getJointDescendants(joints, index).has(parent)) {
+        throw new Error("A joint cannot be attached to itself or to a joint below it.");
+    }
+    return joints.map((joint, i) => (i === index ? { ...joint, parent } : joint));
+}
+
+/**
+ * Label for a joint in lists: its name, its vertex group, or its index.
+ * @param {{ name?: string, group?: string }} joint
+ * @param {number} index
+ * @returns {string}
+ */
+export function getJointLabel(joint, index) {
+    if (joint.name) return `${index}: ${joint.name}`;
+    if (joint.group) return `${index}: ${joint.group}`;
+    return index === 0 ? '0: root' : `${index}`;
+}
@@ -0,0 +1,156 @@
+// Extraction and validation of JSON in a model's text response, mainly the joint list.
+// Models sometimes wrap JSON in code fences or add a sentence around it, so the value is located
+// rather than parsed from the whole text.
+
+/**
+ * Finds and parses the first JSON value opened by `open` in a text response.
+ * @param {string} text - Raw text returned by the model.
+ * @param {'[' | '{'} open
+ * @param {']' | '}'} close
+ * @param {string} kind - "array" or "object", for error messages.
+ * @returns {any} The parsed value.
+ * @throws {Error} If no complete value is found or it does not parse.
+ * @private
+ */
+function extractJsonValue(text, open, close, kind) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error("Response is empty.");
+    }
+
+    // Prefer the contents of a fenced block if there is one
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const source = fenced ? fenced[1] : text;
+
+    const start = source.indexOf(open);
+    if (start === -1) {
+        throw new Error(`Response does not contain a JSON ${kind}.`);
+    }
+
+    // Walk to the matching closing bracket, skipping brackets inside strings
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        else if (char === open) depth++;
+        else if (char === close && --depth === 0) {
+            try {
+                return JSON.parse(source.slice(start, i + 1));
+            } catch (parseError) {
+                throw new Error(`JSON ${kind} could not be parsed: ${parseError.message}`);
+            }
+        }
+    }
+    throw new Error(`JSON ${kind} is not closed (the response may have been cut off).`);
+}
+
+/**
+ * Finds and parses the first JSON array in a text response.
+ * Markdown code fences are stripped, and text before or after the array is ignored.
+ *
+ * @param {string} text - Raw text returned by the model.
+ * @returns {Array<any>} The parsed array.
+ * @throws {Error} If no complete JSON array is found or it does not parse.
+ */
+export function extractJsonArray(text) {
+    return extractJsonValue(text, '[', ']', 'array');
+}
+
+/**
+ * Finds and parses the first JSON object in a text response, like extractJsonArray.
+ *
+ * @param {string} text - Raw text returned by the model.
+ * @returns {object} The parsed object.
+ * @throws {Error} If no complete JSON object is found or it does not parse.
+ */
+export function extractJsonObject(text) {
+    return extractJsonValue(text, '{', '}', 'object');
+}
+
+/**
+ * Asks a provider until its answer can be used. Unusable answers are sent back to the model with the
+ * validation error, up to `maxRetries` times. Deterministic providers would repeat the same answer,
+ * so they get a single attempt.
+ *
+ * @param {object} provider - From getLlmProvider.
+ * @param {object} request - Passed to provider.complete. Its `messages` are copied and extended with each correction.
+ * @param {(text: string) => any} parse - Returns the usable result, or throws an Error phrased so it can be sent back to the model.
+ * @param {object} options
+ * @param {number} options.maxRetries - Extra attempts after the first.
+ * @param {string} options.correction - Follows the error when asking again, e.g. "Reply again with ONLY the corrected JSON array of joints."
+ * @param {string} options.logPrefix - Prefix of console messages, e.g. "API Route:".
+ * @returns {Promise<{ result?: any, attemptErrors: string[] }>} `result` is missing when no attempt was usable.
+ * @throws Errors of the provider itself, unchanged.
+ */
+export async function completeWithRetries(provider, request, parse, { maxRetries, correction, logPrefix }) {
+    const attempts = provider.deterministic ? 1 : maxRetries + 1;
+    const messages = [...request.messages];
+    const attemptErrors = [];
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        console.log(`${logPrefix} Sending request to ${provider.name} provider (attempt ${attempt + 1} of ${attempts})...`);
+        const text = await provider.complete({ ...request, messages });
+        console.log(`${logPrefix} Received response from ${provider.name} provider.`);
+
+        try {
+            return { result: parse(text), attemptErrors };
+        } catch (validationError) {
+            console.warn(`${logPrefix} Attempt ${attempt + 1} returned an unusable answer:`, validationError.message);
+            console.warn(`${logPrefix} Raw response text:`, text);
+            attemptErrors.push(validationError.message);
+
+            // Keep the conversation so the model can correct its own answer
+            messages.push(
+                { role: "assistant", content: text },
+                { role: "user", content: `Your answer could not be used: ${validationError.message}\n${correction}` }
+            );
+        }
+    }
+    return { attemptErrors };
+}
+
+/**
+ * Checks the shape of each joint and returns clean copies with only the known keys.
+ *
+ * @param {Array<any>} joints - Parsed joint array.
+ * @returns {Array<{ name: string, x: number, y: number, z: number, parent: number, group?: string }>}
+ * @throws {Error} Describing the first malformed joint.
+ */
+export function normalizeJointShapes(joints) {
+    if (!Array.isArray(joints)) {
+        throw new Error("Response is not an array.");
+    }
+
+    return joints.map((joint, i) => {
+        if (!joint || typeof joint !== 'object' || Array.isArray(joint)) {
+            throw new Error(`Joint ${i} is not an object.`);
+        }
+        for (const axis of ['x', 'y', 'z']) {
+            if (typeof joint[axis] !== 'number' || !Number.isFinite(joint[axis])) {
+                throw new Error(`Joint ${i} has a missing or non-finite "${axis}".`);
+            }
+        }
+        if (joint.parent !== null && !Number.isInteger(joint.parent)) {
+            throw new Error(`Joint ${i} must have an integer "parent" (or -1 for the root).`);
+        }
+        if (joint.name !== undefined && typeof joint.name !== 'string') {
+            throw new Error(`Joint ${i} has a "name" that is not a string.`);
+        }
+
+        const normalized = {
+            name: joint.name || `joint_${i}`,
+            x: joint.x,
+            y: joint.y,
+            z: joint.z,
+            parent: joint.parent === null ? -1 : joint.parent,
+        };
+        if (joint.group !== undefined) normalized.group = joint.group;
+        return normalized;
+    });
+}
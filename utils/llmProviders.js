@@ -0,0 +1,113 @@
+// Text generation backends for the API routes.
+// Select one with the LLM_PROVIDER server environment variable:
+//   - "anthropic" (default): the Anthropic Messages API. Needs ANTHROPIC_API_KEY; ANTHROPIC_MODEL overrides the model.
+//   - "local": deterministic joints computed from the samples and a fixed sway animation. No network or key, for offline demos and CI.
+import { API_ERROR_CODES } from './apiErrors';
+import { deriveJointsFromSamples } from './localJointGenerator';
+import { deriveAnimationFromBones } from './localAnimationGenerator';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-7-sonnet-20250219';
+
+export const LLM_PROVIDER_NAMES = ['anthropic', 'local'];
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name - One of LLM_PROVIDER_NAMES.
+ * @property {boolean} deterministic - True if asking again returns the same answer, so retries are pointless.
+ * @property {(request: { system: string, messages: Array<{ role: string, content: string }>, maxTokens: number, jointRequest?: object, animationRequest?: object }) => Promise<string>} complete
+ *           Returns the text of the reply. `jointRequest` and `animationRequest` carry the structured request for providers
+ *           that do not read prompts.
+ */
+
+/**
+ * Creates an Error carrying an API error code and HTTP status for the route to forward.
+ * @private
+ */
+function providerError(message, code, status) {
+    return Object.assign(new Error(message), { code, status });
+}
+
+/**
+ * Provider backed by the Anthropic Messages API.
+ * @param {object} options
+ * @param {string} options.apiKey - Server-side Anthropic API key.
+ * @param {string} [options.model] - Model name.
+ * @returns {LlmProvider}
+ */
+export function createAnthropicProvider({ apiKey, model = DEFAULT_ANTHROPIC_MODEL }) {
+    return {
+        name: 'anthropic',
+        deterministic: false,
+        async complete({ system, messages, maxTokens }) {
+            const response = await fetch(ANTHROPIC_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey, // Use the server-side key
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({ model, max_tokens: maxTokens, system, messages })
+            });
+
+            // Forward Anthropic's status code if it's an error
+            if (!response.ok) {
+                const errorBody = await response.text();
+                console.error("LLM Provider (anthropic): Error Response:", errorBody);
+                throw providerError(`Anthropic API request failed: ${response.statusText}`, API_ERROR_CODES.UPSTREAM_REQUEST_FAILED, response.status);
+            }
+
+            const data = await response.json();
+            const textBlock = Array.isArray(data.content) ? data.content.find(block => block.type === 'text') : null;
+            if (!textBlock) {
+                console.error("LLM Provider (anthropic): Unexpected response structure:", data);
+                throw providerError("Unexpected response structure from AI service.", API_ERROR_CODES.UNEXPECTED_UPSTREAM_RESPONSE, 502);
+            }
+            return textBlock.text;
+        },
+    };
+}
+
+/**
+ * Offline provider that ignores the prompt. Joints are derived from the samples in `jointRequest` by subdividing
+ * their principal axis (see localJointGenerator); animations are a fixed sway of the bones in `animationRequest`
+ * (see localAnimationGenerator).
+ * @returns {LlmProvider}
+ */
+export function createLocalProvider() {
+    return {
+        name: 'local',
+        deterministic: true,
+        async complete({ jointRequest, animationRequest }) {
+            if (jointRequest) {
+                return JSON.stringify(deriveJointsFromSamples(jointRequest));
+            }
+            if (animationRequest) {
+                return JSON.stringify(deriveAnimationFromBones(animationRequest));
+            }
+            throw providerError("The local provider can only generate joints and animations.", API_ERROR_CODES.CONFIGURATION_ERROR, 501);
+        },
+    };
+}
+
+/**
+ * Returns the provider selected by the server environment.
+ * @param {object} [env=process.env]
+ * @returns {LlmProvider}
+ * @throws {Error} With code CONFIGURATION_ERROR if the provider is unknown or missing its key.
+ */
+export function getLlmProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+    if (name === 'local') {
+        return createLocalProvider();
+    }
+    if (name === 'anthropic') {
+        if (!env.ANTHROPIC_API_KEY) {
+            console.error("Server-side Error: ANTHROPIC_API_KEY is not configured.");
+            throw providerError("API configuration error on server.", API_ERROR_CODES.CONFIGURATION_ERROR, 500);
+        }
+        return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model: env.ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL });
+    }
+    console.error(`Server-side Error: Unknown LLM_PROVIDER "${name}". Expected one of: ${LLM_PROVIDER_NAMES.join(', ')}.`);
+    throw providerError("API configuration error on server.", API_ERROR_CODES.CONFIGURATION_ERROR, 500);
+}
@@ -0,0 +1,40 @@
+// Deterministic keyframe animation without a language model.
+// Used by the local provider so skeleton generation, which asks for an animation right after, works offline and in CI.
+// Works on the bone descriptors sent to /api/generate-animation (see getBoneDescriptors); the prompt is ignored.
+
+export const LOCAL_ANIMATION_DURATION = 2; // Seconds, one full sway
+const SWAY_DEGREES = 12;
+const KEYFRAME_COUNT = 9; // Including the closing keyframe, which matches the first so the clip loops
+const PHASE_PER_DEPTH = Math.PI / 4; // Deeper bones swing later, so the motion travels down each chain
+
+/**
+ * Builds a looping sway: every bone below the root rotates back and forth around its local Z axis.
+ * A skeleton with only a root turns it around Y instead.
+ *
+ * @param {{ bones: Array<{ name: string, parent: string | null }> }} request - Bones as sent to /api/generate-animation.
+ * @returns {{ name: string, duration: number, tracks: Array<{ bone: string, type: 'rotation', keyframes: Array<{ time: number, value: number[] }> }> }}
+ *          A description in the format the route validates.
+ */
+export function deriveAnimationFromBones({ bones }) {
+    const parents = new Map(bones.map(bone => [bone.name, bone.parent || null]));
+    const depthOf = (name) => {
+        let depth = 0;
+        for (let parent = parents.get(name); parent && depth < bones.length; parent = parents.get(parent)) depth++;
+        return depth;
+    };
+
+    const keyframesFor = (phase, axis) => Array.from({ length: KEYFRAME_COUNT }, (_, i) => {
+        const t = i / (KEYFRAME_COUNT - 1);
+        const angle = Math.round(SWAY_DEGREES * Math.sin(2 * Math.PI * t - phase) * 100) / 100;
+        const value = [0, 0, 0];
+        value[axis] = angle;
+        return { time: t * LOCAL_ANIMATION_DURATION, value };
+    });
+
+    const children = bones.filter(bone => parents.get(bone.name));
+    const tracks = children.length > 0
+        ? children.map(bone => ({ bone: bone.name, type: 'rotation', keyframes: keyframesFor(depthOf(bone.name) * PHASE_PER_DEPTH, 2) }))
+        : bones.slice(0, 1).map(bone => ({ bone: bone.name, type: 'rotation', keyframes: keyframesFor(0, 1) }));
+
+    return { name: 'LocalSway', duration: LOCAL_ANIMATION_DURATION, tracks };
+}
@@ -0,0 +1,121 @@
+import { computePrincipalAxes } from './pcaUtils';
+
+// Deterministic joint placement from sampled vertices, without a language model.
+// Used by the local provider so the editor works offline and in CI. Works on plain {x, y, z} objects.
+
+/**
+ * Computes the centroid and principal axis (direction of largest spread) of a point cloud.
+ * The axis sign is fixed so its largest component is positive, which keeps results deterministic.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Non-empty list of points.
+ * @returns {{ centroid: number[], axis: number[] }} Centroid and unit axis as [x, y, z].
+ */
+export function computePrincipalAxis(points) {
+    const { centroid, axes } = computePrincipalAxes(points);
+    return { centroid, axis: axes[0].direction };
+}
+
+/**
+ * Places a chain of joints along the principal axis of a point cloud.
+ * The extent along the axis is cut into `count` equal slices; each joint sits at the centroid of the
+ * points in its slice, so the chain follows curved shapes. Empty slices fall back to the axis itself.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Non-empty list of points.
+ * @param {number} count - Number of joints (>= 1).
+ * @param {number[] | null} [rootNear] - If given, the chain starts at the end closest to this [x, y, z] point.
+ * @returns {Array<{x: number, y: number, z: number}>} Joint positions ordered from the root end.
+ */
+export function subdividePrincipalAxis(points, count, rootNear = null) {
+    const { centroid, axis } = computePrincipalAxis(points);
+    const project = (p) => (p.x - centroid[0]) * axis[0] + (p.y - centroid[1]) * axis[1] + (p.z - centroid[2]) * axis[2];
+
+    let minT = Infinity;
+    let maxT = -Infinity;
+    points.forEach(p => {
+        const t = project(p);
+        minT = Math.min(minT, t);
+        maxT = Math.max(maxT, t);
+    });
+    const extent = maxT - minT;
+
+    const sums = Array.from({ length: count }, () => ({ x: 0, y: 0, z: 0, n: 0 }));
+    points.forEach(p => {
+        const slice = extent > 0 ? Math.min(count - 1, Math.floor(((project(p) - minT) / extent) * count)) : 0;
+        sums[slice].x += p.x; sums[slice].y += p.y; sums[slice].z += p.z; sums[slice].n++;
+    });
+
+    const joints = sums.map((sum, i) => {
+        if (sum.n > 0) return { x: sum.x / sum.n, y: sum.y / sum.n, z: sum.z / sum.n };
+        const t = minT + ((i + 0.5) / count) * extent;
+        return { x: centroid[0] + axis[0] * t, y: centroid[1] + axis[1] * t, z: centroid[2] + axis[2] * t };
+    });
+
+    if (rootNear && joints.length > 1) {
+        const distanceSq = (j) => (j.x - rootNear[0]) ** 2 + (j.y - rootNear[1]) ** 2 + (j.z - rootNear[2]) ** 2;
+        if (distanceSq(joints[joints.length - 1]) < distanceSq(joints[0])) joints.reverse();
+    }
+    return joints;
+}
+
+/**
+ * Derives a joint hierarchy from sampled vertices in the format returned by /api/generate-joints.
+ *
+ * Ungrouped samples become one chain. Grouped samples become one chain per group: the group with the
+ * most samples holds the root, and every other chain starts at the end facing that group and is
+ * parented to its nearest joint there.
+ *
+ * @param {object} request
+ * @param {Array<{x: number, y: number, z: number}>} [request.sampledVertices] - Ungrouped samples.
+ * @param {Object<string, Array<{x: number, y: number, z: number}>>} [request.groupedSamples] - Samples per vertex group.
+ * @param {Object<string, { min: number, max: number }>} [request.budgets] - Joint range per group.
+ * @param {number} request.maxJoints - Joint count for ungrouped samples.
+ * @returns {Array<{ name: string, x: number, y: number, z: number, parent: number, group?: string }>}
+ */
+export function deriveJointsFromSamples({ sampledVertices, groupedSamples, budgets = {}, maxJoints }) {
+    if (!groupedSamples) {
+        return subdividePrincipalAxis(sampledVertices, maxJoints).map((position, i) => ({
+            name: `joint_${i}`,
+            ...position,
+            parent: i - 1,
+        }));
+    }
+
+    // Largest group first; ties keep the order the client sent
+    const groupNames = Object.keys(groupedSamples).sort((a, b) => groupedSamples[b].length - groupedSamples[a].length);
+    const allPoints = groupNames.flatMap(groupName => groupedSamples[groupName]);
+    const { centroid } = computePrincipalAxis(allPoints);
+
+    const joints = [];
+    let mainChain = null;
+    groupNames.forEach(groupName => {
+        const points = groupedSamples[groupName];
+        const count = budgets[groupName]?.max ?? 1;
+
+        // The main chain starts near the middle of the model; limbs start where they meet the main chain
+        const mainCentroid = mainChain ? computePrincipalAxis(mainChain).centroid : centroid;
+        const chain = subdividePrincipalAxis(points, count, mainCentroid);
+
+        let parent = -1;
+        if (mainChain) {
+            let bestDistance = Infinity;
+            mainChain.forEach((joint, i) => {
+                const d = (joint.x - chain[0].x) ** 2 + (joint.y - chain[0].y) ** 2 + (joint.z - chain[0].z) ** 2;
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    parent = i; // Main chain joints are the first entries of `joints`
+                }
+            });
+        }
+
+        chain.forEach((position, i) => {
+            joints.push({
+                name: `${groupName}_${i}`,
+                ...position,
+                parent: i === 0 ? parent : joints.length - 1,
+                group: groupName,
+            });
+        });
+        if (!mainChain) mainChain = chain;
+    });
+    return joints;
+}
@@ -27,4 +27,290 @@ export function getVertexGroupNames(mesh) {
     return groupNames;
 }
 
-// You can add other mesh-related utility functions here in the future 
\ No newline at end of file
+/**
+ * Turns a user-entered group name into a key safe for userData and attribute names.
+ * @param {string} name - e.g. "Left Arm!"
+ * @returns {string} e.g. "Left_Arm" (empty if nothing usable remains)
+ */
+export function sanitizeVertexGroupName(name) {
+    return String(name || '').trim().replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+}
+
+/**
+ * Returns the membership weight (0..1) of each vertex of a group, in the order of
+ * mesh.userData.vertexGroups[name]. Weights live in mesh.userData.vertexGroupWeights[name];
+ * groups written before weights existed count as fully weighted.
+ *
+ * @param {THREE.Mesh | { userData: object }} mesh - Mesh (or object with userData) holding the groups.
+ * @param {string} name - Group name.
+ * @returns {number[]} One weight per group index.
+ */
+export function getVertexGroupWeights(mesh, name) {
+    const indices = mesh.userData?.vertexGroups?.[name] || [];
+    const weights = mesh.userData?.vertexGroupWeights?.[name];
+    return indices.map((_, i) => (weights && weights[i] !== undefined ? weights[i] : 1));
+}
+
+/**
+ * Writes a vertex group to a mesh in both representations, kept in step:
+ * - mesh.userData.vertexGroups[name]: member indices, and mesh.userData.vertexGroupWeights[name]: their weights (same order),
+ * - a `custom_<name>` geometry attribute holding each vertex's weight (0.0 for non-members).
+ *
+ * @param {THREE.Mesh} mesh - The mesh to update.
+ * @param {string} name - Sanitized group name (see sanitizeVertexGroupName).
+ * @param {Iterable<number>} indices - Vertex indices of the group. Out-of-range indices are skipped.
+ * @param {object} [options]
+ * @param {boolean} [options.merge=false] - Add to an existing group of the same name instead of replacing it.
+ *        Other members are kept as they are.
+ * @param {'overwrite' | 'max'} [options.mode='overwrite'] - How a merge treats vertices already in the group:
+ *        `overwrite` gives them their new weight (so a weight can be lowered, and weight 0 takes them out of the group);
+ *        `max` keeps the larger of the two weights.
+ * @param {Map<number, number>} [options.weights] - Weight (0..1) per index. Indices without an entry get 1;
+ *        vertices whose weight is 0 are left out.
+ * @returns {number[]} The group's indices after the update.
+ */
+export function setVertexGroup(mesh, name, indices, { merge = false, mode = 'overwrite', weights = null } = {}) {
+    const geometry = mesh.geometry;
+    const vertexCount = geometry.attributes.position.count;
+
+    // --- 1. Update mesh.userData.vertexGroups and vertexGroupWeights ---
+    if (!mesh.userData) { mesh.userData = {}; } // Ensure userData exists
+    mesh.userData.vertexGroups = mesh.userData.vertexGroups || {}; // Initialize if needed
+    mesh.userData.vertexGroupWeights = mesh.userData.vertexGroupWeights || {};
+
+    const members = new Map(); // index -> weight
+    if (merge) {
+        const existingWeights = getVertexGroupWeights(mesh, name);
+        (mesh.userData.vertexGroups[name] || []).forEach((index, i) => members.set(index, existingWeights[i]));
+    }
+    for (const index of indices) {
+        if (index >= vertexCount) {
+            console.warn(`setVertexGroup: Index ${index} out of bounds, skipping.`);
+            continue;
+        }
+        const weight = Math.min(1, Math.max(0, weights?.get(index) ?? 1));
+        if (mode === 'max') {
+            if (weight > (members.get(index) || 0)) members.set(index, weight);
+        } else if (weight > 0) {
+            members.set(index, weight);
+        } else {
+            members.delete(index);
+        }
+    }
+    const groupIndices = Array.from(members.keys());
+    mesh.userData.vertexGroups[name] = groupIndices;
+    mesh.userData.vertexGroupWeights[name] = groupIndices.map(index => members.get(index));
+
+    // --- 2. Keep the matching geometry attribute in sync ---
+    const attributeName = `custom_${name}`;
+    let bufferAttribute = geometry.attributes[attributeName];
+    if (!bufferAttribute) {
+        bufferAttribute = new THREE.BufferAttribute(new Float32Array(vertexCount).fill(0.0), 1);
+        geometry.setAttribute(attributeName, bufferAttribute);
+    } else {
+        bufferAttribute.array.fill(0.0);
+    }
+    members.forEach((weight, index) => bufferAttribute.setX(index, weight));
+    bufferAttribute.needsUpdate = true;
+
+    return groupIndices;
+}
+
+/**
+ * Combines several meshes into one world-space geometry so they can share a single skeleton.
+ * Only position, normal and (if any mesh has it) uv are kept; parts without UVs get zeros. Vertex groups are carried
+ * over with their indices shifted into the combined geometry, and groups with the same name on different meshes are joined.
+ * Each part keeps its own material(s): the combined geometry has one draw group per part (or per geometry group of a
+ * multi-material part), indexing into the returned `materials`.
+ *
+ * @param {THREE.Mesh[]} meshes - Meshes to combine. Their world matrices should be up to date.
+ * @returns {{ geometry: THREE.BufferGeometry, materials: THREE.Material[], vertexGroups: Object<string, number[]>, vertexGroupWeights: Object<string, number[]>, ranges: Array<{ mesh: THREE.Mesh, start: number, count: number }> }}
+ *          Groups and weights use the same layout as mesh.userData; `ranges` tells which combined vertices came from which mesh.
+ */
+export function mergeMeshesForRigging(meshes) {
+    // Bake each mesh transform so all parts share world space
+    const parts = meshes.map(mesh => {
+        const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrixWorld);
+        if (!geometry.attributes.normal) geometry.computeVertexNormals();
+        return { mesh, geometry, count: geometry.attributes.position.count };
+    });
+    const keepUv = parts.some(({ geometry }) => geometry.attributes.uv);
+    const vertexTotal = parts.reduce((sum, { count }) => sum + count, 0);
+    const indexTotal = parts.reduce((sum, { geometry, count }) => sum + (geometry.index ? geometry.index.count : count), 0);
+
+    const positions = new Float32Array(vertexTotal * 3);
+    const normals = new Float32Array(vertexTotal * 3);
+    const uvs = keepUv ? new Float32Array(vertexTotal * 2) : null;
+    const indices = new Uint32Array(indexTotal);
+    const vertexGroups = {};
+    const vertexGroupWeights = {};
+    const ranges = [];
+    const materials = [];
+    const drawGroups = [];
+    let start = 0;
+    let indexOffset = 0;
+
+    // Parts sharing a material share its slot
+    const materialIndexOf = (material) => {
+        let index = materials.indexOf(material);
+        if (index === -1) {
+            index = materials.length;
+            materials.push(material);
+        }
+        return index;
+    };
+
+    parts.forEach(({ mesh, geometry, count }) => {
+        const { position, normal, uv } = geometry.attributes;
+        for (let i = 0; i < count; i++) {
+            const v = start + i;
+            positions[v * 3] = position.getX(i); positions[v * 3 + 1] = position.getY(i); positions[v * 3 + 2] = position.getZ(i);
+            normals[v * 3] = normal.getX(i); normals[v * 3 + 1] = normal.getY(i); normals[v * 3 + 2] = normal.getZ(i);
+            if (uvs && uv) { uvs[v * 2] = uv.getX(i); uvs[v * 2 + 1] = uv.getY(i); }
+        }
+        const partIndexStart = indexOffset;
+        if (geometry.index) {
+            for (let i = 0; i < geometry.index.count; i++) indices[indexOffset++] = geometry.index.getX(i) + start;
+        } else {
+            for (let i = 0; i < count; i++) indices[indexOffset++] = i + start;
+        }
+
+        const partIndexCount = indexOffset - partIndexStart;
+        const partMaterials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        const partGroups = geometry.groups.length > 0 ? geometry.groups : [{ start: 0, count: partIndexCount, materialIndex: 0 }];
+        partGroups.forEach(group => {
+            const material = partMaterials[group.materialIndex ?? 0] || partMaterials[0];
+            drawGroups.push({
+                start: partIndexStart + group.start,
+                count: Math.min(group.count, partIndexCount - group.start),
+                materialIndex: materialIndexOf(material),
+            });
+        });
+
+        Object.entries(mesh.userData?.vertexGroups || {}).forEach(([name, groupIndices]) => {
+            const merged = vertexGroups[name] || (vertexGroups[name] = []);
+            const mergedWeights = vertexGroupWeights[name] || (vertexGroupWeights[name] = []);
+            const weights = getVertexGroupWeights(mesh, name);
+            groupIndices.forEach((index, i) => {
+                if (index >= count) return;
+                merged.push(index + start);
+                mergedWeights.push(weights[i]);
+            });
+        });
+
+        ranges.push({ mesh, start, count });
+        start += count;
+        geometry.dispose();
+    });
+
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    merged.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    if (uvs) merged.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    merged.setIndex(new THREE.BufferAttribute(indices, 1));
+    drawGroups.forEach(({ start: groupStart, count, materialIndex }) => merged.addGroup(groupStart, count, materialIndex));
+    return { geometry: merged, materials, vertexGroups, vertexGroupWeights, ranges };
+}
+
+/**
+ * Renames a vertex group, moving its `custom_<name>` attribute along with it. The group keeps its
+ * position in mesh.userData.vertexGroups, so lists ordered by group stay stable.
+ *
+ * @param {THREE.Mesh} mesh - Mesh holding userData.vertexGroups.
+ * @param {string} name - Current group name.
+ * @param {string} newName - Sanitized new name (see sanitizeVertexGroupName).
+ * @throws {Error} If the group does not exist or the new name is taken.
+ */
+export function renameVertexGroup(mesh, name, newName) {
+    const vertexGroups = mesh.userData?.vertexGroups || {};
+    if (!vertexGroups[name]) {
+        throw new Error(`Vertex group "${name}" does not exist.`);
+    }
+    if (newName === name) return;
+    if (vertexGroups[newName]) {
+        throw new Error(`A vertex group named "${newName}" already exists.`);
+    }
+
+    mesh.userData.vertexGroups = Object.fromEntries(
+        Object.entries(vertexGroups).map(([key, indices]) => [key === name ? newName : key, indices])
+    );
+    const vertexGroupWeights = mesh.userData.vertexGroupWeights;
+    if (vertexGroupWeights?.[name]) {
+        vertexGroupWeights[newName] = vertexGroupWeights[name];
+        delete vertexGroupWeights[name];
+    }
+
+    const geometry = mesh.geometry;
+    const attribute = geometry.attributes[`custom_${name}`];
+    if (attribute) {
+        geometry.deleteAttribute(`custom_${name}`);
+        geometry.setAttribute(`custom_${newName}`, attribute);
+    }
+}
+
+/**
+ * Deletes a vertex group and its `custom_<name>` attribute.
+ * @param {THREE.Mesh} mesh - Mesh holding userData.vertexGroups.
+ * @param {string} name - Group name.
+ */
+export function deleteVertexGroup(mesh, name) {
+    if (mesh.userData?.vertexGroups) {
+        delete mesh.userData.vertexGroups[name];
+    }
+    if (mesh.userData?.vertexGroupWeights) {
+        delete mesh.userData.vertexGroupWeights[name];
+    }
+    if (mesh.geometry.attributes[`custom_${name}`]) {
+        mesh.geometry.deleteAttribute(`custom_${name}`);
+    }
+}
+
+/**
+ * Moves the vertices of one group into another and deletes the emptied group.
+ * Vertices in both keep the larger weight.
+ * @param {THREE.Mesh} mesh - Mesh holding userData.vertexGroups.
+ * @param {string} name - Group to merge away.
+ * @param {string} targetName - Group that receives the vertices.
+ * @returns {number[]} The target group's indices after the merge.
+ * @throws {Error} If either group does not exist.
+ */
+export function mergeVertexGroups(mesh, name, targetName) {
+    const vertexGroups = mesh.userData?.vertexGroups || {};
+    if (!vertexGroups[name] || !vertexGroups[targetName]) {
+        throw new Error(`Cannot merge "${name}" into "${targetName}": both groups must exist.`);
+    }
+    if (name === targetName) return vertexGroups[name];
+    const weights = getVertexGroupWeights(mesh, name);
+    const merged = setVertexGroup(mesh, targetName, vertexGroups[name], {
+        merge: true,
+        mode: 'max',
+        weights: new Map(vertexGroups[name].map((index, i) => [index, weights[i]])),
+    });
+    deleteVertexGroup(mesh, name);
+    return merged;
+}
+
+/**
+ * Copies every vertex group of a mesh (indices and weights), e.g. to bring them back with restoreVertexGroups.
+ * @param {THREE.Mesh} mesh - Mesh holding userData.vertexGroups.
+ * @returns {Array<{ name: string, indices: number[], weights: number[] }>} In group order.
+ */
+export function captureVertexGroups(mesh) {
+    return Object.keys(mesh.userData?.vertexGroups || {}).map(name => ({
+        name,
+        indices: [...mesh.userData.vertexGroups[name]],
+        weights: getVertexGroupWeights(mesh, name),
+    }));
+}
+
+/**
+ * Replaces all vertex groups of a mesh with captured ones, rewriting their `custom_<name>` attributes.
+ * @param {THREE.Mesh} mesh
+ * @param {Array<{ name: string, indices: number[], weights: number[] }>} groups - From captureVertexGroups.
+ */
+export function restoreVertexGroups(mesh, groups) {
+    Object.keys(mesh.userData?.vertexGroups || {}).forEach(name => deleteVertexGroup(mesh, name));
+    groups.forEach(({ name, indices, weights }) => {
+        setVertexGroup(mesh, name, indices, { weights: new Map(indices.map((index, i) => [index, weights[i]])) });
+    });
+}
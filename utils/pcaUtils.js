@@ -0,0 +1,71 @@
+// Principal component analysis of point clouds, shared by the shape descriptors sent with joint requests
+// and the local joint generator. Works on plain {x, y, z} objects.
+
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix (Jacobi rotations).
+ * @param {number[]} m - Row-major symmetric matrix (9 numbers).
+ * @returns {Array<{ value: number, vector: number[] }>} Eigenpairs sorted by descending eigenvalue.
+ * @private
+ */
+function symmetricEigen3(m) {
+    const a = m.slice();
+    const v = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    for (let sweep = 0; sweep < 32; sweep++) {
+        const offDiagonal = Math.abs(a[1]) + Math.abs(a[2]) + Math.abs(a[5]);
+        if (offDiagonal < 1e-12) break;
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            const apq = a[p * 3 + q];
+            if (Math.abs(apq) < 1e-15) continue;
+            const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+            for (let k = 0; k < 3; k++) { // A = A * J
+                const akp = a[k * 3 + p], akq = a[k * 3 + q];
+                a[k * 3 + p] = c * akp - s * akq;
+                a[k * 3 + q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) { // A = J^T * A
+                const apk = a[p * 3 + k], aqk = a[q * 3 + k];
+                a[p * 3 + k] = c * apk - s * aqk;
+                a[q * 3 + k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) { // V = V * J
+                const vkp = v[k * 3 + p], vkq = v[k * 3 + q];
+                v[k * 3 + p] = c * vkp - s * vkq;
+                v[k * 3 + q] = s * vkp + c * vkq;
+            }
+        }
+    }
+    return [0, 1, 2]
+        .map(i => ({ value: a[i * 3 + i], vector: [v[i], v[3 + i], v[6 + i]] }))
+        .sort((x, y) => y.value - x.value);
+}
+
+/**
+ * Computes the centroid and principal axes of a point cloud.
+ * Each axis is signed so its largest component is positive, which keeps results deterministic.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Non-empty list of points.
+ * @returns {{ centroid: number[], axes: Array<{ direction: number[], variance: number }> }}
+ *          Centroid as [x, y, z] and unit axes, largest spread first.
+ */
+export function computePrincipalAxes(points) {
+    const centroid = [0, 0, 0];
+    points.forEach(p => { centroid[0] += p.x; centroid[1] += p.y; centroid[2] += p.z; });
+    centroid[0] /= points.length; centroid[1] /= points.length; centroid[2] /= points.length;
+
+    const covariance = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    points.forEach(p => {
+        const d = [p.x - centroid[0], p.y - centroid[1], p.z - centroid[2]];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) covariance[i * 3 + j] += d[i] * d[j] / points.length;
+        }
+    });
+
+    const axes = symmetricEigen3(covariance).map(({ value, vector }) => {
+        const largest = vector.reduce((best, component, i) => (Math.abs(component) > Math.abs(vector[best]) ? i : best), 0);
+        return { direction: vector[largest] < 0 ? vector.map(component => -component) : vector, variance: value };
+    });
+    return { centroid, axes };
+}
@@ -0,0 +1,356 @@
+import * as THREE from 'three';
+import { downloadBlob } from './downloadUtils';
+
+// Project files hand rigging work to someone else: the model, its vertex groups, the skeleton's joints,
+// the prompts and the generated clips, in one JSON file.
+
+export const PROJECT_FORMAT = 'animation-poc-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.rig.json';
+
+/**
+ * JSON Schema (draft-07) of the current project version. validateProjectSchema checks files against it.
+ */
+export const PROJECT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Animation POC project',
+    type: 'object',
+    required: ['format', 'version', 'model', 'meshes'],
+    properties: {
+        format: { const: PROJECT_FORMAT },
+        version: { type: 'integer', minimum: 1 },
+        savedAt: { type: 'string' },
+        model: {
+            type: 'object',
+            required: ['name', 'hash'],
+            properties: {
+                name: { type: 'string' },
+                hash: { type: 'string' }, // SHA-256 of the GLB bytes (hex)
+                glb: { type: ['string', 'null'] }, // The GLB bytes as base64, if embedded
+            },
+        },
+        meshes: {
+            // Per mesh, in scene traversal order
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'vertexCount', 'vertexGroups'],
+                properties: {
+                    name: { type: 'string' },
+                    vertexCount: { type: 'integer', minimum: 0 },
+                    vertexGroups: { type: 'object', additionalProperties: { type: 'array', items: { type: 'integer', minimum: 0 } } },
+                    // Same order as vertexGroups; a group without weights has weight 1 everywhere
+                    vertexGroupWeights: { type: 'object', additionalProperties: { type: 'array', items: { type: 'number', minimum: 0, maximum: 1 } } },
+                },
+            },
+        },
+        skeleton: {
+            type: ['object', 'null'],
+            required: ['riggedMeshes', 'joints'],
+            properties: {
+                riggedMeshes: { type: 'array', items: { type: 'integer', minimum: 0 } }, // Positions in `meshes`
+                weightingMethod: { type: 'string' },
+                joints: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['x', 'y', 'z', 'parent'],
+                        properties: {
+                            name: { type: 'string' },
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            z: { type: 'number' },
+                            parent: { type: ['integer', 'null'] },
+                            group: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+        prompts: {
+            type: 'object',
+            properties: {
+                joints: { type: 'string' },
+                animation: { type: 'string' },
+            },
+        },
+        clips: {
+            // THREE.AnimationClip.toJSON output
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'duration', 'tracks'],
+                properties: {
+                    name: { type: 'string' },
+                    duration: { type: 'number' },
+                    tracks: { type: 'array' },
+                },
+            },
+        },
+    },
+};
+
+// Upgrades older projects: MIGRATIONS[n] turns a version n project into version n + 1.
+// When the format changes, bump PROJECT_VERSION and register a migration from the previous version.
+const MIGRATIONS = {};
+
+/**
+ * Registers the upgrade from one project version to the next.
+ * @param {number} fromVersion - The version the migration reads.
+ * @param {(project: object) => object} migrate - Returns the project in version `fromVersion + 1` (the version field is set afterwards).
+ */
+export function registerProjectMigration(fromVersion, migrate) {
+    MIGRATIONS[fromVersion] = migrate;
+}
+
+/**
+ * Brings a project up to PROJECT_VERSION.
+ * @param {object} project - A parsed project file.
+ * @returns {object} The migrated project.
+ * @throws {Error} If the project is newer than this editor, or a migration is missing.
+ */
+export function migrateProject(project) {
+    let current = project;
+    if (current.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${current.version} is newer than this editor supports (${PROJECT_VERSION}).`);
+    }
+    while (current.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (!migrate) {
+            throw new Error(`Cannot upgrade project version ${current.version}: no migration registered.`);
+        }
+        console.log(`Project: Migrating from version ${current.version} to ${current.version + 1}.`);
+        current = { ...migrate(current), version: current.version + 1 };
+    }
+    return current;
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used by PROJECT_SCHEMA
+ * (type, const, required, properties, additionalProperties, items, minItems, minimum, maximum).
+ * @param {any} value
+ * @param {object} [schema=PROJECT_SCHEMA]
+ * @param {string} [path='project']
+ * @returns {string[]} Problems found, empty if the value is valid.
+ */
+export function validateProjectSchema(value, schema = PROJECT_SCHEMA, path = 'project') {
+    const errors = [];
+    const typeOf = (v) => {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+        return typeof v;
+    };
+
+    if ('const' in schema && value !== schema.const) {
+        return [`${path} must be ${JSON.stringify(schema.const)}.`];
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(value);
+        if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            return [`${path} must be of type ${types.join(' or ')}, found ${actual}.`];
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}.`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}.`);
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} item(s).`);
+        if (schema.items) {
+            for (let i = 0; i < value.length && errors.length < 10; i++) {
+                errors.push(...validateProjectSchema(value[i], schema.items, `${path}[${i}]`));
+            }
+        }
+    } else if (value && typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is missing.`);
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema && typeof childSchema === 'object') {
+                errors.push(...validateProjectSchema(child, childSchema, `${path}.${key}`));
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Checks what JSON Schema cannot express: each group's weights must be as long as its list of vertices.
+ * @param {object} project - Already valid against PROJECT_SCHEMA.
+ * @returns {string[]} Problems found, empty if the weights match.
+ * @private
+ */
+function validateWeightLengths(project) {
+    const errors = [];
+    project.meshes.forEach((mesh, i) => {
+        Object.entries(mesh.vertexGroupWeights || {}).forEach(([name, weights]) => {
+            const expected = mesh.vertexGroups[name]?.length ?? 0;
+            if (weights.length !== expected) {
+                errors.push(`project.meshes[${i}].vertexGroupWeights.${name} has ${weights.length} item(s), project.meshes[${i}].vertexGroups.${name} has ${expected}.`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Encodes bytes as base64 (in chunks, so large models do not overflow the call stack).
+ * @private
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes the GLB bytes embedded in a project.
+ * @param {object} project
+ * @returns {ArrayBuffer | null} Null if the model is only referenced.
+ */
+export function getProjectModelBytes(project) {
+    if (!project.model.glb) return null;
+    const binary = atob(project.model.glb);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Builds a project from the editor state.
+ * @param {object} state
+ * @param {string} state.modelName - File name of the model.
+ * @param {string} state.modelHash - SHA-256 of the GLB bytes (see hashArrayBuffer).
+ * @param {ArrayBuffer | null} [state.glb] - The GLB bytes to embed; null only references the model by name and hash.
+ * @param {Array<{ name: string, vertexCount: number, vertexGroups: Object<string, number[]>, vertexGroupWeights: Object<string, number[]> }>} state.meshes
+ *        Per mesh, in scene traversal order.
+ * @param {{ riggedMeshes: number[], joints: Array<object>, weightingMethod: string } | null} [state.skeleton]
+ * @param {{ joints?: string, animation?: string }} [state.prompts]
+ * @param {THREE.AnimationClip[]} [state.clips]
+ * @returns {object} The project, ready for JSON.stringify.
+ */
+export function createProject({ modelName, modelHash, glb = null, meshes, skeleton = null, prompts = {}, clips = [] }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        model: { name: modelName, hash: modelHash, glb: glb ? arrayBufferToBase64(glb) : null },
+        meshes: meshes.map(({ name, vertexCount, vertexGroups, vertexGroupWeights }) => ({ name, vertexCount, vertexGroups, vertexGroupWeights })),
+        skeleton: skeleton
+            ? {
+                riggedMeshes: skeleton.riggedMeshes,
+                weightingMethod: skeleton.weightingMethod,
+                // Only the fields the format defines
+                joints: skeleton.joints.map(({ name, x, y, z, parent, group }) => ({ name, x, y, z, parent: parent ?? null, group })),
+            }
+            : null,
+        prompts: { joints: prompts.joints || '', animation: prompts.animation || '' },
+        clips: clips.map(clip => THREE.AnimationClip.toJSON(clip)),
+    };
+}
+
+/**
+ * Reads a project file: parses it, upgrades it to PROJECT_VERSION and checks it against PROJECT_SCHEMA.
+ * Each group's weights must also match its vertices in number.
+ * @param {string} text - Contents of the file.
+ * @returns {object} The project.
+ * @throws {Error} If the file is not a valid project.
+ */
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a project file: ${error.message}`);
+    }
+    if (!project || project.format !== PROJECT_FORMAT || !Number.isInteger(project.version)) {
+        throw new Error("Not a project file: the format or version field is missing.");
+    }
+
+    const migrated = migrateProject(project);
+    const schemaErrors = validateProjectSchema(migrated);
+    const errors = schemaErrors.length > 0 ? schemaErrors : validateWeightLengths(migrated);
+    if (errors.length > 0) {
+        console.error("Project: Schema errors:", errors);
+        throw new Error(`Invalid project file: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ` (${errors.length - 3} more)` : ''}`);
+    }
+    return migrated;
+}
+
+/**
+ * Compares a project with the loaded model's meshes. Meshes are matched by position; a mesh only matches
+ * when its vertex count is the same, since vertex groups and weights are indexed by vertex, and each group has
+ * one weight per vertex (or none).
+ * @param {object} project - From parseProject.
+ * @param {Array<THREE.Mesh>} meshes - The loaded meshes, in scene traversal order.
+ * @returns {{ matches: boolean[], mismatches: string[] }} `matches[i]` tells whether project mesh i can be applied.
+ */
+export function checkProjectAgainstMeshes(project, meshes) {
+    const mismatches = [];
+    if (project.meshes.length !== meshes.length) {
+        mismatches.push(`The project has ${project.meshes.length} mesh(es), the model has ${meshes.length}.`);
+    }
+
+    const matches = project.meshes.map((saved, i) => {
+        const mesh = meshes[i];
+        if (!mesh) return false;
+        const vertexCount = mesh.geometry.attributes.position.count;
+        if (saved.vertexCount !== vertexCount) {
+            mismatches.push(`Mesh ${i} ("${saved.name}"): the project has ${saved.vertexCount} vertices, the model has ${vertexCount}.`);
+            return false;
+        }
+        const outOfRange = Object.entries(saved.vertexGroups).filter(([, indices]) => indices.some(index => index >= vertexCount));
+        if (outOfRange.length > 0) {
+            mismatches.push(`Mesh ${i} ("${saved.name}"): group(s) ${outOfRange.map(([name]) => name).join(', ')} reference missing vertices.`);
+            return false;
+        }
+        const weightMismatch = Object.entries(saved.vertexGroupWeights || {})
+            .filter(([name, weights]) => weights.length !== (saved.vertexGroups[name]?.length ?? 0));
+        if (weightMismatch.length > 0) {
+            mismatches.push(`Mesh ${i} ("${saved.name}"): group(s) ${weightMismatch.map(([name]) => name).join(', ')} have a different number of weights than vertices.`);
+            return false;
+        }
+        return true;
+    });
+
+    const skeleton = project.skeleton;
+    if (skeleton && skeleton.riggedMeshes.some(i => !matches[i])) {
+        mismatches.push("The skeleton was built for meshes that do not match the model.");
+    }
+    return { matches, mismatches };
+}
+
+/**
+ * Turns the clips of a project back into AnimationClips.
+ * @param {object} project
+ * @returns {THREE.AnimationClip[]}
+ */
+export function getProjectClips(project) {
+    return (project.clips || []).map(clip => THREE.AnimationClip.parse(clip));
+}
+
+/**
+ * Triggers a browser download of a project file.
+ * @param {object} project - From createProject.
+ * @param {string} fileName
+ */
+export function downloadProject(project, fileName) {
+    downloadBlob(new Blob([JSON.stringify(project)], { type: 'application/json' }), fileName);
+}
+
+/**
+ * Derives the project file name from the model name.
+ * @param {string} [modelName] - e.g. "character.glb".
+ * @returns {string} e.g. "character.rig.json"
+ */
+export function getProjectFileName(modelName) {
+    const baseName = (modelName || 'model').replace(/\.glb$/i, '');
+    return `${baseName}${PROJECT_FILE_EXTENSION}`;
+}
@@ -1,40 +1,120 @@
 import * as THREE from 'three';
+import { computeGeodesicWeights } from './geodesicWeights';
+import { getWeldMap, weldIndexBuffer, weldVertexGroups, copyWeldedSkinWeights } from './weldUtils';
+
+// Meshes above this vertex count compute geodesic weights in a Web Worker (see createAndBindSkeletonAsync)
+export const GEODESIC_WORKER_VERTEX_THRESHOLD = 50000;
+
+/**
+ * Validates the hierarchy of a joint list as returned by /api/generate-joints.
+ * Each joint must have a `parent` index into the same array, or -1 (or null) for the root.
+ * There must be exactly one root, it must be the first joint, every parent must exist,
+ * and following parents from any joint must reach the root (no cycles).
+ *
+ * @param {Array<{x: number, y: number, z: number, parent: number | null, name?: string}>} joints - Joints to validate.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateJointHierarchy(joints) {
+    if (!Array.isArray(joints) || joints.length === 0) {
+        throw new Error("Joint list is empty.");
+    }
+
+    const parents = joints.map((joint, i) => {
+        if (!joint || !('parent' in joint)) {
+            throw new Error(`Joint ${i} is missing a "parent" field.`);
+        }
+        const parent = joint.parent === null ? -1 : joint.parent;
+        if (!Number.isInteger(parent)) {
+            throw new Error(`Joint ${i} has a non-integer parent (${joint.parent}).`);
+        }
+        if (parent === i) {
+            throw new Error(`Joint ${i} is its own parent.`);
+        }
+        if (parent < -1 || parent >= joints.length) {
+            throw new Error(`Joint ${i} has a dangling parent index ${parent} (only ${joints.length} joints).`);
+        }
+        return parent;
+    });
+
+    const roots = parents.reduce((acc, parent, i) => (parent === -1 ? [...acc, i] : acc), []);
+    if (roots.length === 0) {
+        throw new Error("Joint hierarchy has no root (a joint with parent -1).");
+    }
+    if (roots.length > 1) {
+        throw new Error(`Joint hierarchy has multiple roots (joints ${roots.join(', ')}).`);
+    }
+    if (roots[0] !== 0) {
+        throw new Error(`Root joint must be the first joint, found root at index ${roots[0]}.`);
+    }
+
+    // Every chain must reach the root in fewer steps than there are joints
+    for (let i = 0; i < parents.length; i++) {
+        let current = i;
+        let steps = 0;
+        while (current !== -1) {
+            current = parents[current];
+            if (++steps > parents.length) {
+                throw new Error(`Joint hierarchy contains a cycle involving joint ${i}.`);
+            }
+        }
+    }
+}
 
 /**
- * Creates THREE.Bone objects from an array of joint positions.
- * For now, it creates a flat hierarchy with all bones parented to the first bone.
- * @param {Array<{x: number, y: number, z: number}>} jointPositions - Array of joint positions.
- * @returns {Array<THREE.Bone>} An array of THREE.Bone objects.
+ * Creates THREE.Bone objects from an array of joint positions and parent indices.
+ * Joint positions are in world space; each bone's local position is its offset from its parent joint.
+ * Bones of joints tagged with a vertex group are named `<group>_<n>` (n counts within the group) and keep
+ * the group in `bone.userData.group`; other bones are named `Bone_<index>`.
+ * The joint's own name (if any) is kept in `bone.userData.jointName`.
+ * @param {Array<{x: number, y: number, z: number, parent: number | null, name?: string, group?: string}>} joints - Array of joints with hierarchy.
+ * @returns {Array<THREE.Bone>} An array of THREE.Bone objects in joint order. The first bone is the root.
+ * @throws {Error} If the joint hierarchy is invalid (see validateJointHierarchy).
  */
-function createBones(jointPositions) {
+function createBones(joints) {
     const bones = [];
-    if (!jointPositions || jointPositions.length === 0) {
+    if (!joints || joints.length === 0) {
         console.warn("No joint positions provided to createBones.");
         return bones;
     }
 
-    // Create the first bone (root or base)
-    const firstBone = new THREE.Bone();
-    firstBone.position.set(jointPositions[0].x, jointPositions[0].y, jointPositions[0].z);
-    firstBone.name = `Bone_0`; // Naming convention
-    bones.push(firstBone);
+    validateJointHierarchy(joints);
 
-    // Create subsequent bones and parent them to the first bone for simplicity
-    // A better approach would involve inferring hierarchy or getting it from the AI
-    for (let i = 1; i < jointPositions.length; i++) {
+    // Create all bones first, since a parent may come after its child in the list
+    const groupCounts = {};
+    const usedNames = new Set();
+    joints.forEach((joint, i) => {
         const bone = new THREE.Bone();
-        const pos = jointPositions[i];
+        let name = `Bone_${i}`; // Naming convention
+        if (joint.group) {
+            groupCounts[joint.group] = (groupCounts[joint.group] ?? -1) + 1;
+            // Animation tracks address bones by name, so keep names binding-safe and unique
+            name = THREE.PropertyBinding.sanitizeNodeName(`${joint.group}_${groupCounts[joint.group]}`);
+            if (usedNames.has(name)) name = `${name}_${i}`;
+            bone.userData.group = joint.group;
+        }
+        bone.name = name;
+        usedNames.add(name);
+        if (joint.name) {
+            bone.userData.jointName = joint.name;
+        }
+        bones.push(bone);
+    });
 
-        // Position relative to the parent (first bone)
-        bone.position.set(
-            pos.x - firstBone.position.x,
-            pos.y - firstBone.position.y,
-            pos.z - firstBone.position.z
+    // Position each bone relative to its parent joint and build the tree
+    joints.forEach((joint, i) => {
+        const parentIndex = joint.parent === null ? -1 : joint.parent;
+        if (parentIndex === -1) {
+            bones[i].position.set(joint.x, joint.y, joint.z); // Root keeps its absolute position
+            return;
+        }
+        const parentJoint = joints[parentIndex];
+        bones[i].position.set(
+            joint.x - parentJoint.x,
+            joint.y - parentJoint.y,
+            joint.z - parentJoint.z
         );
-        bone.name = `Bone_${i}`;
-        firstBone.add(bone); // Add as child of the first bone
-        bones.push(bone);
-    }
+        bones[parentIndex].add(bones[i]);
+    });
 
     console.log(`Created ${bones.length} bones.`);
     return bones;
@@ -45,8 +125,9 @@ function createBones(jointPositions) {
  * Assigns each vertex entirely to the single nearest bone.
  * @param {THREE.BufferGeometry} geometry - The geometry to skin.
  * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {Float32Array | null} [influenceMask] - Influence scale per vertex and bone (see buildBoneInfluenceMask).
  */
-function calculateNearestBoneWeights(geometry, bones) {
+function calculateNearestBoneWeights(geometry, bones, influenceMask = null) {
     if (!geometry.attributes.position) {
         console.error("Geometry is missing position attribute.");
         return;
@@ -62,19 +143,11 @@ function calculateNearestBoneWeights(geometry, bones) {
     const skinIndices = []; // Stores the index of the bone influencing the vertex
     const skinWeights = []; // Stores the weight of the influence (always 1.0 in this simple case)
 
-    // Get world positions of bones for distance calculation
-    const boneWorldPositions = bones.map(bone => {
-        // Need to update world matrix if bones have hierarchy/transforms
-        // For this simple flat structure relative to origin (or first bone),
-        // we can approximate with their initial positions for now.
-        // A proper implementation requires updating the skeleton's world matrices.
-        const worldPos = new THREE.Vector3();
-        bone.getWorldPosition(worldPos); // Get world position
-        return worldPos;
-    });
+    // Bone positions in skeleton space, which is the geometry's local space (see createAndBindSkeleton)
+    const boneRestPositions = getBoneRestPositions(bones);
 
-    if (boneWorldPositions.length === 0) {
-        console.error("Could not determine bone world positions.");
+    if (boneRestPositions.length === 0) {
+        console.error("Could not determine bone rest positions.");
         return; // Cannot proceed without bone positions
     }
 
@@ -83,16 +156,15 @@ function calculateNearestBoneWeights(geometry, bones) {
 
     for (let i = 0; i < numVertices; i++) {
         vertex.fromBufferAttribute(positionAttribute, i);
-        // Note: We are comparing vertex local positions to bone world positions.
-        // This is an approximation. A more accurate method would transform
-        // vertices to world space or bones to local space.
-        // However, for a simple "nearest" heuristic on an untransformed mesh, this might suffice.
 
         let nearestBoneIndex = -1;
         let minDistanceSq = Infinity;
 
-        for (let j = 0; j < boneWorldPositions.length; j++) {
-            const distanceSq = vertex.distanceToSquared(boneWorldPositions[j]);
+        for (let j = 0; j < boneRestPositions.length; j++) {
+            const scale = influenceMask ? influenceMask[i * bones.length + j] : 1;
+            if (scale <= 0) continue;
+            // A weaker allowed bone has to be proportionally closer to win
+            const distanceSq = vertex.distanceToSquared(boneRestPositions[j]) / (scale * scale);
             if (distanceSq < minDistanceSq) {
                 minDistanceSq = distanceSq;
                 nearestBoneIndex = j;
@@ -118,44 +190,411 @@ function calculateNearestBoneWeights(geometry, bones) {
     console.log("Added skinIndex and skinWeight attributes to geometry.");
 }
 
+/**
+ * Returns the rest positions of bones in skeleton space (relative to the parent of the root bone).
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton. The first bone is the root.
+ * @returns {Array<THREE.Vector3>} One position per bone.
+ * @private
+ */
+function getBoneRestPositions(bones) {
+    // Bones are not attached to a scene yet, so this is relative to the root bone's (absent) parent
+    bones[0].updateMatrixWorld(true);
+    return bones.map(bone => new THREE.Vector3().setFromMatrixPosition(bone.matrixWorld));
+}
 
 /**
- * Creates a Skeleton and binds it to the geometry by adding skinning attributes.
- * Uses a simple nearest-bone weighting strategy.
- * Modifies the input geometry directly.
+ * Collects the segments each bone controls: from the bone to each of its child bones.
+ * Leaf bones get a single zero-length segment at their own position.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @returns {Array<Array<[THREE.Vector3, THREE.Vector3]>>} Segments per bone, in skeleton space.
+ * @private
+ */
+function getBoneSegments(bones) {
+    const restPositions = getBoneRestPositions(bones);
+    return bones.map((bone, i) => {
+        const childIndices = bone.children
+            .filter(child => child.isBone)
+            .map(child => bones.indexOf(child))
+            .filter(index => index !== -1);
+        return childIndices.length > 0
+            ? childIndices.map(c => [restPositions[i], restPositions[c]])
+            : [[restPositions[i], restPositions[i]]]; // Leaf bone: degenerate segment
+    });
+}
+
+/**
+ * Restricts bone influence to vertex groups: a vertex fully in one or more groups may only be influenced by
+ * bones tagged with one of those groups (see createBones) or by untagged bones.
+ * Vertices outside all groups, or whose groups have no bones, stay unrestricted.
  *
- * @param {THREE.BufferGeometry} geometry - The geometry to rig. Must have position attribute.
- * @param {Array<{x: number, y: number, z: number}>} jointPositions - Suggested joint positions.
- * @returns {THREE.Skeleton | null} The created Skeleton object, or null if failed.
+ * Group weights soften the restriction: a vertex with weight w in a group scales that group's bones by w
+ * and the bones of other groups by 1 - w (its largest group weight counts), so soft group edges blend
+ * into the neighbouring groups.
+ *
+ * @param {number} vertexCount - Number of vertices in the geometry.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {Object<string, number[]> | null} vertexGroups - The mesh's userData.vertexGroups.
+ * @param {Object<string, number[]> | null} [vertexGroupWeights] - The mesh's userData.vertexGroupWeights. Missing weights count as 1.
+ * @returns {Float32Array | null} `mask[v * bones.length + b]` scales bone b's influence on vertex v (0 = none),
+ *          or null if no bone is tagged with a group (no restriction).
+ * @private
  */
-export function createAndBindSkeleton(geometry, jointPositions) {
+function buildBoneInfluenceMask(vertexCount, bones, vertexGroups, vertexGroupWeights = null) {
+    if (!vertexGroups || !bones.some(bone => bone.userData.group)) {
+        return null;
+    }
+
+    const boneCount = bones.length;
+    const mask = new Float32Array(vertexCount * boneCount);
+    const groupWeight = new Float32Array(vertexCount); // Largest weight in a group that has bones
+    const untagged = bones.map((bone, b) => (bone.userData.group ? -1 : b)).filter(b => b !== -1);
+
+    Object.entries(vertexGroups).forEach(([groupName, indices]) => {
+        if (!bones.some(bone => bone.userData.group === groupName)) return; // Group has no bones of its own
+        const groupBones = bones.map((bone, b) => (bone.userData.group === groupName ? b : -1)).filter(b => b !== -1);
+        const weights = vertexGroupWeights?.[groupName];
+        indices.forEach((index, i) => {
+            if (index >= vertexCount) return;
+            const weight = weights && weights[i] !== undefined ? weights[i] : 1;
+            groupWeight[index] = Math.max(groupWeight[index], weight);
+            groupBones.forEach(b => { mask[index * boneCount + b] = Math.max(mask[index * boneCount + b], weight); });
+        });
+    });
+
+    for (let v = 0; v < vertexCount; v++) {
+        const outside = 1 - groupWeight[v]; // Share left to the rest of the skeleton
+        for (let b = 0; b < boneCount; b++) {
+            const k = v * boneCount + b;
+            mask[k] = Math.max(mask[k], outside);
+        }
+        untagged.forEach(b => { mask[v * boneCount + b] = 1; });
+    }
+    return mask;
+}
+
+/**
+ * Calculates smooth skin weights from the distance of each vertex to the bone segments.
+ * A bone's segments run from the bone to each of its child bones; leaf bones are treated as points.
+ * Each vertex is influenced by up to `maxInfluences` bones, weighted by inverse distance
+ * raised to `falloff`, and the weights are normalized to sum to 1.
+ * @param {THREE.BufferGeometry} geometry - The geometry to skin.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {object} [options]
+ * @param {number} [options.maxInfluences=4] - Maximum bones per vertex (1 to 4).
+ * @param {number} [options.falloff=4] - Exponent of the inverse distance falloff. Higher values give sharper transitions.
+ * @param {Float32Array | null} [options.influenceMask] - Influence scale per vertex and bone (see buildBoneInfluenceMask).
+ */
+function calculateSegmentWeights(geometry, bones, { maxInfluences = 4, falloff = 4, influenceMask = null } = {}) {
+    if (!geometry.attributes.position) {
+        console.error("Geometry is missing position attribute.");
+        return;
+    }
+    if (!bones || bones.length === 0) {
+        console.error("No bones provided for skin weighting.");
+        return;
+    }
+
+    const influences = Math.max(1, Math.min(4, Math.floor(maxInfluences)));
+    const positionAttribute = geometry.attributes.position;
+    const numVertices = positionAttribute.count;
+    const vertex = new THREE.Vector3();
+    const closest = new THREE.Vector3();
+    const segment = new THREE.Line3();
+    const boneSegments = getBoneSegments(bones);
+
+    // Avoid division by zero for vertices lying exactly on a bone
+    geometry.computeBoundingSphere();
+    const epsilon = Math.max(geometry.boundingSphere?.radius || 1, 1e-6) * 1e-4;
+
+    const skinIndices = new Uint16Array(numVertices * 4);
+    const skinWeights = new Float32Array(numVertices * 4);
+    const candidateWeights = new Float32Array(bones.length);
+    const order = bones.map((_, j) => j);
+
+    console.log(`Calculating segment weights for ${numVertices} vertices and ${bones.length} bones (max ${influences} influences)...`);
+
+    for (let i = 0; i < numVertices; i++) {
+        vertex.fromBufferAttribute(positionAttribute, i);
+
+        for (let j = 0; j < bones.length; j++) {
+            const scale = influenceMask ? influenceMask[i * bones.length + j] : 1;
+            if (scale <= 0) {
+                candidateWeights[j] = 0;
+                continue;
+            }
+            let minDistance = Infinity;
+            boneSegments[j].forEach(([start, end]) => {
+                if (start.equals(end)) {
+                    // Line3 cannot project onto a zero-length segment
+                    minDistance = Math.min(minDistance, start.distanceTo(vertex));
+                    return;
+                }
+                segment.set(start, end);
+                segment.closestPointToPoint(vertex, true, closest);
+                minDistance = Math.min(minDistance, closest.distanceTo(vertex));
+            });
+            candidateWeights[j] = scale / Math.pow(minDistance + epsilon, falloff);
+        }
+
+        // Keep the strongest influences and normalize them
+        order.sort((a, b) => candidateWeights[b] - candidateWeights[a]);
+        let total = 0;
+        for (let k = 0; k < influences && k < order.length; k++) {
+            total += candidateWeights[order[k]];
+        }
+        for (let k = 0; k < influences && k < order.length; k++) {
+            skinIndices[i * 4 + k] = order[k];
+            skinWeights[i * 4 + k] = total > 0 ? candidateWeights[order[k]] / total : (k === 0 ? 1 : 0);
+        }
+    }
+
+    geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(skinIndices, 4));
+    geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeights, 4));
+
+    console.log("Added skinIndex and skinWeight attributes to geometry.");
+}
+
+/**
+ * Builds the plain-array input for computeGeodesicWeights from a geometry and its bones.
+ * @param {THREE.BufferGeometry} geometry - The geometry to skin.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {object} options
+ * @param {Object<string, number[]>} [options.vertexGroups] - Groups from mesh.userData.vertexGroups. Influence is restricted to their vertices.
+ * @param {number} [options.maxInfluences=4]
+ * @param {number} [options.falloff=4]
+ * @param {Float32Array | null} [options.influenceMask] - Influence scale per vertex and bone (see buildBoneInfluenceMask).
+ * @returns {object} Arguments for computeGeodesicWeights. Typed arrays are copies and safe to transfer.
+ * @private
+ */
+function getGeodesicWeightInput(geometry, bones, { vertexGroups, maxInfluences = 4, falloff = 4, influenceMask = null }) {
+    const positionAttribute = geometry.attributes.position;
+    const vertexCount = positionAttribute.count;
+
+    const positions = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount; i++) {
+        positions[i * 3] = positionAttribute.getX(i);
+        positions[i * 3 + 1] = positionAttribute.getY(i);
+        positions[i * 3 + 2] = positionAttribute.getZ(i);
+    }
+
+    const segmentList = [];
+    const segmentBoneList = [];
+    getBoneSegments(bones).forEach((segments, boneIndex) => {
+        segments.forEach(([start, end]) => {
+            segmentList.push(start.x, start.y, start.z, end.x, end.y, end.z);
+            segmentBoneList.push(boneIndex);
+        });
+    });
+
+    // Only vertices in the user's groups may be influenced; no groups means the whole mesh
+    let regionMask = null;
+    const groupNames = vertexGroups ? Object.keys(vertexGroups) : [];
+    if (groupNames.length > 0) {
+        regionMask = new Uint8Array(vertexCount);
+        groupNames.forEach(name => {
+            vertexGroups[name].forEach(index => {
+                if (index < vertexCount) regionMask[index] = 1;
+            });
+        });
+    }
+
+    return {
+        positions,
+        index: weldIndexBuffer(geometry, getWeldMap(geometry)), // Distances travel across UV and normal seams
+        segments: new Float32Array(segmentList),
+        segmentBones: Uint16Array.from(segmentBoneList),
+        boneCount: bones.length,
+        regionMask,
+        boneMask: influenceMask ? influenceMask.slice() : null,
+        maxInfluences,
+        falloff,
+    };
+}
+
+/**
+ * Calculates topology-aware skin weights on the main thread (see computeGeodesicWeights).
+ * @param {THREE.BufferGeometry} geometry - The geometry to skin.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {object} options - See getGeodesicWeightInput.
+ */
+function calculateGeodesicWeights(geometry, bones, options) {
+    if (!geometry.attributes.position) {
+        console.error("Geometry is missing position attribute.");
+        return;
+    }
+    console.log(`Calculating geodesic weights for ${geometry.attributes.position.count} vertices and ${bones.length} bones...`);
+    const { skinIndices, skinWeights } = computeGeodesicWeights(getGeodesicWeightInput(geometry, bones, options));
+    geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(skinIndices, 4));
+    geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeights, 4));
+    console.log("Added skinIndex and skinWeight attributes to geometry.");
+}
+
+/**
+ * Calculates topology-aware skin weights in a Web Worker.
+ * @param {THREE.BufferGeometry} geometry - The geometry to skin.
+ * @param {Array<THREE.Bone>} bones - The bones of the skeleton.
+ * @param {object} options - See getGeodesicWeightInput.
+ * @returns {Promise<void>} Resolves once the skinning attributes are set on the geometry.
+ */
+function calculateGeodesicWeightsInWorker(geometry, bones, options) {
+    const input = getGeodesicWeightInput(geometry, bones, options);
+    const transfer = [input.positions.buffer, input.segments.buffer, input.segmentBones.buffer];
+    if (input.index) transfer.push(input.index.buffer);
+    if (input.regionMask) transfer.push(input.regionMask.buffer);
+    if (input.boneMask) transfer.push(input.boneMask.buffer);
+
+    console.log(`Calculating geodesic weights for ${geometry.attributes.position.count} vertices in a worker...`);
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./geodesicWeights.worker.js', import.meta.url));
+        worker.onmessage = (event) => {
+            worker.terminate();
+            if (event.data.error) {
+                reject(new Error(`Geodesic weighting failed: ${event.data.error}`));
+                return;
+            }
+            geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(event.data.skinIndices, 4));
+            geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(event.data.skinWeights, 4));
+            console.log("Added skinIndex and skinWeight attributes to geometry.");
+            resolve();
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(`Geodesic weighting worker error: ${event.message}`));
+        };
+        worker.postMessage(input, transfer);
+    });
+}
+
+/**
+ * Available skin weighting strategies for createAndBindSkeleton.
+ * - `nearest`: each vertex is bound entirely to its nearest bone.
+ * - `segment`: distance to bone segments with falloff, blended across up to four bones.
+ * - `geodesic`: distance measured over the mesh surface, restricted to the user's vertex groups.
+ *   Vertices outside the groups are bound rigidly to the root bone.
+ */
+export const SKIN_WEIGHTING_METHODS = ['nearest', 'segment', 'geodesic'];
+
+/**
+ * Validates the input and creates bones in the geometry's local space.
+ * @returns {Array<THREE.Bone> | null} The bones, or null if the input is missing.
+ * @throws {Error} If the joint hierarchy is invalid or the weighting strategy is unknown.
+ * @private
+ */
+function prepareBones(geometry, jointPositions, weighting, matrixWorld) {
     if (!geometry || !jointPositions || jointPositions.length === 0) {
         console.error("Invalid input: Geometry or joint positions missing.");
         return null;
     }
+    if (!SKIN_WEIGHTING_METHODS.includes(weighting)) {
+        throw new Error(`Unknown skin weighting method "${weighting}". Expected one of: ${SKIN_WEIGHTING_METHODS.join(', ')}.`);
+    }
 
-    // --- 1. Create Bones ---
-    const bones = createBones(jointPositions);
+    let localJoints = jointPositions;
+    if (matrixWorld) {
+        const inverseWorld = matrixWorld.clone().invert();
+        const local = new THREE.Vector3();
+        localJoints = jointPositions.map(joint => {
+            local.set(joint.x, joint.y, joint.z).applyMatrix4(inverseWorld);
+            return { ...joint, x: local.x, y: local.y, z: local.z };
+        });
+    }
+    const bones = createBones(localJoints);
     if (bones.length === 0) {
         console.error("Failed to create bones.");
         return null;
     }
+    return bones;
+}
 
-    // --- 2. Calculate Skin Weights (Simple Nearest Bone) ---
-    // This modifies the geometry, adding skinIndex and skinWeight attributes
-    calculateNearestBoneWeights(geometry, bones);
+/**
+ * Creates the Skeleton for bones whose weights have been written to the geometry.
+ * @private
+ */
+function finishSkeleton(geometry, bones) {
+    // Seam copies take the weights of their canonical vertex, so the seams do not open when posed
+    copyWeldedSkinWeights(geometry, getWeldMap(geometry));
 
-    // --- 3. Create Skeleton ---
     const skeleton = new THREE.Skeleton(bones);
 
-    // --- 4. Bind Skeleton to Geometry (Optional but good practice) ---
     // This step mainly ensures the geometry and skeleton are linked conceptually.
     // The actual binding happens via the skinIndex/skinWeight attributes and
     // using the skeleton in a SkinnedMesh.
-    // We might store the skeleton reference in geometry.userData if needed later.
     geometry.userData.skeleton = skeleton; // Optional: Store reference
 
     console.log("Skeleton created and bound to geometry (attributes added).");
-
     return skeleton;
-} 
\ No newline at end of file
+}
+
+/**
+ * Creates a Skeleton and binds it to the geometry by adding skinning attributes.
+ * Modifies the input geometry directly.
+ *
+ * Joint positions are given in world space. When the source mesh's world matrix is passed,
+ * joints are converted into the geometry's local space so bones and vertices share one space
+ * (the skeleton is meant to be attached to a SkinnedMesh that uses this geometry).
+ * Vertices at the same position (copies along UV and normal seams) get identical weights.
+ *
+ * @param {THREE.BufferGeometry} geometry - The geometry to rig. Must have position attribute.
+ * @param {Array<{x: number, y: number, z: number, parent: number | null, name?: string, group?: string}>} jointPositions - Suggested joints with parent indices.
+ * @param {object} [options]
+ * @param {'nearest' | 'segment' | 'geodesic'} [options.weighting='segment'] - Skin weighting strategy (see SKIN_WEIGHTING_METHODS).
+ * @param {number} [options.maxInfluences=4] - Maximum bones per vertex for blended strategies.
+ * @param {number} [options.falloff=4] - Distance falloff exponent for blended strategies.
+ * @param {THREE.Matrix4} [options.matrixWorld] - World matrix of the mesh the geometry came from.
+ * @param {Object<string, number[]>} [options.vertexGroupWeights] - The mesh's userData.vertexGroupWeights. Soft group edges
+ *        blend the group's bones with the rest of the skeleton (see buildBoneInfluenceMask).
+ * @param {Object<string, number[]>} [options.vertexGroups] - The mesh's userData.vertexGroups. Restricts `geodesic` weighting to
+ *        grouped vertices, and restricts bones generated for a group to that group's vertices.
+ * @returns {THREE.Skeleton | null} The created Skeleton object, or null if failed.
+ * @throws {Error} If the joint hierarchy is invalid or the weighting strategy is unknown.
+ */
+export function createAndBindSkeleton(geometry, jointPositions, options = {}) {
+    const { weighting = 'segment', maxInfluences = 4, falloff = 4, matrixWorld = null, vertexGroups = null, vertexGroupWeights = null } = options;
+
+    // --- 1. Create Bones (in the geometry's local space) ---
+    const bones = prepareBones(geometry, jointPositions, weighting, matrixWorld);
+    if (!bones) return null;
+
+    // --- 2. Calculate Skin Weights ---
+    // This modifies the geometry, adding skinIndex and skinWeight attributes.
+    // Bones generated for a vertex group only influence that group's vertices; seam copies count as grouped too.
+    const welded = weldVertexGroups(vertexGroups, vertexGroupWeights, getWeldMap(geometry));
+    const influenceMask = buildBoneInfluenceMask(geometry.attributes.position.count, bones, welded.vertexGroups, welded.vertexGroupWeights);
+    if (weighting === 'nearest') {
+        calculateNearestBoneWeights(geometry, bones, influenceMask);
+    } else if (weighting === 'geodesic') {
+        calculateGeodesicWeights(geometry, bones, { vertexGroups: welded.vertexGroups, maxInfluences, falloff, influenceMask });
+    } else {
+        calculateSegmentWeights(geometry, bones, { maxInfluences, falloff, influenceMask });
+    }
+
+    // --- 3. Create Skeleton ---
+    return finishSkeleton(geometry, bones);
+}
+
+/**
+ * Same as createAndBindSkeleton, but computes `geodesic` weights in a Web Worker for meshes
+ * with more than GEODESIC_WORKER_VERTEX_THRESHOLD vertices so the UI stays responsive.
+ * Other strategies and smaller meshes run synchronously.
+ *
+ * @param {THREE.BufferGeometry} geometry - The geometry to rig.
+ * @param {Array<{x: number, y: number, z: number, parent: number | null, name?: string, group?: string}>} jointPositions - Suggested joints with parent indices.
+ * @param {object} [options] - See createAndBindSkeleton.
+ * @returns {Promise<THREE.Skeleton | null>} The created Skeleton object, or null if failed.
+ */
+export async function createAndBindSkeletonAsync(geometry, jointPositions, options = {}) {
+    const { weighting = 'segment', maxInfluences = 4, falloff = 4, matrixWorld = null, vertexGroups = null, vertexGroupWeights = null } = options;
+    const vertexCount = geometry?.attributes?.position?.count || 0;
+
+    if (weighting !== 'geodesic' || vertexCount <= GEODESIC_WORKER_VERTEX_THRESHOLD || typeof Worker === 'undefined') {
+        return createAndBindSkeleton(geometry, jointPositions, options);
+    }
+
+    const bones = prepareBones(geometry, jointPositions, weighting, matrixWorld);
+    if (!bones) return null;
+
+    const welded = weldVertexGroups(vertexGroups, vertexGroupWeights, getWeldMap(geometry));
+    const influenceMask = buildBoneInfluenceMask(geometry.attributes.position.count, bones, welded.vertexGroups, welded.vertexGroupWeights);
+    await calculateGeodesicWeightsInWorker(geometry, bones, { vertexGroups: welded.vertexGroups, maxInfluences, falloff, influenceMask });
+    return finishSkeleton(geometry, bones);
+}
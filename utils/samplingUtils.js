@@ -1,4 +1,114 @@
 import * as THREE from 'three';
+import { computePrincipalAxes } from './pcaUtils';
+
+export const SAMPLING_MODES = ['random', 'stratified'];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, which makes sampled requests reproducible.
+ *
+ * @param {number} seed - Any number; it is truncated to an unsigned 32-bit integer.
+ * @returns {() => number} A function returning floats in [0, 1), like Math.random.
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks `count` distinct indices in [0, total) uniformly at random (partial Fisher-Yates shuffle).
+ * @private
+ */
+function pickRandomIndices(total, count, random) {
+    const indices = Array.from({ length: total }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(random() * (total - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, count);
+}
+
+/**
+ * Picks `count` distinct indices with probability proportional to their weight
+ * (Efraimidis-Spirakis: keep the largest random()^(1 / weight) keys).
+ * @private
+ */
+function pickWeightedRandomIndices(weights, count, random) {
+    return weights
+        .map((weight, i) => ({ i, key: weight > 0 ? Math.pow(random(), 1 / weight) : -1 }))
+        .sort((a, b) => b.key - a.key)
+        .slice(0, count)
+        .map(({ i }) => i);
+}
+
+/**
+ * Picks `count` indices by farthest-point sampling: after a random first point, each next point is the one
+ * farthest from all points picked so far. This spreads samples evenly over the region instead of
+ * following vertex density. With weights, distances are scaled by the weight, so low-weight vertices
+ * (e.g. the soft edge of a group) are reached later.
+ * @private
+ */
+function pickFarthestPointIndices(positions, count, random, weights = null) {
+    const total = positions.length;
+    const minDistanceSq = new Float64Array(total).fill(Infinity);
+    const picked = [];
+    let next = Math.floor(random() * total);
+
+    while (picked.length < count) {
+        picked.push(next);
+        const p = positions[next];
+        minDistanceSq[next] = -1; // Never pick again
+
+        let farthest = -1;
+        let farthestDistanceSq = -Infinity;
+        for (let i = 0; i < total; i++) {
+            if (minDistanceSq[i] < 0) continue;
+            const q = positions[i];
+            const d = (q.x - p.x) ** 2 + (q.y - p.y) ** 2 + (q.z - p.z) ** 2;
+            if (d < minDistanceSq[i]) minDistanceSq[i] = d;
+            const score = weights ? minDistanceSq[i] * weights[i] * weights[i] : minDistanceSq[i];
+            if (score > farthestDistanceSq) {
+                farthestDistanceSq = score;
+                farthest = i;
+            }
+        }
+        if (farthest === -1) break;
+        next = farthest;
+    }
+    return picked;
+}
+
+/**
+ * Chooses which of the given positions to sample.
+ * @param {Array<{x: number, y: number, z: number}>} positions - Candidate positions.
+ * @param {number} count - Number of samples to pick (<= positions.length).
+ * @param {object} options
+ * @param {'random' | 'stratified'} [options.mode='random'] - Uniform random, or even coverage of the region's extent.
+ * @param {number} [options.seed] - Seed for reproducible results. Math.random is used if omitted.
+ * @param {number[] | null} [weights] - Importance (0..1) per position. Null, or all 1, samples uniformly.
+ * @returns {number[]} Indices into `positions`.
+ * @private
+ */
+function pickSampleIndices(positions, count, { mode = 'random', seed } = {}, weights = null) {
+    const random = seed === undefined || seed === null ? Math.random : createSeededRandom(seed);
+    if (!SAMPLING_MODES.includes(mode)) {
+        console.warn(`Sampling: Unknown mode "${mode}". Using "random".`);
+        mode = 'random';
+    }
+    const weighted = weights && weights.some(weight => weight < 1) ? weights : null;
+    if (mode === 'stratified') {
+        return pickFarthestPointIndices(positions, count, random, weighted);
+    }
+    return weighted
+        ? pickWeightedRandomIndices(weighted, count, random)
+        : pickRandomIndices(positions.length, count, random);
+}
 
 /**
  * Samples a specified ratio of vertex positions from a given set of indices.
@@ -6,10 +116,13 @@ import * as THREE from 'three';
  * @param {THREE.Mesh} mesh - The mesh containing the vertices.
  * @param {Set<number>} selectedIndices - A Set containing the indices of the selected vertices.
  * @param {number} samplingRatio - The fraction (0.0 to 1.0) of selected vertices to sample.
+ * @param {object} [options]
+ * @param {'random' | 'stratified'} [options.mode='random'] - Uniform random, or farthest-point sampling for even coverage.
+ * @param {number} [options.seed] - Seed for reproducible samples. Math.random is used if omitted.
  * @returns {Array<THREE.Vector3>} An array of THREE.Vector3 objects representing the sampled vertex positions in world space.
  * @throws {Error} If mesh, geometry, position attribute, or selectedIndices are invalid.
  */
-export function sampleVertexPositions(mesh, selectedIndices, samplingRatio) {
+export function sampleVertexPositions(mesh, selectedIndices, samplingRatio, options = {}) {
     // --- Input Validation ---
     if (!mesh || !mesh.isMesh) {
         throw new Error("Invalid mesh provided.");
@@ -31,42 +144,29 @@ export function sampleVertexPositions(mesh, selectedIndices, samplingRatio) {
     }
 
     // --- Sampling Logic ---
-    const indicesArray = Array.from(selectedIndices);
+    // Drop indices that are not valid for the geometry before sampling
+    const indicesArray = Array.from(selectedIndices).filter(vertexIndex => {
+        const isValid = vertexIndex >= 0 && vertexIndex < positionAttribute.count;
+        if (!isValid) {
+            console.warn(`sampleVertexPositions: Selected index ${vertexIndex} is out of bounds for geometry positions (${positionAttribute.count}). Skipping.`);
+        }
+        return isValid;
+    });
     const totalSelected = indicesArray.length;
+    if (totalSelected === 0) {
+        return [];
+    }
     const sampleSize = Math.max(1, Math.min(totalSelected, Math.ceil(totalSelected * samplingRatio))); // Ensure at least 1 sample if possible
 
-    const sampledPositions = [];
-    const sampledIndices = new Set(); // To avoid picking the same index twice
-
     // Update world matrix to ensure correct world positions
     mesh.updateMatrixWorld();
     const worldMatrix = mesh.matrixWorld;
 
-    // Randomly select unique indices
-    while (sampledIndices.size < sampleSize) {
-        const randomIndex = Math.floor(Math.random() * totalSelected);
-        const vertexIndex = indicesArray[randomIndex];
-
-        // Ensure the index is valid for the geometry
-        if (vertexIndex >= 0 && vertexIndex < positionAttribute.count) {
-            sampledIndices.add(vertexIndex);
-        } else {
-            console.warn(`sampleVertexPositions: Selected index ${vertexIndex} is out of bounds for geometry positions (${positionAttribute.count}). Skipping.`);
-            // If we skip an invalid index, we might need to adjust logic if strict sampleSize is required,
-            // but for now, we just won't add it. This could lead to slightly fewer samples than requested
-            // if the input selectedIndices contains invalid values.
-        }
-        // Basic protection against infinite loops if all indices are invalid (unlikely)
-        if (sampledIndices.size >= totalSelected) break;
-    }
-
-    // Retrieve and transform positions for sampled indices
-    const vertex = new THREE.Vector3();
-    sampledIndices.forEach(index => {
-        vertex.fromBufferAttribute(positionAttribute, index); // Get local position
-        vertex.applyMatrix4(worldMatrix); // Transform to world position
-        sampledPositions.push(vertex.clone()); // Add a clone to the results array
-    });
+    // Transform all candidates to world space, then pick the samples
+    const candidatePositions = indicesArray.map(index =>
+        new THREE.Vector3().fromBufferAttribute(positionAttribute, index).applyMatrix4(worldMatrix)
+    );
+    const sampledPositions = pickSampleIndices(candidatePositions, sampleSize, options).map(i => candidatePositions[i]);
 
     console.log(`Sampled ${sampledPositions.length} vertex positions out of ${totalSelected} selected (Ratio: ${samplingRatio}, Target Size: ${sampleSize}).`);
     return sampledPositions;
@@ -75,13 +175,17 @@ export function sampleVertexPositions(mesh, selectedIndices, samplingRatio) {
 /**
  * Samples elements from an array of pre-calculated vertex data objects.
  * Returns only the position part of the sampled elements.
+ * Elements may carry a `weight` (0..1, e.g. their vertex group weight); lower weights are sampled less often.
  *
- * @param {Array<{ index: number, position: {x: number, y: number, z: number} }>} vertexDataArray - Array of vertex data objects.
+ * @param {Array<{ index: number, position: {x: number, y: number, z: number}, weight?: number }>} vertexDataArray - Array of vertex data objects.
  * @param {number} samplingRatio - The fraction (0.0 to 1.0) of elements to sample.
  * @param {number} maxCount - The maximum number of elements to return.
+ * @param {object} [options]
+ * @param {'random' | 'stratified'} [options.mode='random'] - Uniform random, or farthest-point sampling for even coverage.
+ * @param {number} [options.seed] - Seed for reproducible samples. Math.random is used if omitted.
  * @returns {Array<{x: number, y: number, z: number}>} An array of position objects {x, y, z}.
  */
-export function samplePrecomputedPositions(vertexDataArray, samplingRatio, maxCount) {
+export function samplePrecomputedPositions(vertexDataArray, samplingRatio, maxCount, options = {}) {
     // --- Input Validation ---
     if (!Array.isArray(vertexDataArray) || vertexDataArray.length === 0) {
         console.warn("samplePrecomputedPositions: vertexDataArray is empty or not an array. Returning empty array.");
@@ -97,7 +201,14 @@ export function samplePrecomputedPositions(vertexDataArray, samplingRatio, maxCo
     }
 
     // --- Sampling Logic ---
-    const totalAvailable = vertexDataArray.length;
+    // Only elements with position data can be sampled
+    const candidates = vertexDataArray.filter(element => element?.position);
+    const candidatePositions = candidates.map(element => element.position);
+    const candidateWeights = candidates.map(element => (typeof element.weight === 'number' ? element.weight : 1));
+    if (candidatePositions.length < vertexDataArray.length) {
+        console.warn(`samplePrecomputedPositions: ${vertexDataArray.length - candidatePositions.length} elements are missing position data. Skipping them.`);
+    }
+    const totalAvailable = candidatePositions.length;
 
     // Calculate target size based on ratio, capped by totalAvailable and maxCount
     let targetSize = Math.ceil(totalAvailable * samplingRatio);
@@ -108,38 +219,201 @@ export function samplePrecomputedPositions(vertexDataArray, samplingRatio, maxCo
         return [];
     }
 
-    const sampledPositions = [];
-    const sampledInputIndices = new Set(); // Track indices *of the input array*
-
-    // Randomly select unique indices from the input array
-    let attempts = 0;
-    const maxAttempts = targetSize * 5;
-
-    while (sampledInputIndices.size < targetSize && attempts < maxAttempts) {
-        attempts++;
-        const randomIndex = Math.floor(Math.random() * totalAvailable);
-
-        if (!sampledInputIndices.has(randomIndex)) {
-            sampledInputIndices.add(randomIndex);
-            // Directly add the position object from the selected element
-            // Ensure the position object exists before adding
-            if (vertexDataArray[randomIndex]?.position) {
-                // Return plain {x, y, z} objects as needed by claudeAPI function
-                sampledPositions.push(vertexDataArray[randomIndex].position);
-                // If claudeAPI was updated to expect THREE.Vector3, convert here:
-                // const pos = vertexDataArray[randomIndex].position;
-                // sampledPositions.push(new THREE.Vector3(pos.x, pos.y, pos.z));
-            } else {
-                console.warn(`samplePrecomputedPositions: Element at index ${randomIndex} missing position data. Skipping.`);
-                // Adjust targetSize or handle this case if strict count is needed
-            }
+    // Return plain {x, y, z} objects as sent to the API
+    const sampledPositions = pickSampleIndices(candidatePositions, targetSize, options, candidateWeights).map(i => candidatePositions[i]);
+
+    console.log(`Sampled ${sampledPositions.length} precomputed positions (Ratio: ${samplingRatio}, Max Cap: ${maxCount}, Target: ${targetSize}, Mode: ${options.mode || 'random'}).`);
+    return sampledPositions; // Returns array of {x, y, z} objects
+} 
+
+/**
+ * Splits a sample budget between groups in proportion to their size. The budgets add up to exactly maxCount.
+ * When maxCount allows it (maxCount >= number of groups), every group gets at least one sample.
+ * @param {number[]} sizes - Number of elements in each group (all > 0).
+ * @param {number} maxCount - Total budget.
+ * @returns {number[]} Budget per group, in the order of `sizes`.
+ * @private
+ */
+function distributeSampleBudget(sizes, maxCount) {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const reserved = maxCount >= sizes.length ? 1 : 0;
+    const shared = maxCount - reserved * sizes.length;
+
+    // Floor of each proportional share, then the leftover goes to the largest remainders
+    const shares = sizes.map(size => shared * size / total);
+    const budgets = shares.map(share => reserved + Math.floor(share));
+    let leftover = maxCount - budgets.reduce((sum, budget) => sum + budget, 0);
+    const byRemainder = shares
+        .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder);
+    for (let k = 0; leftover > 0; k++, leftover--) {
+        budgets[byRemainder[k].i]++;
+    }
+    return budgets;
+}
+
+/**
+ * Samples pre-calculated vertex data separately for each vertex group.
+ * The overall maxCount is shared between groups in proportion to their size, so at most maxCount
+ * samples are returned. Every group receives at least one sample if maxCount >= the number of groups.
+ *
+ * @param {Array<{ group: string, position: {x: number, y: number, z: number}, weight?: number }>} vertexDataArray - Array of vertex data objects tagged with their group
+ *        and, optionally, their weight in it.
+ * @param {number} samplingRatio - The fraction (0.0 to 1.0) of each group's elements to sample.
+ * @param {number} maxCount - The maximum number of elements to return across all groups.
+ * @param {object} [options] - Sampling mode and seed, passed to samplePrecomputedPositions for each group.
+ * @returns {Object<string, Array<{x: number, y: number, z: number}>>} Sampled positions keyed by group name.
+ */
+export function samplePrecomputedPositionsByGroup(vertexDataArray, samplingRatio, maxCount, options = {}) {
+    if (!Array.isArray(vertexDataArray) || vertexDataArray.length === 0) {
+        console.warn("samplePrecomputedPositionsByGroup: vertexDataArray is empty or not an array. Returning no groups.");
+        return {};
+    }
+    if (typeof maxCount !== 'number' || maxCount <= 0) {
+        console.warn(`samplePrecomputedPositionsByGroup: Invalid maxCount (${maxCount}). Using default of 1000.`);
+        maxCount = 1000;
+    }
+
+    // --- Bucket by group ---
+    const buckets = {};
+    vertexDataArray.forEach(entry => {
+        const groupName = entry?.group || 'ungrouped';
+        (buckets[groupName] = buckets[groupName] || []).push(entry);
+    });
+
+    // --- Sample each bucket with its share of maxCount ---
+    const groupNames = Object.keys(buckets);
+    const budgets = distributeSampleBudget(groupNames.map(groupName => buckets[groupName].length), Math.floor(maxCount));
+    const samplesByGroup = {};
+    for (let i = 0; i < groupNames.length; i++) {
+        const groupName = groupNames[i];
+        const bucket = buckets[groupName];
+        const groupMax = budgets[i];
+        if (groupMax === 0) continue; // Budget too small to reach this group
+        const samples = samplePrecomputedPositions(bucket, samplingRatio, groupMax, options);
+        if (samples.length > 0) {
+            samplesByGroup[groupName] = samples;
         }
     }
-    if (attempts >= maxAttempts && sampledInputIndices.size < targetSize) {
-        console.warn(`samplePrecomputedPositions: Reached max attempts (${maxAttempts}) but only collected ${sampledInputIndices.size}/${targetSize} samples.`);
+
+    console.log(`Sampled ${Object.keys(samplesByGroup).length} groups:`, Object.fromEntries(Object.entries(samplesByGroup).map(([g, s]) => [g, s.length])));
+    return samplesByGroup;
+}
+
+/**
+ * Computes a compact description of a point cloud's shape for the joint generation prompt.
+ *
+ * - `bbox`, `centroid`: overall placement.
+ * - `axes`: principal (PCA) axes, longest first, with the extent of the points along each.
+ * - `slices`: cross-sections along the main axis. `radius` is the mean distance of the slice's points
+ *   from the slice center; dips in radius mark narrowings such as elbows and knees.
+ * - `extremities`: the outermost points at both ends of the two longest axes.
+ *
+ * All numbers are rounded to 3 decimals to keep the request small.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Positions (world space), non-empty.
+ * @param {number} [sliceCount=8] - Number of cross-sections along the main axis.
+ * @returns {{ vertexCount: number, bbox: { min: number[], max: number[] }, centroid: number[],
+ *             axes: Array<{ direction: number[], extent: number }>,
+ *             slices: Array<{ t: number, count: number, center: number[] | null, radius: number }>,
+ *             extremities: Array<{ axis: number, end: 'min' | 'max', point: number[] }> }}
+ */
+export function computeShapeDescriptor(points, sliceCount = 8) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const roundAll = (values) => values.map(round);
+
+    // --- Bounding box ---
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    points.forEach(p => {
+        [p.x, p.y, p.z].forEach((value, i) => {
+            min[i] = Math.min(min[i], value);
+            max[i] = Math.max(max[i], value);
+        });
+    });
+
+    // --- Centroid and PCA axes ---
+    const principal = computePrincipalAxes(points);
+    const centroid = principal.centroid;
+    const axes = principal.axes.map(({ direction }) => direction);
+
+    const project = (p, axis) => (p.x - centroid[0]) * axis[0] + (p.y - centroid[1]) * axis[1] + (p.z - centroid[2]) * axis[2];
+    const ranges = axes.map(axis => {
+        const range = { min: Infinity, max: -Infinity, minPoint: null, maxPoint: null };
+        points.forEach(p => {
+            const t = project(p, axis);
+            if (t < range.min) { range.min = t; range.minPoint = p; }
+            if (t > range.max) { range.max = t; range.maxPoint = p; }
+        });
+        return range;
+    });
+
+    // --- Cross-sections along the main axis ---
+    const mainAxis = axes[0];
+    const { min: minT, max: maxT } = ranges[0];
+    const extent = maxT - minT;
+    const sums = Array.from({ length: sliceCount }, () => ({ x: 0, y: 0, z: 0, members: [] }));
+    points.forEach(p => {
+        const slice = extent > 0 ? Math.min(sliceCount - 1, Math.floor(((project(p, mainAxis) - minT) / extent) * sliceCount)) : 0;
+        sums[slice].x += p.x; sums[slice].y += p.y; sums[slice].z += p.z;
+        sums[slice].members.push(p);
+    });
+    const slices = sums.map((sum, i) => {
+        const count = sum.members.length;
+        const t = round((i + 0.5) / sliceCount);
+        if (count === 0) return { t, count, center: null, radius: 0 };
+        const center = [sum.x / count, sum.y / count, sum.z / count];
+        // Distance to the center within the slice plane (the component along the main axis is removed)
+        const radius = sum.members.reduce((total, p) => {
+            const d = [p.x - center[0], p.y - center[1], p.z - center[2]];
+            const along = d[0] * mainAxis[0] + d[1] * mainAxis[1] + d[2] * mainAxis[2];
+            return total + Math.sqrt(Math.max(0, d[0] ** 2 + d[1] ** 2 + d[2] ** 2 - along * along));
+        }, 0) / count;
+        return { t, count, center: roundAll(center), radius: round(radius) };
+    });
+
+    // --- Extremities ---
+    const extremities = [];
+    [0, 1].forEach(axis => {
+        const { minPoint, maxPoint } = ranges[axis];
+        extremities.push({ axis, end: 'min', point: roundAll([minPoint.x, minPoint.y, minPoint.z]) });
+        extremities.push({ axis, end: 'max', point: roundAll([maxPoint.x, maxPoint.y, maxPoint.z]) });
+    });
+
+    return {
+        vertexCount: points.length,
+        bbox: { min: roundAll(min), max: roundAll(max) },
+        centroid: roundAll(centroid),
+        axes: axes.map((direction, i) => ({ direction: roundAll(direction), extent: round(ranges[i].max - ranges[i].min) })),
+        slices,
+        extremities,
+    };
+}
+
+/**
+ * Computes a shape descriptor (see computeShapeDescriptor) for each vertex group.
+ * Uses every vertex of the group, not just the samples, so the descriptor reflects the full shape.
+ *
+ * @param {Array<{ group: string, position: {x: number, y: number, z: number} }>} vertexDataArray - Array of vertex data objects tagged with their group.
+ * @param {number} [sliceCount=8] - Number of cross-sections along each group's main axis.
+ * @returns {Object<string, object>} Descriptors keyed by group name.
+ */
+export function computeShapeDescriptorsByGroup(vertexDataArray, sliceCount = 8) {
+    if (!Array.isArray(vertexDataArray) || vertexDataArray.length === 0) {
+        console.warn("computeShapeDescriptorsByGroup: vertexDataArray is empty or not an array. Returning no groups.");
+        return {};
     }
 
+    const buckets = {};
+    vertexDataArray.forEach(entry => {
+        if (!entry?.position) return;
+        const groupName = entry.group || 'ungrouped';
+        (buckets[groupName] = buckets[groupName] || []).push(entry.position);
+    });
 
-    console.log(`Sampled ${sampledPositions.length} precomputed positions (Ratio: ${samplingRatio}, Max Cap: ${maxCount}, Target: ${targetSize}).`);
-    return sampledPositions; // Returns array of {x, y, z} objects
-} 
\ No newline at end of file
+    const descriptors = {};
+    for (const groupName in buckets) {
+        descriptors[groupName] = computeShapeDescriptor(buckets[groupName], sliceCount);
+    }
+    return descriptors;
+}
@@ -0,0 +1,229 @@
+import { buildWeldedAdjacency, getWeldMap } from './weldUtils';
+import { setVertexGroup, getVertexGroupWeights } from './meshUtils';
+import { propagateGeodesicDistances } from './geodesicWeights';
+
+// Soft selection weights below this are left out rather than adding near-zero members to a group
+const MIN_SOFT_SELECTION_WEIGHT = 0.01;
+
+// Per-geometry caches; geometry positions and indices do not change while editing
+const adjacencyCache = new WeakMap();
+const symmetryCache = new WeakMap();
+
+/**
+ * Returns the vertex adjacency of a geometry, built from its index buffer once and cached.
+ * Seam copies of a vertex are neighbors of each other and share their connections (see buildWeldedAdjacency).
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{ offsets: Uint32Array, neighbors: Uint32Array }} See buildAdjacencyFromIndex.
+ */
+export function getGeometryAdjacency(geometry) {
+    let adjacency = adjacencyCache.get(geometry);
+    if (!adjacency) {
+        adjacency = buildWeldedAdjacency(geometry);
+        adjacencyCache.set(geometry, adjacency);
+    }
+    return adjacency;
+}
+
+/**
+ * Expands a selection by one ring of neighboring vertices.
+ * @param {Set<number>} selection
+ * @param {{ offsets: Uint32Array, neighbors: Uint32Array }} adjacency
+ * @returns {Set<number>} A new set.
+ */
+export function growSelection(selection, { offsets, neighbors }) {
+    const grown = new Set(selection);
+    selection.forEach(vertex => {
+        for (let k = offsets[vertex]; k < offsets[vertex + 1]; k++) grown.add(neighbors[k]);
+    });
+    return grown;
+}
+
+/**
+ * Removes the boundary ring of a selection (vertices with at least one unselected neighbor).
+ * @param {Set<number>} selection
+ * @param {{ offsets: Uint32Array, neighbors: Uint32Array }} adjacency
+ * @returns {Set<number>} A new set.
+ */
+export function shrinkSelection(selection, { offsets, neighbors }) {
+    const shrunk = new Set();
+    selection.forEach(vertex => {
+        for (let k = offsets[vertex]; k < offsets[vertex + 1]; k++) {
+            if (!selection.has(neighbors[k])) return;
+        }
+        shrunk.add(vertex);
+    });
+    return shrunk;
+}
+
+/**
+ * Selects every vertex that is not selected.
+ * @param {Set<number>} selection
+ * @param {number} vertexCount
+ * @returns {Set<number>} A new set.
+ */
+export function invertSelection(selection, vertexCount) {
+    const inverted = new Set();
+    for (let i = 0; i < vertexCount; i++) {
+        if (!selection.has(i)) inverted.add(i);
+    }
+    return inverted;
+}
+
+/**
+ * Maps every vertex to the vertex at its mirrored position across the plane x = 0 (in geometry space).
+ * Positions are matched within a tolerance relative to the geometry size, so small export noise is ignored.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {Int32Array} The mirrored vertex for each vertex, or -1 if there is none.
+ */
+export function getSymmetryMap(geometry) {
+    const cached = symmetryCache.get(geometry);
+    if (cached) return cached;
+
+    const position = geometry.attributes.position;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const size = geometry.boundingBox.getSize(geometry.boundingBox.min.clone()).length();
+    const cellSize = Math.max(size * 1e-4, 1e-9);
+
+    // Bucket vertices by quantized position; lookups also check neighboring cells for values near a cell edge
+    const cellKey = (x, y, z) => `${x},${y},${z}`;
+    const cells = new Map();
+    for (let i = 0; i < position.count; i++) {
+        const key = cellKey(Math.round(position.getX(i) / cellSize), Math.round(position.getY(i) / cellSize), Math.round(position.getZ(i) / cellSize));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    }
+
+    const map = new Int32Array(position.count).fill(-1);
+    for (let i = 0; i < position.count; i++) {
+        const mx = -position.getX(i), y = position.getY(i), z = position.getZ(i);
+        const cx = Math.round(mx / cellSize), cy = Math.round(y / cellSize), cz = Math.round(z / cellSize);
+        let best = -1;
+        let bestDistanceSq = cellSize * cellSize;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    (cells.get(cellKey(cx + dx, cy + dy, cz + dz)) || []).forEach(j => {
+                        const d = (position.getX(j) - mx) ** 2 + (position.getY(j) - y) ** 2 + (position.getZ(j) - z) ** 2;
+                        if (d <= bestDistanceSq) {
+                            bestDistanceSq = d;
+                            best = j;
+                        }
+                    });
+                }
+            }
+        }
+        map[i] = best;
+    }
+
+    symmetryCache.set(geometry, map);
+    return map;
+}
+
+/**
+ * Mirrors a selection across x = 0. Vertices without a mirrored counterpart are dropped.
+ * @param {Set<number>} selection
+ * @param {Int32Array} symmetryMap - From getSymmetryMap.
+ * @returns {{ mirrored: Set<number>, unmatched: number }} The mirrored selection and how many vertices had no counterpart.
+ */
+export function mirrorSelection(selection, symmetryMap) {
+    const mirrored = new Set();
+    let unmatched = 0;
+    selection.forEach(vertex => {
+        const counterpart = symmetryMap[vertex];
+        if (counterpart === -1) unmatched++;
+        else mirrored.add(counterpart);
+    });
+    return { mirrored, unmatched };
+}
+
+/**
+ * Returns the name of the mirrored counterpart of a vertex group.
+ * `left_` and `right_` prefixes are swapped. Names without a side prefix get the side the mirrored
+ * vertices end up on: +X is the model's left (glTF models face +Z).
+ *
+ * @param {string} name - Group name, e.g. "left_arm" or "arm".
+ * @param {number} mirroredCentroidX - Average x of the mirrored vertices (geometry space).
+ * @returns {string} e.g. "right_arm"
+ */
+export function getMirroredGroupName(name, mirroredCentroidX) {
+    if (name.startsWith('left_')) return `right_${name.slice('left_'.length)}`;
+    if (name.startsWith('right_')) return `left_${name.slice('right_'.length)}`;
+    return `${mirroredCentroidX >= 0 ? 'left' : 'right'}_${name}`;
+}
+
+/**
+ * Creates mirrored copies of the vertex groups that lie entirely inside a selection,
+ * named with the left_/right_ convention (see getMirroredGroupName). Existing groups of that name are replaced.
+ *
+ * @param {THREE.Mesh} mesh - Mesh holding userData.vertexGroups.
+ * @param {Set<number>} selection - The selection being mirrored.
+ * @param {Int32Array} symmetryMap - From getSymmetryMap.
+ * @returns {string[]} Names of the groups that were written.
+ */
+export function mirrorVertexGroups(mesh, selection, symmetryMap) {
+    const vertexGroups = mesh.userData?.vertexGroups || {};
+    const position = mesh.geometry.attributes.position;
+    const written = [];
+
+    Object.entries(vertexGroups).forEach(([name, indices]) => {
+        if (indices.length === 0 || !indices.every(index => selection.has(index))) return;
+
+        // Mirrored vertices, and their seam copies, keep the weight of their counterpart
+        const { offsets, members, canonical } = getWeldMap(mesh.geometry);
+        const weights = new Map();
+        getVertexGroupWeights(mesh, name).forEach((weight, i) => {
+            const counterpart = symmetryMap[indices[i]];
+            if (counterpart === -1) return;
+            const c = canonical[counterpart];
+            for (let k = offsets[c]; k < offsets[c + 1]; k++) weights.set(members[k], weight);
+        });
+        const mirrored = new Set(weights.keys());
+        if (mirrored.size === 0) return;
+
+        let sumX = 0;
+        mirrored.forEach(index => { sumX += position.getX(index); });
+        const mirroredName = getMirroredGroupName(name, sumX / mirrored.size);
+        if (mirroredName === name) return;
+
+        setVertexGroup(mesh, mirroredName, mirrored, { weights });
+        written.push(mirroredName);
+    });
+    return written;
+}
+
+/**
+ * Soft selection: the selected vertices get weight 1, and the weight fades smoothly to 0 over `radius`
+ * measured along mesh edges from the nearest selected vertex, so the fade does not jump across gaps.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Set<number>} selection
+ * @param {number} radius - Falloff distance in geometry units. 0 returns the selection with weight 1.
+ * @returns {Map<number, number>} Weight (0..1] per affected vertex.
+ */
+export function computeSoftSelectionWeights(geometry, selection, radius) {
+    const weights = new Map();
+    selection.forEach(vertex => weights.set(vertex, 1));
+    if (!(radius > 0) || selection.size === 0) return weights;
+
+    const position = geometry.attributes.position;
+    const positions = new Float32Array(position.count * 3);
+    for (let i = 0; i < position.count; i++) {
+        positions[i * 3] = position.getX(i);
+        positions[i * 3 + 1] = position.getY(i);
+        positions[i * 3 + 2] = position.getZ(i);
+    }
+    const distance = new Float32Array(position.count).fill(Infinity);
+    selection.forEach(vertex => { distance[vertex] = 0; });
+
+    // Dijkstra from the selection, stopping at the radius
+    propagateGeodesicDistances(positions, getGeometryAdjacency(geometry), distance, { maxDistance: radius });
+
+    distance.forEach((d, vertex) => {
+        if (selection.has(vertex) || !Number.isFinite(d)) return;
+        const t = d / radius;
+        const weight = 1 - t * t * (3 - 2 * t); // Smoothstep from 1 at the selection to 0 at the radius
+        if (weight >= MIN_SOFT_SELECTION_WEIGHT) weights.set(vertex, weight);
+    });
+    return weights;
+}
@@ -0,0 +1,235 @@
+// Editor sessions saved in IndexedDB, so a page reload does not lose vertex groups and skeletons.
+// Sessions are keyed by a hash of the uploaded GLB, so uploading the same file again picks up its saved work.
+
+const DB_NAME = 'animation-poc';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+// Older sessions are evicted beyond these limits; the session being opened is always kept
+export const MAX_SESSIONS = 5;
+export const MAX_SESSION_BYTES = 200 * 1024 * 1024; // Total size of the stored GLBs
+
+let databasePromise = null;
+
+/**
+ * A saved editor session.
+ * @typedef {object} EditorSession
+ * @property {string} id - SHA-256 of the GLB bytes (hex).
+ * @property {string} modelName - File name of the upload.
+ * @property {ArrayBuffer} glb - The uploaded GLB bytes.
+ * @property {number} savedAt - Time of the last save (ms since epoch).
+ * @property {Array<{ name: string, vertexCount: number, vertexGroups: Object<string, number[]>, vertexGroupWeights: Object<string, number[]>, selection: number[] }>} meshes
+ *           Per mesh, in scene traversal order.
+ * @property {number[] | null} riggedMeshes - Positions (in `meshes`) of the meshes the skeleton was built for.
+ * @property {Array<object> | null} joints - Joints of the generated skeleton, as returned by /api/generate-joints.
+ * @property {string} prompt - Animation prompt the skeleton was generated with.
+ * @property {string | null} weightingMethod - Skin weighting used for the skeleton (see SKIN_WEIGHTING_METHODS).
+ */
+
+/**
+ * Opens the session database once per page.
+ * @returns {Promise<IDBDatabase>}
+ * @private
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error("IndexedDB is not available in this browser."));
+    }
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            databasePromise = null; // Allow another attempt
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs a request against the session store.
+ * @param {'readonly' | 'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ * @returns {Promise<any>} The request's result.
+ * @private
+ */
+async function runRequest(mode, makeRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("Session transaction aborted."));
+    });
+}
+
+/**
+ * Deletes the oldest sessions until at most `maxSessions` remain and their GLBs take at most `maxBytes`.
+ * @param {string | null} keepId - Session that is never deleted, e.g. the one being opened.
+ * @param {object} [limits]
+ * @param {number} [limits.maxSessions=MAX_SESSIONS]
+ * @param {number} [limits.maxBytes=MAX_SESSION_BYTES]
+ * @returns {Promise<number>} Number of deleted sessions.
+ */
+export async function evictSessions(keepId, { maxSessions = MAX_SESSIONS, maxBytes = MAX_SESSION_BYTES } = {}) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let keptCount = 0;
+        let keptBytes = 0;
+        let deleted = 0;
+
+        // The kept session counts against the limits first, then the newest sessions fill what is left
+        const keepRequest = keepId ? store.get(keepId) : null;
+        const walkSessions = () => {
+            if (keepRequest?.result) {
+                keptCount++;
+                keptBytes += keepRequest.result.glb?.byteLength || 0;
+            }
+            const cursorRequest = store.index('savedAt').openCursor(null, 'prev');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                const { id, glb } = cursor.value;
+                if (id !== keepId) {
+                    const bytes = glb?.byteLength || 0;
+                    if (keptCount + 1 > maxSessions || keptBytes + bytes > maxBytes) {
+                        cursor.delete();
+                        deleted++;
+                    } else {
+                        keptCount++;
+                        keptBytes += bytes;
+                    }
+                }
+                cursor.continue();
+            };
+        };
+        if (keepRequest) keepRequest.onsuccess = walkSessions;
+        else walkSessions();
+
+        transaction.oncomplete = () => resolve(deleted);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("Session transaction aborted."));
+    });
+}
+
+/**
+ * @param {Error | DOMException | null} error
+ * @returns {boolean} True if the browser refused a write because its storage is full.
+ * @private
+ */
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError';
+}
+
+/**
+ * Writes a session. When storage is full, every other session is deleted and the write is tried once more.
+ * @param {EditorSession} session
+ * @returns {Promise<void>}
+ * @throws {Error} If the session does not fit even then.
+ * @private
+ */
+async function putSession(session) {
+    try {
+        await runRequest('readwrite', store => store.put(session));
+        return;
+    } catch (error) {
+        if (!isQuotaError(error)) throw error;
+    }
+
+    const deleted = await evictSessions(session.id, { maxSessions: 1, maxBytes: 0 });
+    console.warn(`Session: Storage is full; deleted ${deleted} older session(s) to make room.`);
+    try {
+        await runRequest('readwrite', store => store.put(session));
+    } catch (error) {
+        if (isQuotaError(error)) throw new Error("Not enough browser storage to save this session.");
+        throw error;
+    }
+}
+
+/**
+ * Hashes file contents to a session id.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>} SHA-256 as hex.
+ */
+export async function hashArrayBuffer(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Returns the session saved for a file, creating an empty one if there is none.
+ * An existing session keeps its groups and skeleton and becomes the most recent one.
+ * The oldest sessions are then evicted (see MAX_SESSIONS and MAX_SESSION_BYTES).
+ * @param {{ id: string, modelName: string, glb: ArrayBuffer }} model
+ * @returns {Promise<EditorSession>}
+ * @throws {Error} If the session cannot be stored, e.g. because the GLB does not fit in the browser's storage.
+ */
+export async function openSession({ id, modelName, glb }) {
+    const existing = await loadSession(id);
+    const session = existing
+        ? { ...existing, modelName, savedAt: Date.now() }
+        : { id, modelName, glb, savedAt: Date.now(), meshes: [], riggedMeshes: null, joints: null, prompt: '', weightingMethod: null };
+    await putSession(session);
+    try {
+        const deleted = await evictSessions(id);
+        if (deleted > 0) console.log(`Session: Deleted ${deleted} old session(s).`);
+    } catch (error) {
+        console.warn("Session: Could not delete old sessions:", error);
+    }
+    return session;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<EditorSession | null>}
+ */
+export async function loadSession(id) {
+    return (await runRequest('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Saves changes to a session.
+ * @param {string} id
+ * @param {Partial<EditorSession>} changes - Fields to replace. The GLB bytes and id cannot be changed.
+ * @returns {Promise<void>}
+ * @throws {Error} If the browser's storage is full even after older sessions were deleted.
+ */
+export async function updateSession(id, changes) {
+    const session = await loadSession(id);
+    if (!session) {
+        console.warn(`Session: No saved session ${id.slice(0, 8)} to update.`);
+        return;
+    }
+    const { id: _id, glb: _glb, ...editable } = changes;
+    await putSession({ ...session, ...editable, savedAt: Date.now() });
+}
+
+/**
+ * Returns the most recently saved session.
+ * @returns {Promise<EditorSession | null>}
+ */
+export async function getLastSession() {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('savedAt').openCursor(null, 'prev');
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+    await runRequest('readwrite', store => store.delete(id));
+}
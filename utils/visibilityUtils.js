@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// Matches unpackRGBAToDepth in three's packing.glsl
+const UNPACK_DOWNSCALE = 255 / 256;
+const UNPACK_FACTORS = [
+    UNPACK_DOWNSCALE / (256 * 256 * 256 * 255),
+    UNPACK_DOWNSCALE / (256 * 256 * 255),
+    UNPACK_DOWNSCALE / (256 * 255),
+    UNPACK_DOWNSCALE / 255,
+];
+
+/**
+ * Converts a depth buffer value (0..1) to the distance in front of the camera.
+ * @private
+ */
+function depthToViewDistance(depth, camera) {
+    return camera.isOrthographicCamera
+        ? -THREE.MathUtils.lerp(-camera.near, -camera.far, depth)
+        : -(camera.near * camera.far) / ((camera.far - camera.near) * depth - camera.far);
+}
+
+/**
+ * Renders the depth of a mesh from the camera and returns a test telling whether a vertex inside a screen
+ * region is visible (not hidden behind other parts of the same mesh).
+ *
+ * The mesh is drawn with a packed depth material into an offscreen target the size of the canvas
+ * (CSS pixels); only the region's pixels are read back to the CPU. A vertex counts as visible if it is no
+ * farther than the surface at its own pixel plus a tolerance relative to the mesh size. Silhouette vertices
+ * whose pixel shows the background are kept, since the background reads as the far plane.
+ *
+ * @param {THREE.WebGLRenderer} renderer - The renderer drawing the canvas.
+ * @param {THREE.Camera} camera - The current view camera.
+ * @param {THREE.Mesh} mesh - The mesh to test against.
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} bounds - Region to read back, in CSS pixels
+ *        from the top-left of the canvas (e.g. the bounding rectangle of a stroke).
+ * @returns {(screenX: number, screenY: number, ndcZ: number) => boolean} Takes the vertex's screen position
+ *          (CSS pixels from the top-left of the canvas) and projected NDC depth. Positions outside `bounds` are not visible.
+ */
+export function createDepthVisibilityTest(renderer, camera, mesh, bounds) {
+    const canvas = renderer.domElement;
+    const width = Math.max(1, Math.floor(canvas.clientWidth));
+    const height = Math.max(1, Math.floor(canvas.clientHeight));
+
+    // Region in pixels, clamped to the canvas
+    const left = Math.min(width - 1, Math.max(0, Math.floor(bounds.minX)));
+    const right = Math.min(width - 1, Math.max(left, Math.ceil(bounds.maxX)));
+    const top = Math.min(height - 1, Math.max(0, Math.floor(bounds.minY)));
+    const bottom = Math.min(height - 1, Math.max(top, Math.ceil(bounds.maxY)));
+    const regionWidth = right - left + 1;
+    const regionHeight = bottom - top + 1;
+
+    // --- 1. Render packed depth offscreen and read back the region ---
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, side: THREE.DoubleSide });
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const previousMaterial = mesh.material;
+
+    const pixels = new Uint8Array(regionWidth * regionHeight * 4);
+    try {
+        mesh.material = depthMaterial;
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(0xffffff, 1); // Packs to a depth of ~1 (far plane) where nothing is drawn
+        renderer.clear();
+        renderer.render(mesh, camera); // Only the mesh itself, so helpers and other objects do not occlude
+        renderer.readRenderTargetPixels(target, left, height - 1 - bottom, regionWidth, regionHeight, pixels); // Pixels are bottom-up
+    } finally {
+        mesh.material = previousMaterial;
+        renderer.setRenderTarget(previousTarget);
+        renderer.setClearColor(previousClearColor, previousClearAlpha);
+        target.dispose();
+        depthMaterial.dispose();
+    }
+
+    // --- 2. Tolerance relative to the mesh size ---
+    if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+    const scale = mesh.matrixWorld.getMaxScaleOnAxis();
+    const tolerance = Math.max(mesh.geometry.boundingSphere.radius * scale * 0.01, 1e-6);
+
+    const depthAt = (x, y) => {
+        const offset = ((bottom - y) * regionWidth + (x - left)) * 4;
+        return pixels[offset] * UNPACK_FACTORS[0] + pixels[offset + 1] * UNPACK_FACTORS[1]
+            + pixels[offset + 2] * UNPACK_FACTORS[2] + pixels[offset + 3] * UNPACK_FACTORS[3];
+    };
+
+    return (screenX, screenY, ndcZ) => {
+        const px = Math.round(screenX);
+        const py = Math.round(screenY);
+        if (px < left || py < top || px > right || py > bottom) return false;
+
+        const vertexDistance = depthToViewDistance(ndcZ * 0.5 + 0.5, camera);
+        return vertexDistance <= depthToViewDistance(depthAt(px, py), camera) + tolerance;
+    };
+}
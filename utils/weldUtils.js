@@ -0,0 +1,205 @@
+import { buildAdjacencyFromIndex } from './geodesicWeights';
+
+// glTF meshes duplicate vertices along UV and normal seams. These helpers treat vertices at the same
+// position as one logical vertex, so selections, groups and skin weights do not split along seams.
+
+// Per-geometry cache; geometry positions do not change while editing
+const weldMapCache = new WeakMap();
+
+/**
+ * Groups the vertices of a geometry that share a position. The vertex with the lowest index of each
+ * group is its canonical vertex. Positions match when they are within a tolerance relative to the geometry size,
+ * so seam copies with tiny export noise are still welded, also when they fall on either side of a grid cell edge.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{ canonical: Uint32Array, offsets: Uint32Array, members: Uint32Array, weldedCount: number }}
+ *          `canonical[v]` is the canonical vertex of v. The vertices welded to a canonical vertex c (including c)
+ *          are `members[offsets[c]]` up to (excluding) `members[offsets[c + 1]]`; the range is empty for
+ *          vertices that are not canonical. `weldedCount` is the number of vertices that are seam copies.
+ */
+export function getWeldMap(geometry) {
+    const cached = weldMapCache.get(geometry);
+    if (cached) return cached;
+
+    const position = geometry.attributes.position;
+    const vertexCount = position.count;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const size = geometry.boundingBox.getSize(geometry.boundingBox.min.clone()).length();
+    const cellSize = Math.max(size * 1e-6, 1e-9); // Also the weld tolerance
+
+    // --- 1. Find the canonical vertex of each position ---
+    // Canonical vertices are bucketed by quantized position; lookups also check neighboring cells for values near a cell edge
+    const cellKey = (x, y, z) => `${x},${y},${z}`;
+    const cells = new Map();
+    const canonical = new Uint32Array(vertexCount);
+    let weldedCount = 0;
+    for (let i = 0; i < vertexCount; i++) {
+        const x = position.getX(i), y = position.getY(i), z = position.getZ(i);
+        const cx = Math.round(x / cellSize), cy = Math.round(y / cellSize), cz = Math.round(z / cellSize);
+        let best = -1;
+        let bestDistanceSq = cellSize * cellSize;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    (cells.get(cellKey(cx + dx, cy + dy, cz + dz)) || []).forEach(j => {
+                        const d = (position.getX(j) - x) ** 2 + (position.getY(j) - y) ** 2 + (position.getZ(j) - z) ** 2;
+                        if (d <= bestDistanceSq) {
+                            bestDistanceSq = d;
+                            best = j;
+                        }
+                    });
+                }
+            }
+        }
+
+        if (best === -1) {
+            const key = cellKey(cx, cy, cz);
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+            canonical[i] = i;
+        } else {
+            canonical[i] = best;
+            weldedCount++;
+        }
+    }
+
+    // --- 2. List the members of each canonical vertex ---
+    const offsets = new Uint32Array(vertexCount + 1);
+    for (let i = 0; i < vertexCount; i++) offsets[canonical[i] + 1]++;
+    for (let i = 0; i < vertexCount; i++) offsets[i + 1] += offsets[i];
+    const members = new Uint32Array(vertexCount);
+    const fill = offsets.slice(0, vertexCount);
+    for (let i = 0; i < vertexCount; i++) members[fill[canonical[i]]++] = i;
+
+    const weldMap = { canonical, offsets, members, weldedCount };
+    weldMapCache.set(geometry, weldMap);
+    if (weldedCount > 0) {
+        console.log(`Weld: ${weldedCount} of ${vertexCount} vertices are seam copies of another vertex.`);
+    }
+    return weldMap;
+}
+
+/**
+ * Adds every vertex welded to one of the given vertices.
+ * @param {Iterable<number>} indices
+ * @param {ReturnType<typeof getWeldMap>} weldMap
+ * @returns {Set<number>} A new set.
+ */
+export function expandToWeldedVertices(indices, { canonical, offsets, members }) {
+    const expanded = new Set();
+    for (const index of indices) {
+        if (index >= canonical.length) continue;
+        const c = canonical[index];
+        for (let k = offsets[c]; k < offsets[c + 1]; k++) expanded.add(members[k]);
+    }
+    return expanded;
+}
+
+/**
+ * Returns the triangle index buffer with every vertex replaced by its canonical vertex, so triangles on
+ * both sides of a seam share vertices. Non-indexed geometry is treated as consecutive triangles.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {ReturnType<typeof getWeldMap>} weldMap
+ * @returns {Uint32Array} A new array.
+ */
+export function weldIndexBuffer(geometry, { canonical }) {
+    const index = geometry.index ? geometry.index.array : null;
+    const length = index ? index.length : Math.floor(canonical.length / 3) * 3;
+    const welded = new Uint32Array(length);
+    for (let i = 0; i < length; i++) {
+        const vertex = index ? index[i] : i;
+        welded[i] = vertex < canonical.length ? canonical[vertex] : vertex;
+    }
+    return welded;
+}
+
+/**
+ * Builds vertex adjacency across seams: a vertex neighbors its welded copies and everything
+ * the copies are connected to.
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{ offsets: Uint32Array, neighbors: Uint32Array }} See buildAdjacencyFromIndex.
+ */
+export function buildWeldedAdjacency(geometry) {
+    const weldMap = getWeldMap(geometry);
+    const { canonical, offsets: memberOffsets, members } = weldMap;
+    const vertexCount = canonical.length;
+    const welded = buildAdjacencyFromIndex(weldIndexBuffer(geometry, weldMap), vertexCount);
+    const memberCount = (c) => memberOffsets[c + 1] - memberOffsets[c];
+
+    // The welded adjacency only connects canonical vertices; give each vertex its copies and all their members
+    const offsets = new Uint32Array(vertexCount + 1);
+    for (let v = 0; v < vertexCount; v++) {
+        const c = canonical[v];
+        let count = memberCount(c) - 1;
+        for (let k = welded.offsets[c]; k < welded.offsets[c + 1]; k++) {
+            if (welded.neighbors[k] !== c) count += memberCount(welded.neighbors[k]); // Welding can make triangles degenerate
+        }
+        offsets[v + 1] = offsets[v] + count;
+    }
+    const neighbors = new Uint32Array(offsets[vertexCount]);
+    for (let v = 0; v < vertexCount; v++) {
+        const c = canonical[v];
+        let n = offsets[v];
+        for (let k = memberOffsets[c]; k < memberOffsets[c + 1]; k++) {
+            if (members[k] !== v) neighbors[n++] = members[k];
+        }
+        for (let k = welded.offsets[c]; k < welded.offsets[c + 1]; k++) {
+            const other = welded.neighbors[k];
+            if (other === c) continue;
+            for (let m = memberOffsets[other]; m < memberOffsets[other + 1]; m++) neighbors[n++] = members[m];
+        }
+    }
+    return { offsets, neighbors };
+}
+
+/**
+ * Adds the welded copies of grouped vertices to their groups, with the same weight.
+ * @param {Object<string, number[]> | null} vertexGroups - From mesh.userData.vertexGroups.
+ * @param {Object<string, number[]> | null} vertexGroupWeights - From mesh.userData.vertexGroupWeights (missing weights are 1).
+ * @param {ReturnType<typeof getWeldMap>} weldMap
+ * @returns {{ vertexGroups: Object<string, number[]> | null, vertexGroupWeights: Object<string, number[]> | null }} New objects.
+ */
+export function weldVertexGroups(vertexGroups, vertexGroupWeights, { canonical, offsets, members }) {
+    if (!vertexGroups) return { vertexGroups, vertexGroupWeights };
+
+    const weldedGroups = {};
+    const weldedWeights = {};
+    Object.entries(vertexGroups).forEach(([name, indices]) => {
+        const weights = vertexGroupWeights?.[name];
+        const byVertex = new Map();
+        indices.forEach((index, i) => {
+            if (index >= canonical.length) return;
+            const weight = weights?.[i] ?? 1;
+            const c = canonical[index];
+            // A copy may be in the group on its own too; keep the larger weight
+            for (let k = offsets[c]; k < offsets[c + 1]; k++) {
+                byVertex.set(members[k], Math.max(byVertex.get(members[k]) || 0, weight));
+            }
+        });
+        weldedGroups[name] = [...byVertex.keys()];
+        weldedWeights[name] = [...byVertex.values()];
+    });
+    return { vertexGroups: weldedGroups, vertexGroupWeights: weldedWeights };
+}
+
+/**
+ * Gives every welded copy the skin weights of its canonical vertex, so seams do not crack when skinned.
+ * @param {THREE.BufferGeometry} geometry - Geometry with skinIndex and skinWeight attributes.
+ * @param {ReturnType<typeof getWeldMap>} weldMap
+ */
+export function copyWeldedSkinWeights(geometry, { canonical, weldedCount }) {
+    const skinIndex = geometry.attributes.skinIndex;
+    const skinWeight = geometry.attributes.skinWeight;
+    if (!skinIndex || !skinWeight || weldedCount === 0) return;
+
+    for (let v = 0; v < canonical.length; v++) {
+        const c = canonical[v];
+        if (c === v) continue;
+        for (let k = 0; k < 4; k++) {
+            skinIndex.array[v * 4 + k] = skinIndex.array[c * 4 + k];
+            skinWeight.array[v * 4 + k] = skinWeight.array[c * 4 + k];
+        }
+    }
+    skinIndex.needsUpdate = true;
+    skinWeight.needsUpdate = true;
+}